@@ -20,6 +20,7 @@ export default [
         document: "readonly",
         navigator: "readonly",
         localStorage: "readonly",
+        indexedDB: "readonly",
         sessionStorage: "readonly",
         fetch: "readonly",
         console: "readonly",
@@ -81,6 +82,10 @@ export default [
         CustomEvent: "readonly",
         HTMLElement: "readonly",
         HTMLCanvasElement: "readonly",
+        OffscreenCanvas: "readonly",
+        CSS: "readonly",
+        GPUBufferUsage: "readonly",
+        GPUMapMode: "readonly",
         CanvasRenderingContext2D: "readonly",
         Image: "readonly",
         ImageData: "readonly",
@@ -113,6 +118,16 @@ export default [
     },
   },
   {
-    ignores: ["dist/**", "node_modules/**", "*.config.js"],
+    // Self-hosted uniqueness server (Node.js)
+    files: ["server/**/*.js"],
+    languageOptions: {
+      globals: {
+        process: "readonly",
+        Buffer: "readonly",
+      },
+    },
+  },
+  {
+    ignores: ["dist/**", "dist-lib/**", "server/data/**", "node_modules/**", "*.config.js"],
   },
 ];
@@ -0,0 +1,169 @@
+/**
+ * DNS Leak Responder
+ * Authoritative UDP DNS server for one zone (RFC 1035). The browser resolves random names
+ * under the zone; every query is logged with the address of the resolver that sent it, and
+ * the HTTP API hands the log back per test token. A records answer with a fixed address,
+ * everything else gets an empty (NODATA) answer with the zone SOA.
+ */
+
+import { createSocket } from 'node:dgram';
+import { isIPv4, isIPv6 } from 'node:net';
+
+const TYPE_A = 1;
+const TYPE_SOA = 6;
+const CLASS_IN = 1;
+const RCODE_NOERROR = 0;
+const RCODE_FORMERR = 1;
+const RCODE_REFUSED = 5;
+
+// Test tokens are random, lowercase (resolvers may randomize case, RFC draft "0x20")
+export const TOKEN_RE = /^[a-z0-9]{16,64}$/;
+const LOG_TTL = 10 * 60 * 1000;
+const MAX_TOKENS = 10000;
+const MAX_RESOLVERS = 32;
+
+/**
+ * Resolver addresses seen per test token (in memory, expires after LOG_TTL)
+ */
+export class DnsLeakLog {
+  constructor() {
+    this.tokens = new Map();
+  }
+
+  record(token, resolver) {
+    const now = Date.now();
+    let entry = this.tokens.get(token);
+    if (!entry) {
+      this.prune(now);
+      if (this.tokens.size >= MAX_TOKENS) return;
+      entry = { created: now, resolvers: new Map() };
+      this.tokens.set(token, entry);
+    }
+    const seen = entry.resolvers.get(resolver);
+    if (seen) seen.queries++;
+    else if (entry.resolvers.size < MAX_RESOLVERS) entry.resolvers.set(resolver, { queries: 1, first: now });
+  }
+
+  /**
+   * @returns {Array<{ ip: string, queries: number, first: number }>}
+   */
+  get(token) {
+    const entry = this.tokens.get(token);
+    if (!entry) return [];
+    return [...entry.resolvers].map(([ip, { queries, first }]) => ({ ip, queries, first }));
+  }
+
+  prune(now) {
+    for (const [token, entry] of this.tokens) {
+      if (now - entry.created > LOG_TTL) this.tokens.delete(token);
+    }
+  }
+}
+
+/**
+ * Reads the question section; queries never use name compression
+ * @returns {{ labels: string[], type: number, class: number, end: number }|null}
+ */
+function readQuestion(message) {
+  const labels = [];
+  let offset = 12;
+  while (offset < message.length) {
+    const length = message[offset++];
+    if (length === 0) break;
+    if (length > 63 || offset + length > message.length) return null;
+    labels.push(message.toString('latin1', offset, offset + length).toLowerCase());
+    offset += length;
+  }
+  if (offset + 4 > message.length) return null;
+  return { labels, type: message.readUInt16BE(offset), class: message.readUInt16BE(offset + 2), end: offset + 4 };
+}
+
+function encodeName(name) {
+  const parts = name.split('.').filter(Boolean).map((label) => Buffer.concat([Buffer.from([label.length]), Buffer.from(label, 'latin1')]));
+  return Buffer.concat([...parts, Buffer.from([0])]);
+}
+
+function resourceRecord(name, type, ttl, data) {
+  const fixed = Buffer.alloc(10);
+  fixed.writeUInt16BE(type, 0);
+  fixed.writeUInt16BE(CLASS_IN, 2);
+  fixed.writeUInt32BE(ttl, 4);
+  fixed.writeUInt16BE(data.length, 8);
+  return Buffer.concat([encodeName(name), fixed, data]);
+}
+
+function soaRecord(zone) {
+  const timers = Buffer.alloc(20);
+  // serial, refresh, retry, expire, minimum (0 so negative answers are not cached)
+  [1, 3600, 600, 86400, 0].forEach((value, i) => timers.writeUInt32BE(value, i * 4));
+  return resourceRecord(zone, TYPE_SOA, 0, Buffer.concat([encodeName(`ns.${zone}`), encodeName(`hostmaster.${zone}`), timers]));
+}
+
+/**
+ * Builds the response to a query and logs the resolver
+ * @param {Buffer} message - Query
+ * @param {string} resolver - Address the query came from
+ * @param {{ zone: string, answer: string, log: DnsLeakLog }} options
+ * @returns {Buffer|null} Null for messages that get no response (responses, truncated headers)
+ */
+export function handleQuery(message, resolver, { zone, answer, log }) {
+  if (message.length < 12 || message[2] & 0x80) return null;
+
+  const question = readQuestion(message);
+  const header = Buffer.alloc(12);
+  message.copy(header, 0, 0, 2);
+  // QR + AA, copy the opcode and RD bits
+  header[2] = 0x84 | (message[2] & 0x79);
+  if (!question || message.readUInt16BE(4) !== 1) {
+    header[3] = RCODE_FORMERR;
+    return header;
+  }
+
+  const zoneLabels = zone.split('.').filter(Boolean);
+  const inZone = question.labels.length >= zoneLabels.length
+    && question.labels.slice(-zoneLabels.length).join('.') === zoneLabels.join('.');
+  const body = message.subarray(12, question.end);
+  header.writeUInt16BE(1, 4);
+
+  if (!inZone || question.class !== CLASS_IN) {
+    header[3] = RCODE_REFUSED;
+    return Buffer.concat([header, body]);
+  }
+
+  // <anything>.<token>.<zone>: the token is the label right below the zone
+  const token = question.labels[question.labels.length - zoneLabels.length - 1];
+  if (token && TOKEN_RE.test(token)) log.record(token, resolver.replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1'));
+
+  header[3] = RCODE_NOERROR;
+  const name = question.labels.join('.');
+  if (question.type === TYPE_A) {
+    header.writeUInt16BE(1, 6);
+    return Buffer.concat([header, body, resourceRecord(name, TYPE_A, 0, Buffer.from(answer.split('.').map(Number)))]);
+  }
+  // SOA of the apex goes in the answer, otherwise in the authority section (NODATA)
+  header.writeUInt16BE(1, question.type === TYPE_SOA && name === zone ? 6 : 8);
+  return Buffer.concat([header, body, soaRecord(zone)]);
+}
+
+/**
+ * Creates the UDP DNS responder (call .bind(port, host) to start)
+ * @param {Object} options
+ * @param {string} options.host - Listen address; IPv6 hosts get a dual-stack socket
+ * @param {string} options.zone - Zone served, e.g. 'leak.example.com'
+ * @param {string} options.answer - IPv4 address returned for A queries
+ * @param {DnsLeakLog} options.log
+ * @returns {import('node:dgram').Socket}
+ */
+export function createDnsServer({ host, zone, answer, log }) {
+  if (!zone) throw new Error('DNS_ZONE is required for the DNS responder');
+  if (!isIPv4(answer)) throw new Error(`DNS_ANSWER must be an IPv4 address: ${answer}`);
+
+  const options = { zone: zone.toLowerCase(), answer, log };
+  const socket = createSocket({ type: isIPv6(host) ? 'udp6' : 'udp4' });
+  socket.on('message', (message, remote) => {
+    const response = handleQuery(message, remote.address, options);
+    if (response) socket.send(response, remote.port, remote.address);
+  });
+  socket.on('error', (e) => console.error('DNS server error:', e));
+  return socket;
+}
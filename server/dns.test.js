@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { DnsLeakLog, handleQuery, TOKEN_RE } from './dns.js';
+
+const ZONE = 'leak.example.com';
+const TOKEN = '0123456789abcdef0123';
+
+/**
+ * Builds a standard query with one question
+ */
+function query(name, { type = 1, qclass = 1, id = 0x1234, flags = 0x0100 } = {}) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(flags, 2);
+  header.writeUInt16BE(1, 4);
+  const labels = name.split('.').map((label) => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)]));
+  const fixed = Buffer.alloc(4);
+  fixed.writeUInt16BE(type, 0);
+  fixed.writeUInt16BE(qclass, 2);
+  return Buffer.concat([header, ...labels, Buffer.from([0]), fixed]);
+}
+
+function counts(response) {
+  return {
+    rcode: response[3] & 0x0f,
+    questions: response.readUInt16BE(4),
+    answers: response.readUInt16BE(6),
+    authority: response.readUInt16BE(8),
+  };
+}
+
+function respond(message, resolver = '192.0.2.53') {
+  const log = new DnsLeakLog();
+  return { response: handleQuery(message, resolver, { zone: ZONE, answer: '198.51.100.1', log }), log };
+}
+
+describe('handleQuery', () => {
+  it('answers A queries with the fixed address and logs the resolver per token', () => {
+    const message = query(`0.${TOKEN}.${ZONE}`);
+    const { response, log } = respond(message);
+
+    expect(response.readUInt16BE(0)).toBe(0x1234);
+    // QR + AA, RD copied
+    expect(response[2]).toBe(0x85);
+    expect(counts(response)).toEqual({ rcode: 0, questions: 1, answers: 1, authority: 0 });
+    expect(response.subarray(12, message.length)).toEqual(message.subarray(12));
+    expect([...response.subarray(-4)]).toEqual([198, 51, 100, 1]);
+    expect(log.get(TOKEN)).toMatchObject([{ ip: '192.0.2.53', queries: 1 }]);
+  });
+
+  it('matches the zone and token case-insensitively', () => {
+    const { response, log } = respond(query(`0.${TOKEN.toUpperCase()}.LEAK.Example.com`), '::ffff:192.0.2.53');
+    expect(counts(response).rcode).toBe(0);
+    expect(log.get(TOKEN)).toMatchObject([{ ip: '192.0.2.53' }]);
+  });
+
+  it('answers other types with NODATA and the zone SOA', () => {
+    const { response } = respond(query(`0.${TOKEN}.${ZONE}`, { type: 28 }));
+    expect(counts(response)).toEqual({ rcode: 0, questions: 1, answers: 0, authority: 1 });
+  });
+
+  it('puts the apex SOA in the answer section', () => {
+    const { response, log } = respond(query(ZONE, { type: 6 }));
+    expect(counts(response)).toEqual({ rcode: 0, questions: 1, answers: 1, authority: 0 });
+    expect(log.tokens.size).toBe(0);
+  });
+
+  it('refuses names outside the zone and non-IN classes', () => {
+    expect(counts(respond(query('example.org')).response).rcode).toBe(5);
+    expect(counts(respond(query('example.com')).response).rcode).toBe(5);
+    expect(counts(respond(query(`0.${TOKEN}.${ZONE}`, { qclass: 3 })).response).rcode).toBe(5);
+  });
+
+  it('does not log names without a valid token', () => {
+    const { log } = respond(query(`0.short.${ZONE}`));
+    expect(log.tokens.size).toBe(0);
+  });
+
+  it('returns FORMERR for malformed queries and ignores responses', () => {
+    const truncated = query(`0.${TOKEN}.${ZONE}`).subarray(0, 20);
+    expect(counts(respond(truncated).response).rcode).toBe(1);
+    expect(respond(query(ZONE, { flags: 0x8000 })).response).toBeNull();
+    expect(respond(Buffer.alloc(4)).response).toBeNull();
+  });
+});
+
+describe('DnsLeakLog', () => {
+  it('counts repeated queries per resolver', () => {
+    const log = new DnsLeakLog();
+    log.record(TOKEN, '192.0.2.53');
+    log.record(TOKEN, '192.0.2.53');
+    log.record(TOKEN, '2001:db8::53');
+    expect(log.get(TOKEN)).toMatchObject([{ ip: '192.0.2.53', queries: 2 }, { ip: '2001:db8::53', queries: 1 }]);
+    expect(log.get('unknown')).toEqual([]);
+  });
+});
+
+describe('TOKEN_RE', () => {
+  it('accepts the tokens the client generates', () => {
+    expect(TOKEN_RE.test('a1b2c3d4e5f60718293a4b5c')).toBe(true);
+    expect(TOKEN_RE.test('short')).toBe(false);
+    expect(TOKEN_RE.test('UPPERCASE0123456789')).toBe(false);
+  });
+});
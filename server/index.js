@@ -0,0 +1,180 @@
+/**
+ * What You Reveal - Uniqueness Server
+ * Optional, self-hosted reference server. Browsers that explicitly opt in submit hashed
+ * attributes and get back how many other visitors share each value (anonymity sets).
+ *
+ * Usage: node server/index.js
+ * Env:   PORT (8787), HOST (127.0.0.1), DATA_FILE (./data/uniqueness.json),
+ *        SALT (random, persisted), ALLOWED_ORIGIN (*), TRUST_PROXY (off),
+ *        STUN_PORT (off; e.g. 3478 to answer STUN Binding requests for the WebRTC leak test),
+ *        DNS_PORT (off; e.g. 53), DNS_ZONE, DNS_ANSWER (127.0.0.1) for the DNS leak test responder
+ */
+
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { resolve, dirname } from 'node:path';
+import { UniquenessStore } from './store.js';
+import { createStunServer } from './stun.js';
+import { createDnsServer, DnsLeakLog, TOKEN_RE } from './dns.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const DATA_FILE = resolve(process.env.DATA_FILE || resolve(dirname(fileURLToPath(import.meta.url)), 'data/uniqueness.json'));
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+const STUN_PORT = Number(process.env.STUN_PORT) || 0;
+const DNS_PORT = Number(process.env.DNS_PORT) || 0;
+const DNS_ZONE = process.env.DNS_ZONE || '';
+const DNS_ANSWER = process.env.DNS_ANSWER || '127.0.0.1';
+
+const MAX_BODY = 64 * 1024;
+const MAX_ATTRIBUTES = 128;
+const HASH_RE = /^[a-f0-9]{64}$/;
+const NAME_RE = /^[a-z0-9_.]{1,64}$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Cache-Control': 'no-store',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolveBody, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(new HttpError(413, 'Payload too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolveBody(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(new HttpError(400, 'Invalid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Validates a submission: { visitor: <sha256 hex>, attributes: { name: <sha256 hex> } }
+ * Raw values are never accepted, only client-side hashes.
+ */
+function validateSubmission(body) {
+  if (!body || typeof body !== 'object') throw new HttpError(400, 'Expected an object');
+  if (!HASH_RE.test(body.visitor || '')) throw new HttpError(400, 'visitor must be a SHA-256 hex digest');
+
+  const attributes = body.attributes;
+  if (!attributes || typeof attributes !== 'object') throw new HttpError(400, 'attributes must be an object');
+  const entries = Object.entries(attributes);
+  if (entries.length === 0 || entries.length > MAX_ATTRIBUTES) {
+    throw new HttpError(400, `attributes must contain 1-${MAX_ATTRIBUTES} entries`);
+  }
+  for (const [name, value] of entries) {
+    if (!NAME_RE.test(name)) throw new HttpError(400, `Invalid attribute name: ${name}`);
+    if (!HASH_RE.test(value)) throw new HttpError(400, `Attribute ${name} must be a SHA-256 hex digest`);
+  }
+  return { visitor: body.visitor, attributes };
+}
+
+/**
+ * Address of the requesting client (X-Forwarded-For only behind a trusted reverse proxy)
+ */
+function clientAddress(req) {
+  const forwarded = TRUST_PROXY ? String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+  const address = forwarded || req.socket.remoteAddress || '';
+  // IPv4 clients on a dual-stack socket appear as ::ffff:a.b.c.d
+  return address.replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+}
+
+/**
+ * @param {UniquenessStore} store
+ * @param {Object} [options]
+ * @param {DnsLeakLog} [options.dnsLog] - Query log of the DNS responder (DNS leak test results)
+ */
+export function createUniquenessServer(store, { dnsLog } = {}) {
+  return createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method === 'OPTIONS') return send(res, 204);
+
+      if (req.method === 'GET' && pathname === '/health') {
+        return send(res, 200, { status: 'ok' });
+      }
+
+      // IP echo for the frontend's offline GeoIP provider (VITE_IP_ENDPOINT)
+      if (req.method === 'GET' && pathname === '/api/v1/ip') {
+        return send(res, 200, { ip: clientAddress(req) });
+      }
+
+      if (req.method === 'GET' && pathname === '/api/v1/stats') {
+        return send(res, 200, { total: store.total });
+      }
+
+      if (req.method === 'POST' && pathname === '/api/v1/submit') {
+        const { visitor, attributes } = validateSubmission(await readJson(req));
+        const result = store.submit(visitor, attributes);
+        await store.save();
+        return send(res, 200, result);
+      }
+
+      const dnsMatch = pathname.match(/^\/api\/v1\/dns\/([^/]+)$/);
+      if (req.method === 'GET' && dnsMatch) {
+        if (!dnsLog) throw new HttpError(404, 'DNS responder disabled');
+        if (!TOKEN_RE.test(dnsMatch[1])) throw new HttpError(400, 'Invalid token');
+        return send(res, 200, { token: dnsMatch[1], resolvers: dnsLog.get(dnsMatch[1]) });
+      }
+
+      const match = pathname.match(/^\/api\/v1\/visitors\/([a-f0-9]{64})$/);
+      if (req.method === 'DELETE' && match) {
+        const removed = store.remove(match[1]);
+        await store.save();
+        return send(res, 200, { removed });
+      }
+
+      throw new HttpError(404, 'Not found');
+    } catch (e) {
+      if (!(e instanceof HttpError)) console.error(e);
+      send(res, e.status || 500, { error: e instanceof HttpError ? e.message : 'Internal error' });
+    }
+  });
+}
+
+// Run directly: node server/index.js
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const store = new UniquenessStore(DATA_FILE, process.env.SALT);
+  await store.load();
+  const dnsLog = DNS_PORT ? new DnsLeakLog() : null;
+  createUniquenessServer(store, { dnsLog }).listen(PORT, HOST, () => {
+    console.log(`Uniqueness server listening on http://${HOST}:${PORT} (${store.total} visitors, data: ${DATA_FILE})`);
+  });
+  if (STUN_PORT) {
+    createStunServer(HOST).bind(STUN_PORT, HOST, () => {
+      console.log(`STUN responder listening on stun:${HOST}:${STUN_PORT}`);
+    });
+  }
+  if (dnsLog) {
+    createDnsServer({ host: HOST, zone: DNS_ZONE, answer: DNS_ANSWER, log: dnsLog }).bind(DNS_PORT, HOST, () => {
+      console.log(`DNS responder for ${DNS_ZONE} listening on udp://${HOST}:${DNS_PORT}`);
+    });
+  }
+}
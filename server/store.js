@@ -0,0 +1,123 @@
+/**
+ * Uniqueness Store
+ * Keeps only salted hashes of attribute values and maintains per-value visitor counts
+ *
+ * Layout (persisted as JSON):
+ *   visitors:     { [visitorHash]: { fingerprint, attributes: { [name]: valueHash }, updated } }
+ *   counts:       { [name]: { [valueHash]: visitors } }
+ *   fingerprints: { [fingerprintHash]: visitors }
+ */
+
+import { createHmac, randomBytes } from 'node:crypto';
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+const EMPTY = () => ({ salt: null, visitors: {}, counts: {}, fingerprints: {} });
+
+export class UniquenessStore {
+  /**
+   * @param {string} file - JSON file used for persistence
+   * @param {string} [salt] - HMAC salt (generated and persisted if omitted)
+   */
+  constructor(file, salt) {
+    this.file = file;
+    this.salt = salt || null;
+    this.state = EMPTY();
+    this.saving = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      this.state = { ...EMPTY(), ...JSON.parse(await readFile(this.file, 'utf8')) };
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    // An explicit salt always wins; otherwise reuse (or create) the persisted one
+    this.state.salt = this.salt || this.state.salt || randomBytes(32).toString('hex');
+    await this.save();
+  }
+
+  save() {
+    // Serialize writes; write-then-rename keeps the file intact if the process dies mid-write.
+    // A failed write only fails its own caller, the next save starts fresh.
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      await mkdir(dirname(this.file), { recursive: true });
+      const tmp = this.file + '.tmp';
+      await writeFile(tmp, JSON.stringify(this.state));
+      await rename(tmp, this.file);
+    });
+    return this.saving;
+  }
+
+  hash(...parts) {
+    return createHmac('sha256', this.state.salt).update(parts.join('\0')).digest('hex');
+  }
+
+  get total() {
+    return Object.keys(this.state.visitors).length;
+  }
+
+  /**
+   * Records (or replaces) a visitor's attributes and returns anonymity sets
+   * @param {string} visitor - Client-side visitor hash
+   * @param {Object<string, string>} attributes - name -> client-side value hash
+   * @returns {Object} { total, fingerprint: { anonymitySet, share }, attributes: { [name]: { anonymitySet, share } } }
+   */
+  submit(visitor, attributes) {
+    const visitorHash = this.hash('visitor', visitor);
+    const hashed = {};
+    for (const [name, value] of Object.entries(attributes)) {
+      hashed[name] = this.hash('attr', name, value);
+    }
+    const fingerprint = this.hash('fingerprint', ...Object.keys(hashed).sort().map((n) => n + '=' + hashed[n]));
+
+    this.remove(visitorHash, true);
+    this.state.visitors[visitorHash] = { fingerprint, attributes: hashed, updated: Date.now() };
+    this.adjust(fingerprint, hashed, 1);
+
+    return this.anonymity(fingerprint, hashed);
+  }
+
+  /**
+   * Deletes a visitor's record
+   * @param {string} visitor - Client-side visitor hash (or internal hash when `hashed` is true)
+   * @param {boolean} [hashed=false]
+   * @returns {boolean} True if a record was deleted
+   */
+  remove(visitor, hashed = false) {
+    const visitorHash = hashed ? visitor : this.hash('visitor', visitor);
+    const record = this.state.visitors[visitorHash];
+    if (!record) return false;
+    this.adjust(record.fingerprint, record.attributes, -1);
+    delete this.state.visitors[visitorHash];
+    return true;
+  }
+
+  adjust(fingerprint, hashed, delta) {
+    const bump = (table, key) => {
+      table[key] = (table[key] || 0) + delta;
+      if (table[key] <= 0) delete table[key];
+    };
+    bump(this.state.fingerprints, fingerprint);
+    for (const [name, valueHash] of Object.entries(hashed)) {
+      this.state.counts[name] = this.state.counts[name] || {};
+      bump(this.state.counts[name], valueHash);
+    }
+  }
+
+  anonymity(fingerprint, hashed) {
+    const total = this.total;
+    const set = (n) => ({ anonymitySet: n, share: total > 0 ? n / total : 0 });
+
+    const attributes = {};
+    for (const [name, valueHash] of Object.entries(hashed)) {
+      attributes[name] = set(this.state.counts[name]?.[valueHash] || 0);
+    }
+
+    return {
+      total,
+      fingerprint: set(this.state.fingerprints[fingerprint] || 0),
+      attributes,
+    };
+  }
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { UniquenessStore } from './store.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'wyr-store-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('UniquenessStore', () => {
+  it('persists the salt and counts', async () => {
+    const file = join(dir, 'store.json');
+    const store = new UniquenessStore(file);
+    await store.load();
+    store.submit('visitor-a', { cores: 'h1' });
+    await store.save();
+
+    const reloaded = new UniquenessStore(file);
+    await reloaded.load();
+    expect(reloaded.state.salt).toBe(store.state.salt);
+    expect(reloaded.total).toBe(1);
+  });
+
+  it('reports anonymity sets and deletes visitors', async () => {
+    const store = new UniquenessStore(join(dir, 'store.json'), 'salt');
+    await store.load();
+    store.submit('visitor-a', { cores: 'h1', tz: 'h2' });
+    const result = store.submit('visitor-b', { cores: 'h1', tz: 'h3' });
+    expect(result.total).toBe(2);
+    expect(result.attributes.cores).toEqual({ anonymitySet: 2, share: 1 });
+    expect(result.fingerprint.anonymitySet).toBe(1);
+
+    expect(store.remove('visitor-a')).toBe(true);
+    expect(store.remove('visitor-a')).toBe(false);
+    expect(store.total).toBe(1);
+  });
+
+  it('saves again after a failed write', async () => {
+    const blocker = join(dir, 'data');
+    const file = join(blocker, 'store.json');
+    const store = new UniquenessStore(file, 'salt');
+    await store.load();
+
+    // A regular file where the data directory should be makes the next write fail
+    await rm(blocker, { recursive: true });
+    await writeFile(blocker, '');
+    store.submit('visitor-a', { cores: 'h1' });
+    await expect(store.save()).rejects.toThrow();
+
+    await rm(blocker);
+    await expect(store.save()).resolves.toBeUndefined();
+    expect(JSON.parse(await readFile(file, 'utf8')).visitors).not.toEqual({});
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Minimal STUN Binding responder (RFC 8489)
+ * Answers Binding requests with the sender's address (XOR-MAPPED-ADDRESS), which is all the
+ * WebRTC leak test needs from a STUN server. A local stand-in for coturn; no TURN relaying.
+ */
+
+import { createSocket } from 'node:dgram';
+import { isIPv4, isIPv6 } from 'node:net';
+
+const MAGIC_COOKIE = 0x2112a442;
+const BINDING_REQUEST = 0x0001;
+const BINDING_SUCCESS = 0x0101;
+const ATTR_MAPPED_ADDRESS = 0x0001;
+const ATTR_XOR_MAPPED_ADDRESS = 0x0020;
+const HEADER_SIZE = 20;
+
+function addressBytes(address) {
+  if (isIPv4(address)) return Buffer.from(address.split('.').map(Number));
+  // Expand '::' and convert the eight groups
+  const [head, tail = ''] = address.replace(/%.*$/, '').split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const groups = address.includes('::') ? [...left, ...Array(8 - left.length - right.length).fill('0'), ...right] : left;
+  const bytes = Buffer.alloc(16);
+  groups.forEach((group, i) => bytes.writeUInt16BE(parseInt(group, 16), i * 2));
+  return bytes;
+}
+
+function addressAttribute(type, family, port, address) {
+  const value = Buffer.alloc(4 + address.length);
+  value[1] = family;
+  value.writeUInt16BE(port, 2);
+  address.copy(value, 4);
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(type, 0);
+  header.writeUInt16BE(value.length, 2);
+  return Buffer.concat([header, value]);
+}
+
+/**
+ * Builds the Binding success response for a request
+ * @param {Buffer} request
+ * @param {{ address: string, port: number }} remote
+ * @returns {Buffer|null} Null if the message is not a Binding request
+ */
+export function bindingResponse(request, remote) {
+  if (request.length < HEADER_SIZE || request.readUInt16BE(0) !== BINDING_REQUEST || request.readUInt32BE(4) !== MAGIC_COOKIE) {
+    return null;
+  }
+  const transactionId = request.subarray(8, HEADER_SIZE);
+  // IPv4 peers on a dual-stack socket appear as ::ffff:a.b.c.d
+  const address = remote.address.replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+  const bytes = addressBytes(address);
+  const family = bytes.length === 4 ? 0x01 : 0x02;
+
+  // XOR with the magic cookie (and the transaction id for the rest of an IPv6 address)
+  const key = Buffer.concat([request.subarray(4, 8), transactionId]);
+  const xored = Buffer.from(bytes.map((b, i) => b ^ key[i]));
+  const xorPort = remote.port ^ (MAGIC_COOKIE >>> 16);
+
+  const attributes = Buffer.concat([
+    addressAttribute(ATTR_XOR_MAPPED_ADDRESS, family, xorPort, xored),
+    // Plain MAPPED-ADDRESS for RFC 3489 clients
+    addressAttribute(ATTR_MAPPED_ADDRESS, family, remote.port, bytes),
+  ]);
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.writeUInt16BE(BINDING_SUCCESS, 0);
+  header.writeUInt16BE(attributes.length, 2);
+  header.writeUInt32BE(MAGIC_COOKIE, 4);
+  transactionId.copy(header, 8);
+  return Buffer.concat([header, attributes]);
+}
+
+/**
+ * Creates the UDP STUN server (call .bind(port, host) to start)
+ * @param {string} host - Listen address; IPv6 hosts get a dual-stack socket
+ * @returns {import('node:dgram').Socket}
+ */
+export function createStunServer(host) {
+  const socket = createSocket({ type: isIPv6(host) ? 'udp6' : 'udp4' });
+  socket.on('message', (message, remote) => {
+    const response = bindingResponse(message, remote);
+    if (response) socket.send(response, remote.port, remote.address);
+  });
+  socket.on('error', (e) => console.error('STUN server error:', e));
+  return socket;
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { createSocket } from 'node:dgram';
+import { once } from 'node:events';
+import { bindingResponse, createStunServer } from './stun.js';
+
+const MAGIC_COOKIE = 0x2112a442;
+
+function bindingRequest(transactionId = Buffer.from('0123456789ab')) {
+  const request = Buffer.alloc(20);
+  request.writeUInt16BE(0x0001, 0);
+  request.writeUInt32BE(MAGIC_COOKIE, 4);
+  transactionId.copy(request, 8);
+  return request;
+}
+
+/**
+ * Decodes the address attributes of a Binding response
+ * @returns {Object<number, { family: number, port: number, address: Buffer }>} By attribute type
+ */
+function readAttributes(response) {
+  const attributes = {};
+  let offset = 20;
+  while (offset < 20 + response.readUInt16BE(2)) {
+    const type = response.readUInt16BE(offset);
+    const length = response.readUInt16BE(offset + 2);
+    const value = response.subarray(offset + 4, offset + 4 + length);
+    attributes[type] = { family: value[1], port: value.readUInt16BE(2), address: value.subarray(4) };
+    offset += 4 + length;
+  }
+  return attributes;
+}
+
+/**
+ * Reverses XOR-MAPPED-ADDRESS (RFC 8489, section 14.2)
+ */
+function unxor({ port, address }, response) {
+  const key = response.subarray(4, 20);
+  return { port: port ^ (MAGIC_COOKIE >>> 16), address: Buffer.from(address.map((b, i) => b ^ key[i])) };
+}
+
+describe('bindingResponse', () => {
+  it('answers with the IPv4 sender in XOR-MAPPED-ADDRESS and MAPPED-ADDRESS', () => {
+    const request = bindingRequest();
+    const response = bindingResponse(request, { address: '192.0.2.1', port: 54321 });
+
+    expect(response.readUInt16BE(0)).toBe(0x0101);
+    expect(response.readUInt32BE(4)).toBe(MAGIC_COOKIE);
+    expect(response.subarray(8, 20)).toEqual(request.subarray(8, 20));
+
+    const attributes = readAttributes(response);
+    expect(attributes[0x0020].family).toBe(0x01);
+    expect(unxor(attributes[0x0020], response)).toEqual({ port: 54321, address: Buffer.from([192, 0, 2, 1]) });
+    expect(attributes[0x0001]).toEqual({ family: 0x01, port: 54321, address: Buffer.from([192, 0, 2, 1]) });
+  });
+
+  it('answers IPv6 senders', () => {
+    const response = bindingResponse(bindingRequest(), { address: '2001:db8::1', port: 3478 });
+    const attribute = readAttributes(response)[0x0020];
+    expect(attribute.family).toBe(0x02);
+    expect(unxor(attribute, response).address).toEqual(Buffer.from('20010db8000000000000000000000001', 'hex'));
+  });
+
+  it('reports IPv4 peers of a dual-stack socket as IPv4', () => {
+    const response = bindingResponse(bindingRequest(), { address: '::ffff:192.0.2.1', port: 1 });
+    expect(readAttributes(response)[0x0001].address).toEqual(Buffer.from([192, 0, 2, 1]));
+  });
+
+  it('ignores other messages', () => {
+    expect(bindingResponse(Buffer.alloc(8), { address: '192.0.2.1', port: 1 })).toBeNull();
+    const indication = bindingRequest();
+    indication.writeUInt16BE(0x0011, 0);
+    expect(bindingResponse(indication, { address: '192.0.2.1', port: 1 })).toBeNull();
+    const classic = bindingRequest();
+    classic.writeUInt32BE(0, 4);
+    expect(bindingResponse(classic, { address: '192.0.2.1', port: 1 })).toBeNull();
+  });
+});
+
+describe('createStunServer', () => {
+  it('answers over UDP', async () => {
+    const server = createStunServer('127.0.0.1');
+    server.bind(0, '127.0.0.1');
+    await once(server, 'listening');
+    const client = createSocket('udp4');
+    client.bind(0, '127.0.0.1');
+    await once(client, 'listening');
+
+    try {
+      client.send(bindingRequest(), server.address().port, '127.0.0.1');
+      const [response] = await once(client, 'message');
+      const mapped = unxor(readAttributes(response)[0x0020], response);
+      expect(mapped).toEqual({ port: client.address().port, address: Buffer.from([127, 0, 0, 1]) });
+    } finally {
+      client.close();
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Programmatic Entry Point
+ * Framework-free API for running the collectors outside the Vue UI (e.g. QA pages)
+ *
+ *   import { analyze } from 'what-you-reveal';
+ *   const report = await analyze({ modules: ['webgl', 'fonts'], timeout: 10000 });
+ */
+
+import './modules';
+import { resolveCollectors, runCollectors } from './core/runner';
+import { createReport, applyResult, toReportDocument } from './core/report';
+
+export { registerCollector, unregisterCollector, getCollector, getCollectors } from './core/registry';
+export { createSignal, toSignals, toSignalKey } from './core/signal';
+export { registerConsistencyRule, getConsistencyRules, evaluateConsistency } from './core/consistency';
+export { REPORT_SCHEMA_VERSION, REPORT_SCHEMA_URL } from './core/report';
+export { registerGeoIPProvider, lookupIP } from './core/geoip';
+export { getConfig, configure } from './config';
+
+/**
+ * Runs the collectors and resolves to the versioned report document
+ * @param {Object} [options]
+ * @param {string[]} [options.modules] - Collector ids to run (dependencies are included automatically); all if omitted
+ * @param {number} [options.timeout=15000] - Per-collector timeout in ms (0 = none)
+ * @param {AbortSignal} [options.signal] - Cancels collectors that have not settled yet
+ * @param {Function} [options.onProgress] - Called with { id, completed, total, result } as each collector settles
+ * @returns {Promise<Object>} Report document (see public/report.schema.json)
+ */
+export async function analyze({ modules, timeout = 15000, signal, onProgress } = {}) {
+  const collectors = resolveCollectors(modules);
+  const report = createReport(collectors);
+  const start = performance.now();
+
+  await runCollectors(collectors, {
+    timeout,
+    signal,
+    onProgress: (progress) => {
+      applyResult(report, progress.result);
+      if (onProgress) onProgress(progress);
+    },
+  });
+
+  report.meta.duration = Math.round(performance.now() - start);
+  return toReportDocument(report);
+}
+
+export default analyze;
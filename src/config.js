@@ -0,0 +1,48 @@
+/**
+ * Runtime Configuration
+ * Defaults come from Vite env vars (VITE_*, see .env.example); embedders of analyze() can override via configure()
+ */
+
+const env = import.meta.env || {};
+
+const config = {
+  // Self-hosted uniqueness server (server/), e.g. 'http://localhost:8787'. Empty = feature off.
+  uniquenessEndpoint: env.VITE_UNIQUENESS_ENDPOINT || '',
+
+  // Public IP / GeoIP source: 'ipapi' (ipapi.co), 'mmdb' (offline databases below), 'ipify' (IP only) or 'none'
+  geoipProvider: env.VITE_GEOIP_PROVIDER || 'ipapi',
+  // Returns { ip } for the 'ipify' and 'mmdb' providers (the uniqueness server exposes /api/v1/ip)
+  ipEndpoint: env.VITE_IP_ENDPOINT || 'https://api.ipify.org?format=json',
+  // Single-stack IP echoes for the dual-stack check (hosts with only an A / only an AAAA record),
+  // e.g. 'https://api4.ipify.org?format=json' / 'https://api6.ipify.org?format=json'. Empty = stack not tested.
+  ipv4Endpoint: env.VITE_IPV4_ENDPOINT || '',
+  ipv6Endpoint: env.VITE_IPV6_ENDPOINT || '',
+  // STUN/TURN servers for the WebRTC leak test (comma-separated URLs), e.g. the uniqueness server's
+  // STUN responder ('stun:localhost:3478') or a local coturn. Empty = host candidates only.
+  stunServers: env.VITE_STUN_SERVERS || '',
+  turnServer: env.VITE_TURN_SERVER || '',
+  turnUsername: env.VITE_TURN_USERNAME || '',
+  turnCredential: env.VITE_TURN_CREDENTIAL || '',
+  // DNS leak test: zone served by the DNS responder (server/, DNS_ZONE) and the server reporting
+  // its query log (defaults to the uniqueness server). Empty zone = test off.
+  dnsLeakZone: env.VITE_DNS_LEAK_ZONE || '',
+  dnsLeakEndpoint: env.VITE_DNS_LEAK_ENDPOINT || env.VITE_UNIQUENESS_ENDPOINT || '',
+  // MMDB files for the 'mmdb' provider, e.g. GeoLite2-City / GeoLite2-ASN copied into public/geoip/
+  geoipCityDatabase: env.VITE_GEOIP_CITY_DB || '/geoip/GeoLite2-City.mmdb',
+  geoipAsnDatabase: env.VITE_GEOIP_ASN_DB || '/geoip/GeoLite2-ASN.mmdb',
+};
+
+/**
+ * @returns {Object} Current configuration
+ */
+export function getConfig() {
+  return config;
+}
+
+/**
+ * Overrides configuration values
+ * @param {Object} overrides
+ */
+export function configure(overrides) {
+  Object.assign(config, overrides);
+}
@@ -0,0 +1,113 @@
+/**
+ * Consistency Engine
+ * Cross-checks collector outputs against each other; contradictions between modules are the
+ * strongest sign of a spoofed User-Agent, an anti-detect browser or a tampered environment
+ * Framework-free: rules only see signals, never the live browser APIs
+ *
+ * Rules can be added from outside, like collectors:
+ *   registerConsistencyRule({ id: 'my_rule', title: 'My Rule', sources: ['hardware'], check: (ctx) => ... });
+ */
+
+const rules = new Map();
+
+/**
+ * Registers a consistency rule
+ * @param {Object} rule
+ * @param {string} rule.id - Unique machine id
+ * @param {string} rule.title - Shown as the finding label
+ * @param {string} [rule.severity] - Default severity of a finding: 'warning' or 'critical'
+ * @param {string[]} rule.sources - Collector ids the rule reads; it is skipped unless all of them produced signals
+ * @param {Function} rule.check - (ctx) => null when consistent, else an evidence string or { evidence, severity }
+ */
+export function registerConsistencyRule(rule) {
+  if (!rule || typeof rule.id !== 'string' || !rule.id) {
+    throw new Error('Consistency rule requires a string id');
+  }
+  if (typeof rule.check !== 'function') {
+    throw new Error(`Consistency rule "${rule.id}" requires a check() function`);
+  }
+  if (rules.has(rule.id)) {
+    throw new Error(`Consistency rule "${rule.id}" is already registered`);
+  }
+
+  rules.set(rule.id, {
+    title: rule.id,
+    severity: 'warning',
+    sources: [],
+    ...rule,
+  });
+}
+
+/**
+ * @returns {Object[]} All rules in registration order
+ */
+export function getConsistencyRules() {
+  return Array.from(rules.values());
+}
+
+/**
+ * Read-only view over collector signals handed to rule checks
+ * @param {Object} results - Signals keyed by collector id (null for failed collectors)
+ */
+function createContext(results) {
+  const find = (source, key) => {
+    const signals = results[source];
+    return signals ? Object.values(signals).find((s) => s.key === key) : undefined;
+  };
+
+  return {
+    has: (source) => Boolean(results[source]),
+    /** Raw value of a signal (falls back to its display value), or undefined if absent */
+    get: (source, key) => {
+      const signal = find(source, key);
+      if (!signal) return undefined;
+      return signal.raw ?? signal.value;
+    },
+    /** Display value of a signal, or undefined if absent */
+    text: (source, key) => {
+      const signal = find(source, key);
+      return signal ? String(signal.value) : undefined;
+    },
+  };
+}
+
+/**
+ * Runs every rule whose sources are available
+ * @param {Object} results - Signals keyed by collector id
+ * @param {Object[]} [ruleList] - Defaults to every registered rule
+ * @returns {{ findings: Object[], evaluated: number, skipped: string[] }} Findings are { id, title, severity, evidence }
+ */
+export function evaluateConsistency(results, ruleList = getConsistencyRules()) {
+  const ctx = createContext(results || {});
+  const findings = [];
+  const skipped = [];
+  let evaluated = 0;
+
+  for (const rule of ruleList) {
+    if (!rule.sources.every(ctx.has)) {
+      skipped.push(rule.id);
+      continue;
+    }
+
+    let outcome;
+    try {
+      outcome = rule.check(ctx);
+    } catch (e) {
+      console.warn(`Consistency rule "${rule.id}" failed:`, e);
+      skipped.push(rule.id);
+      continue;
+    }
+    evaluated++;
+    if (!outcome) continue;
+
+    const finding = typeof outcome === 'string' ? { evidence: outcome } : outcome;
+    findings.push({
+      id: rule.id,
+      title: rule.title,
+      severity: finding.severity || rule.severity,
+      evidence: finding.evidence,
+    });
+  }
+
+  return { findings, evaluated, skipped };
+}
@@ -0,0 +1,116 @@
+import { describe, it, expect, vi } from 'vitest';
+import { registerConsistencyRule, evaluateConsistency } from './consistency';
+import { getConsistencyDependencies } from '../modules/fingerprint/consistency';
+import { registerCollector, getCollector } from './registry';
+import { resolveCollectors, runCollectors } from './runner';
+import { createSignal } from './signal';
+import '../modules/index';
+
+/**
+ * Builds collector results from { source: { key: raw } }
+ */
+function results(sources) {
+  return Object.fromEntries(Object.entries(sources).map(([source, values]) => [
+    source,
+    Object.fromEntries(Object.entries(values).map(([key, raw]) => [key, createSignal(source, key, { key, value: raw, raw })])),
+  ]));
+}
+
+const WINDOWS_CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const IPHONE_SAFARI = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+describe('registerConsistencyRule', () => {
+  it('rejects rules without an id or check and duplicate ids', () => {
+    expect(() => registerConsistencyRule({ check: () => null })).toThrow(/string id/);
+    expect(() => registerConsistencyRule({ id: 'test_no_check' })).toThrow(/check\(\)/);
+    registerConsistencyRule({ id: 'test_duplicate', check: () => null });
+    expect(() => registerConsistencyRule({ id: 'test_duplicate', check: () => null })).toThrow(/already registered/);
+  });
+});
+
+describe('evaluateConsistency', () => {
+  const rule = (overrides) => ({ title: 'Test', severity: 'warning', sources: ['a'], check: () => null, ...overrides });
+
+  it('skips rules whose sources are missing or whose check throws', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { findings, evaluated, skipped } = evaluateConsistency(results({ a: {} }), [
+      rule({ id: 'missing', sources: ['b'] }),
+      rule({ id: 'throws', check: () => { throw new Error('boom'); } }),
+      rule({ id: 'fine' }),
+    ]);
+    expect(findings).toEqual([]);
+    expect(evaluated).toBe(1);
+    expect(skipped).toEqual(['missing', 'throws']);
+    vi.restoreAllMocks();
+  });
+
+  it('turns evidence strings and objects into findings', () => {
+    const { findings } = evaluateConsistency(results({ a: { cores: 4 } }), [
+      rule({ id: 'text', check: (ctx) => `cores ${ctx.get('a', 'cores')}` }),
+      rule({ id: 'object', check: () => ({ evidence: 'worse', severity: 'critical' }) }),
+    ]);
+    expect(findings).toEqual([
+      { id: 'text', title: 'Test', severity: 'warning', evidence: 'cores 4' },
+      { id: 'object', title: 'Test', severity: 'critical', evidence: 'worse' },
+    ]);
+  });
+});
+
+describe('built-in rules', () => {
+  const ids = (sources) => evaluateConsistency(results(sources)).findings.map((f) => f.id);
+
+  it('depend on the collectors they read', () => {
+    expect(getConsistencyDependencies()).toEqual(expect.arrayContaining(['navigator', 'client_hints', 'hardware', 'webgl']));
+  });
+
+  it('accept a consistent Windows Chrome profile', () => {
+    expect(ids({
+      navigator: { user_agent: WINDOWS_CHROME, platform_legacy: 'Win32', language: 'en-US', languages: ['en-US', 'en'] },
+      client_hints: { platform: 'Windows', browser_brands: [{ brand: 'Google Chrome', version: '120' }] },
+      hardware: { cpu_cores_logical: 8, device_class: 'Desktop', touch_points: 0 },
+    })).toEqual([]);
+  });
+
+  it('accept iPadOS reporting MacIntel', () => {
+    expect(ids({ navigator: { user_agent: IPHONE_SAFARI.replace('iPhone', 'iPad'), platform_legacy: 'MacIntel' } })).toEqual([]);
+  });
+
+  it('flag a spoofed platform and a mobile UA without touch', () => {
+    expect(ids({
+      navigator: { user_agent: IPHONE_SAFARI, platform_legacy: 'Win32' },
+      hardware: { cpu_cores_logical: 8, device_class: 'Mobile Phone', touch_points: 0 },
+    })).toEqual(expect.arrayContaining(['ua_vs_legacy_platform', 'mobile_ua_without_touch']));
+  });
+
+  it('flag Client Hints that disagree with the User-Agent', () => {
+    expect(ids({
+      navigator: { user_agent: WINDOWS_CHROME },
+      client_hints: { platform: 'macOS', browser_brands: [{ brand: 'Google Chrome', version: '118' }] },
+    })).toEqual(expect.arrayContaining(['ua_vs_client_hints_platform', 'ua_vs_client_hints_brand']));
+  });
+
+  it('flag an Apple GPU behind a Windows User-Agent', () => {
+    expect(ids({ navigator: { user_agent: WINDOWS_CHROME }, webgl: { renderer_model: 'Apple M2' } })).toContain('gpu_vs_os');
+  });
+});
+
+describe('rules registered later', () => {
+  it('get their sources scheduled ahead of the consistency collector', async () => {
+    registerCollector({
+      id: 'test_late_source',
+      collect: async () => ({ 'Late Value': { key: 'late_value', value: 'spoofed' } }),
+    });
+    registerConsistencyRule({
+      id: 'test_late_rule',
+      title: 'Late Rule',
+      sources: ['test_late_source'],
+      check: (ctx) => `late value is ${ctx.get('test_late_source', 'late_value')}`,
+    });
+
+    expect(resolveCollectors(['consistency']).map((c) => c.id)).toContain('test_late_source');
+
+    const results = await runCollectors([getCollector('test_late_source'), getCollector('consistency')]);
+    const finding = Object.values(results.consistency.signals).find((s) => s.key === 'rule_test_late_rule');
+    expect(finding).toMatchObject({ value: 'late value is spoofed', level: 'warning' });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Entropy Engine
+ * Converts observed attribute values into surprisal (bits) using the bundled reference distribution
+ *
+ * Surprisal = -log2(p), where p is the share of browsers reporting the same value.
+ * Totals assume attributes are independent, so they are an upper bound on real identifiability.
+ */
+
+import reference from '../data/reference_distribution.json';
+
+export const REFERENCE_VERSION = reference.version;
+
+// Values missing from the dataset are assumed to appear at most once in the sample
+const UNLISTED_PROBABILITY = 1 / reference.sampleSize;
+
+/**
+ * Maps a number onto a bucket label (e.g. 42 with [0, 1, 11, 31] -> '31+')
+ * @param {number[]} bounds - Ascending lower bounds
+ * @param {number} n
+ * @returns {string} Bucket label ('0', '1-10', '151+')
+ */
+export function bucketLabel(bounds, n) {
+  for (let i = bounds.length - 1; i >= 0; i--) {
+    if (n >= bounds[i]) {
+      if (i === bounds.length - 1) return `${bounds[i]}+`;
+      const upper = bounds[i + 1] - 1;
+      return upper === bounds[i] ? String(upper) : `${bounds[i]}-${upper}`;
+    }
+  }
+  return String(n);
+}
+
+/**
+ * Looks up the reference frequency of a value
+ * @param {string} attribute - Attribute name in the reference dataset
+ * @param {*} value - Observed value
+ * @returns {number|null} Probability in (0, 1], or null for unknown attributes
+ */
+export function frequency(attribute, value) {
+  const attr = reference.attributes[attribute];
+  if (!attr) return null;
+  if (attr.type === 'hash') return Math.pow(2, -attr.bits);
+
+  const key = attr.buckets ? bucketLabel(attr.buckets, Number(value)) : String(value ?? '');
+  return attr.values[key] ?? UNLISTED_PROBABILITY;
+}
+
+/**
+ * Information content of an observed value
+ * @param {string} attribute
+ * @param {*} value
+ * @returns {number|null} Surprisal in bits (null for unknown attributes)
+ */
+export function surprisal(attribute, value) {
+  const p = frequency(attribute, value);
+  return p === null ? null : -Math.log2(p);
+}
+
+/**
+ * Sums surprisal of several attributes (unknown attributes are skipped)
+ * @param {Object<string, *>} observations - attribute -> value
+ * @returns {{ total: number, bits: Object<string, number> }}
+ */
+export function measure(observations) {
+  const bits = {};
+  let total = 0;
+  for (const [attribute, value] of Object.entries(observations)) {
+    const b = surprisal(attribute, value);
+    if (b === null) continue;
+    bits[attribute] = b;
+    total += b;
+  }
+  return { total, bits };
+}
+
+/**
+ * Formats bits for display, e.g. '7.3 bits (1 in 157)'
+ * @param {number} bits
+ * @returns {string}
+ */
+export function formatBits(bits) {
+  const oneIn = Math.round(Math.pow(2, bits));
+  const compact = new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 }).format(oneIn);
+  return `${bits.toFixed(1)} bits (1 in ${compact})`;
+}
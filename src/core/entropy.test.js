@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { bucketLabel, frequency, surprisal, measure, formatBits } from './entropy';
+
+describe('bucketLabel', () => {
+  const bounds = [0, 1, 11, 31];
+
+  it('labels ranges, single values and the open top bucket', () => {
+    expect(bucketLabel(bounds, 0)).toBe('0');
+    expect(bucketLabel(bounds, 5)).toBe('1-10');
+    expect(bucketLabel(bounds, 30)).toBe('11-30');
+    expect(bucketLabel(bounds, 42)).toBe('31+');
+  });
+
+  it('returns values below the first bound unchanged', () => {
+    expect(bucketLabel([1, 2], 0)).toBe('0');
+  });
+});
+
+describe('frequency', () => {
+  it('returns null for unknown attributes', () => {
+    expect(frequency('no_such_attribute', 'x')).toBeNull();
+  });
+
+  it('looks up listed values and falls back to one in the sample size', () => {
+    expect(frequency('platform', 'Windows')).toBe(0.68);
+    expect(frequency('platform', 'Plan 9')).toBe(1 / 100000);
+  });
+
+  it('buckets numeric attributes so common values are not scored as unique', () => {
+    expect(frequency('hardware_concurrency', 14)).toBe(frequency('hardware_concurrency', 13));
+    expect(frequency('hardware_concurrency', 64)).toBe(frequency('hardware_concurrency', 33));
+    expect(frequency('languages_count', 7)).toBe(0.03);
+  });
+
+  it('uses the fixed bit estimate for hash attributes', () => {
+    expect(frequency('canvas_hash', 'deadbeef')).toBe(Math.pow(2, -8.3));
+  });
+});
+
+describe('surprisal', () => {
+  it('is -log2 of the frequency', () => {
+    expect(surprisal('mobile', 'false')).toBeCloseTo(-Math.log2(0.85));
+    expect(surprisal('canvas_hash', 'deadbeef')).toBeCloseTo(8.3);
+    expect(surprisal('no_such_attribute', 'x')).toBeNull();
+  });
+});
+
+describe('measure', () => {
+  it('sums known attributes and skips unknown ones', () => {
+    const { total, bits } = measure({ platform: 'Windows', mobile: 'false', no_such_attribute: 'x' });
+    expect(Object.keys(bits)).toEqual(['platform', 'mobile']);
+    expect(total).toBeCloseTo(bits.platform + bits.mobile);
+  });
+});
+
+describe('formatBits', () => {
+  it('shows bits and the equivalent 1-in-N share', () => {
+    expect(formatBits(10)).toBe('10.0 bits (1 in 1K)');
+    expect(formatBits(1)).toBe('1.0 bits (1 in 2)');
+  });
+});
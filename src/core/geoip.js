@@ -0,0 +1,282 @@
+/**
+ * GeoIP / IP Provider Layer
+ * One shared, cached public-IP + GeoIP lookup per page load, behind pluggable providers
+ * (selected with the `geoipProvider` config option)
+ */
+
+import { getConfig } from '../config';
+import { MMDBReader } from '../utils/mmdb';
+import { normalizeIP, parseIP } from '../utils/ip';
+
+/**
+ * @typedef {Object} GeoIPResult
+ * @property {string} ip - Public IP address
+ * @property {string} provider - Id of the provider that answered
+ * @property {string} [city]
+ * @property {string} [region]
+ * @property {string} [country] - Country name
+ * @property {string} [countryCode] - ISO 3166-1 alpha-2
+ * @property {string} [postal]
+ * @property {number} [latitude]
+ * @property {number} [longitude]
+ * @property {string} [timezone] - IANA time zone of the location
+ * @property {string} [asn] - e.g. 'AS13335'
+ * @property {string} [org] - ISP / AS organization
+ */
+
+const providers = new Map();
+
+// Shared lookups for this page load (cleared on failure so a retry can try again)
+let pending = null;
+let pendingDualStack = null;
+// locateIP() results by address
+const located = new Map();
+
+// A broken IPv6 route usually hangs instead of failing fast
+const STACK_TIMEOUT = 5000;
+
+/**
+ * Registers a provider
+ * @param {Object} provider
+ * @param {string} provider.id - Value of the `geoipProvider` config option
+ * @param {string} provider.title - Display name
+ * @param {string} provider.url - Source shown next to the data
+ * @param {boolean} [provider.geo=true] - False if the provider only returns the IP
+ * @param {(config: Object) => Promise<GeoIPResult>} provider.lookup
+ * @param {(ip: string, config: Object) => Promise<GeoIPResult>} [provider.locate] - Looks up an arbitrary address
+ */
+export function registerGeoIPProvider(provider) {
+  if (!provider || typeof provider.id !== 'string' || !provider.id) {
+    throw new Error('GeoIP provider requires a string id');
+  }
+  if (typeof provider.lookup !== 'function') {
+    throw new Error(`GeoIP provider "${provider.id}" requires a lookup function`);
+  }
+  providers.set(provider.id, { geo: true, ...provider });
+}
+
+/**
+ * @returns {Object|null} The configured provider, or null if lookups are disabled ('none')
+ */
+export function getGeoIPProvider() {
+  const { geoipProvider } = getConfig();
+  if (geoipProvider === 'none') return null;
+  const provider = providers.get(geoipProvider);
+  if (!provider) throw new Error(`Unknown GeoIP provider: ${geoipProvider}`);
+  return provider;
+}
+
+/**
+ * Resolves the public IP and its location with the configured provider
+ * Every caller shares one request per page load; `signal` only stops the caller from waiting
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<GeoIPResult>}
+ */
+export function lookupIP({ signal } = {}) {
+  if (!pending) {
+    pending = Promise.resolve()
+      .then(() => {
+        const provider = getGeoIPProvider();
+        if (!provider) throw new Error('IP lookups disabled');
+        return provider.lookup(getConfig()).then((result) => ({ ...result, provider: provider.id }));
+      })
+      .catch((e) => {
+        pending = null;
+        throw e;
+      });
+  }
+
+  return withSignal(pending, signal);
+}
+
+/**
+ * Resolves the public address of each stack separately (IPv4-only and IPv6-only endpoints),
+ * shared per page load like lookupIP()
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ ipv4: string|null, ipv6: string|null }>} Null for a stack without connectivity
+ */
+export function lookupDualStack({ signal } = {}) {
+  if (!pendingDualStack) {
+    const { ipv4Endpoint, ipv6Endpoint } = getConfig();
+    const stack = (url, version) => {
+      if (!url) return Promise.resolve(null);
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), STACK_TIMEOUT);
+      return fetchJson(url, { signal: controller.signal })
+        .then(({ ip }) => (parseIP(ip)?.version === version ? normalizeIP(ip) : null))
+        .catch(() => null)
+        .finally(() => clearTimeout(timeoutId));
+    };
+    pendingDualStack = Promise.all([stack(ipv4Endpoint, 4), stack(ipv6Endpoint, 6)])
+      .then(([ipv4, ipv6]) => ({ ipv4, ipv6 }));
+  }
+  return withSignal(pendingDualStack, signal);
+}
+
+/**
+ * Locates an arbitrary address with the configured provider, once per address per page load;
+ * the public IP reuses the lookupIP() result
+ * @param {string} ip
+ * @returns {Promise<GeoIPResult|null>} Null if the provider cannot look up other addresses
+ */
+export function locateIP(ip) {
+  const key = normalizeIP(ip) || ip;
+  if (!located.has(key)) {
+    const result = locate(key).catch((e) => {
+      located.delete(key);
+      throw e;
+    });
+    located.set(key, result);
+  }
+  return located.get(key);
+}
+
+async function locate(ip) {
+  const provider = getGeoIPProvider();
+  if (!provider || !provider.locate) return null;
+  const own = await lookupIP().catch(() => null);
+  if (own && normalizeIP(own.ip) === ip) return own;
+  return { ...(await provider.locate(ip, getConfig())), ip, provider: provider.id };
+}
+
+/**
+ * Forgets the cached lookups (e.g. after switching providers)
+ */
+export function resetIPLookup() {
+  pending = null;
+  pendingDualStack = null;
+  located.clear();
+}
+
+/**
+ * Lets a caller stop waiting on a shared promise without cancelling it for everyone else
+ */
+function withSignal(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason || new Error('Aborted'));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason || new Error('Aborted'));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  if (!response.ok) throw new Error('API Error: ' + response.status);
+  return response.json();
+}
+
+// --- Built-in providers ---
+
+registerGeoIPProvider({
+  id: 'ipapi',
+  title: 'ipapi.co',
+  url: 'https://ipapi.co',
+  // ipapi.co for HTTPS support (ip-api.com free is HTTP only)
+  lookup: () => fetchIpapi('https://ipapi.co/json/'),
+  locate: (ip) => fetchIpapi(`https://ipapi.co/${encodeURIComponent(ip)}/json/`),
+});
+
+async function fetchIpapi(url) {
+  const geo = await fetchJson(url);
+  if (geo.error) throw new Error(geo.reason || 'GeoIP Lookup Failed');
+  return {
+    ip: geo.ip,
+    city: geo.city,
+    region: geo.region,
+    country: geo.country_name,
+    countryCode: geo.country_code,
+    postal: geo.postal,
+    latitude: geo.latitude,
+    longitude: geo.longitude,
+    timezone: geo.timezone,
+    asn: geo.asn,
+    org: geo.org,
+  };
+}
+
+registerGeoIPProvider({
+  id: 'ipify',
+  title: 'ipify (IP only)',
+  url: 'https://www.ipify.org',
+  geo: false,
+  lookup: async ({ ipEndpoint }) => ({ ip: (await fetchJson(ipEndpoint)).ip }),
+});
+
+// Parsed databases, loaded once per page
+const databases = new Map();
+
+function loadDatabase(url) {
+  if (!databases.has(url)) {
+    const reader = fetch(url)
+      .then((response) => {
+        if (!response.ok) throw new Error(`GeoIP database ${url}: HTTP ${response.status}`);
+        return response.arrayBuffer();
+      })
+      .then((buffer) => new MMDBReader(buffer));
+    reader.catch(() => databases.delete(url));
+    databases.set(url, reader);
+  }
+  return databases.get(url);
+}
+
+/**
+ * Maps a GeoLite2/GeoIP2 City record (or a flat IPinfo Lite / DB-IP style record) to GeoIPResult fields
+ */
+function fromCityRecord(record) {
+  if (!record) return {};
+  const name = (entry) => entry?.names?.en;
+  return {
+    city: name(record.city),
+    region: name(record.subdivisions?.[0]),
+    country: name(record.country) || record.country,
+    countryCode: record.country?.iso_code || record.country_code,
+    postal: record.postal?.code,
+    latitude: record.location?.latitude,
+    longitude: record.location?.longitude,
+    timezone: record.location?.time_zone,
+  };
+}
+
+function fromAsnRecord(record) {
+  if (!record) return {};
+  const number = record.autonomous_system_number ?? record.asn;
+  return {
+    asn: number === undefined ? undefined : (String(number).startsWith('AS') ? String(number) : `AS${number}`),
+    org: record.autonomous_system_organization || record.as_name,
+  };
+}
+
+registerGeoIPProvider({
+  id: 'mmdb',
+  title: 'Offline MMDB',
+  url: 'https://maxmind.github.io/MaxMind-DB/',
+  lookup: async (config) => {
+    const { ip } = await fetchJson(config.ipEndpoint);
+    if (!ip) throw new Error('IP endpoint returned no address');
+    return { ip, ...(await locateInDatabases(ip, config)) };
+  },
+  locate: (ip, config) => locateInDatabases(ip, config),
+});
+
+/**
+ * Loads a configured database; a missing or broken one only costs its own fields
+ */
+function loadOptionalDatabase(url) {
+  if (!url) return null;
+  return loadDatabase(url).catch((e) => {
+    console.warn('GeoIP database unavailable:', e);
+    return null;
+  });
+}
+
+async function locateInDatabases(ip, { geoipCityDatabase, geoipAsnDatabase }) {
+  const [city, asn] = await Promise.all([loadOptionalDatabase(geoipCityDatabase), loadOptionalDatabase(geoipAsnDatabase)]);
+  const cityRecord = city ? city.get(ip) : null;
+  // A single combined database may carry both location and ASN fields
+  const asnRecord = asn ? asn.get(ip) : cityRecord;
+  return { ...fromCityRecord(cityRecord), ...fromAsnRecord(asnRecord) };
+}
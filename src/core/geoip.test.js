@@ -0,0 +1,96 @@
+import { describe, it, expect, vi } from 'vitest';
+import { configure } from '../config';
+import { lookupIP, lookupDualStack, locateIP, resetIPLookup } from './geoip';
+import { stubFetch, useNetworkConfig } from '../test/network';
+import { buildMMDB } from '../test/mmdb';
+
+useNetworkConfig({ geoipProvider: 'ipapi', ipv4Endpoint: 'https://v4.test/', ipv6Endpoint: 'https://v6.test/' });
+
+describe('lookupIP', () => {
+  it('shares one request per page load', async () => {
+    const requested = stubFetch({ 'https://ipapi.co/json/': { ip: '192.0.2.1', asn: 'AS64500' } });
+    const [a, b] = await Promise.all([lookupIP(), lookupIP()]);
+    expect(a).toEqual(b);
+    expect(a).toMatchObject({ ip: '192.0.2.1', asn: 'AS64500', provider: 'ipapi' });
+    expect(requested).toEqual(['https://ipapi.co/json/']);
+  });
+
+  it('fails when lookups are disabled', async () => {
+    configure({ geoipProvider: 'none' });
+    await expect(lookupIP()).rejects.toThrow(/disabled/);
+  });
+});
+
+describe('lookupDualStack', () => {
+  it('normalizes each stack and drops answers from the wrong one', async () => {
+    stubFetch({ 'https://v4.test/': { ip: '192.0.2.1' }, 'https://v6.test/': { ip: '2001:DB8:0::1' } });
+    expect(await lookupDualStack()).toEqual({ ipv4: '192.0.2.1', ipv6: '2001:db8::1' });
+
+    resetIPLookup();
+    stubFetch({ 'https://v4.test/': { ip: '192.0.2.1' }, 'https://v6.test/': { ip: '192.0.2.1' } });
+    expect(await lookupDualStack()).toEqual({ ipv4: '192.0.2.1', ipv6: null });
+  });
+
+  it('skips unconfigured stacks and never rejects', async () => {
+    configure({ ipv6Endpoint: '' });
+    const requested = stubFetch({});
+    expect(await lookupDualStack()).toEqual({ ipv4: null, ipv6: null });
+    expect(requested).toEqual(['https://v4.test/']);
+  });
+});
+
+describe('locateIP', () => {
+  it('looks each address up once and reuses the public IP lookup', async () => {
+    const requested = stubFetch({
+      'https://ipapi.co/json/': { ip: '192.0.2.1', asn: 'AS64500' },
+      'https://ipapi.co/2001%3Adb8%3A%3A1/json/': { ip: '2001:db8::1', asn: 'AS64501' },
+    });
+    expect(await locateIP('192.0.2.1')).toMatchObject({ asn: 'AS64500' });
+    expect(await locateIP('2001:db8::1')).toMatchObject({ ip: '2001:db8::1', asn: 'AS64501', provider: 'ipapi' });
+    expect(await locateIP('2001:DB8:0::1')).toMatchObject({ asn: 'AS64501' });
+    expect(requested).toEqual(['https://ipapi.co/json/', 'https://ipapi.co/2001%3Adb8%3A%3A1/json/']);
+  });
+
+  it('forgets failed lookups', async () => {
+    stubFetch({ 'https://ipapi.co/json/': { ip: '192.0.2.1' } });
+    await expect(locateIP('2001:db8::1')).rejects.toThrow();
+    stubFetch({ 'https://ipapi.co/json/': { ip: '192.0.2.1' }, 'https://ipapi.co/2001%3Adb8%3A%3A1/json/': { ip: '2001:db8::1' } });
+    await expect(locateIP('2001:db8::1')).resolves.toMatchObject({ ip: '2001:db8::1' });
+  });
+
+  it('returns null for providers that cannot locate other addresses', async () => {
+    configure({ geoipProvider: 'ipify' });
+    expect(await locateIP('192.0.2.1')).toBeNull();
+  });
+});
+
+describe('mmdb provider', () => {
+  const city = buildMMDB({
+    ipVersion: 4,
+    recordSize: 24,
+    networks: [['192.0.2.0/24', { country: { iso_code: 'NL', names: { en: 'Netherlands' } }, city: { names: { en: 'Amsterdam' } } }]],
+  });
+  const asn = buildMMDB({
+    ipVersion: 4,
+    recordSize: 24,
+    networks: [['192.0.2.0/24', { autonomous_system_number: 64500, autonomous_system_organization: 'Example Net' }]],
+  });
+
+  it('merges the city and ASN databases', async () => {
+    configure({ geoipProvider: 'mmdb', ipEndpoint: 'https://ip.test/', geoipCityDatabase: '/city-1.mmdb', geoipAsnDatabase: '/asn-1.mmdb' });
+    stubFetch({ 'https://ip.test/': { ip: '192.0.2.1' }, '/city-1.mmdb': city, '/asn-1.mmdb': asn });
+    expect(await lookupIP()).toMatchObject({ ip: '192.0.2.1', city: 'Amsterdam', countryCode: 'NL', asn: 'AS64500', org: 'Example Net' });
+  });
+
+  it('keeps the IP and the available fields when one database fails to load', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    configure({ geoipProvider: 'mmdb', ipEndpoint: 'https://ip.test/', geoipCityDatabase: '/city-2.mmdb', geoipAsnDatabase: '/asn-2.mmdb' });
+    stubFetch({ 'https://ip.test/': { ip: '192.0.2.1' }, '/asn-2.mmdb': asn });
+
+    const result = await lookupIP();
+    expect(result).toMatchObject({ ip: '192.0.2.1', asn: 'AS64500', provider: 'mmdb' });
+    expect(result.countryCode).toBeUndefined();
+    expect(await locateIP('192.0.2.99')).toMatchObject({ asn: 'AS64500' });
+    vi.restoreAllMocks();
+  });
+});
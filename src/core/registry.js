@@ -0,0 +1,79 @@
+/**
+ * Collector Registry
+ * Central list of data collectors; each registered collector is rendered as a card
+ *
+ * Internal/third-party collectors can be added without touching App.vue:
+ *   import { registerCollector } from './core/registry';
+ *   registerCollector({ id: 'my_check', title: 'MY_CHECK', category: 'custom', collect: async () => ({ ... }) });
+ */
+
+const collectors = new Map();
+
+/**
+ * Registers a collector
+ * @param {Object} collector
+ * @param {string} collector.id - Unique machine id (e.g. 'hardware')
+ * @param {string} collector.title - Card title (e.g. 'DEVICE_CORE')
+ * @param {string} collector.category - Grouping (privacy, network, system, browser, fingerprint, media, access, security)
+ * @param {string[]|Function} [collector.dependencies] - Ids of collectors whose results are passed to collect(),
+ *   or a function returning them (called whenever a run is planned)
+ * @param {Function} collector.collect - async ({ results, signal, onUpdate }) => label-keyed data or signals
+ * @param {number} [collector.timeout] - Timeout in ms, overriding the runner default (0 = none)
+ * @param {string} [collector.loadingText] - Placeholder shown while collecting
+ * @param {Object<string, Function>} [collector.actions] - Handlers for signal actions; the collector re-runs afterwards
+ */
+export function registerCollector(collector) {
+  if (!collector || typeof collector.id !== 'string' || !collector.id) {
+    throw new Error('Collector requires a string id');
+  }
+  if (typeof collector.collect !== 'function') {
+    throw new Error(`Collector "${collector.id}" requires a collect() function`);
+  }
+  if (collector.timeout !== undefined && !(collector.timeout >= 0)) {
+    throw new Error(`Collector "${collector.id}" has an invalid timeout`);
+  }
+  if (collectors.has(collector.id)) {
+    throw new Error(`Collector "${collector.id}" is already registered`);
+  }
+
+  collectors.set(collector.id, {
+    title: collector.id.toUpperCase(),
+    category: 'custom',
+    dependencies: [],
+    loadingText: 'Initializing...',
+    actions: {},
+    ...collector,
+  });
+}
+
+/**
+ * Removes a collector from the registry
+ * @param {string} id
+ * @returns {boolean} True if a collector was removed
+ */
+export function unregisterCollector(id) {
+  return collectors.delete(id);
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|undefined} Registered collector
+ */
+export function getCollector(id) {
+  return collectors.get(id);
+}
+
+/**
+ * @param {Object} collector - Registered collector
+ * @returns {string[]} Ids of the collectors it currently depends on
+ */
+export function getDependencies(collector) {
+  return typeof collector.dependencies === 'function' ? collector.dependencies() : collector.dependencies;
+}
+
+/**
+ * @returns {Object[]} All collectors in registration (display) order
+ */
+export function getCollectors() {
+  return Array.from(collectors.values());
+}
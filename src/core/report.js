@@ -0,0 +1,163 @@
+/**
+ * Report Document
+ * Builds and serializes the versioned JSON report (schema: public/report.schema.json)
+ * Framework-free: shared by the Vue report store and the analyze() API
+ */
+
+import packageJson from '../../package.json';
+import { SIGNAL_LEVELS } from './signal';
+
+export const REPORT_SCHEMA_VERSION = '1.1.0';
+export const REPORT_SCHEMA_URL = 'https://what-you-reveal.vercel.app/report.schema.json';
+
+export const MODULE_STATUSES = ['pending', 'running', 'ok', 'partial', 'error', 'timeout'];
+
+// UI-only signal fields that are not part of the exported document
+const UI_FIELDS = ['action', 'actionLabel', 'element'];
+
+/**
+ * Creates an empty report with every collector pending
+ * @param {Object[]} collectors - Registered collectors
+ * @returns {Object} Report state: { meta, modules }
+ */
+export function createReport(collectors) {
+  const modules = {};
+  for (const c of collectors) {
+    modules[c.id] = {
+      id: c.id,
+      title: c.title,
+      category: c.category,
+      status: 'pending',
+      startedAt: null,
+      duration: null,
+      error: null,
+      signals: null,
+    };
+  }
+
+  return {
+    meta: {
+      generated: new Date().toISOString(),
+      duration: null,
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      url: typeof window !== 'undefined' ? window.location.href : null,
+    },
+    modules,
+  };
+}
+
+/**
+ * Records a settled runner result in the report
+ * @param {Object} report
+ * @param {Object} result - Result from runCollectors()
+ */
+export function applyResult(report, result) {
+  const mod = report.modules[result.id];
+  if (!mod) return;
+  mod.status = result.status;
+  mod.startedAt = result.startedAt;
+  mod.duration = result.duration;
+  mod.error = result.error || null;
+  // A failed retry keeps the signals of the previous run
+  if (result.signals) mod.signals = result.signals;
+}
+
+/**
+ * Serializes report state into the versioned export document
+ * @param {Object} report
+ * @returns {Object} JSON-safe document conforming to report.schema.json
+ */
+export function toReportDocument(report) {
+  const modules = {};
+  for (const [id, mod] of Object.entries(report.modules)) {
+    modules[id] = {
+      id,
+      title: mod.title,
+      category: mod.category,
+      status: mod.status,
+      startedAt: mod.startedAt,
+      duration: mod.duration,
+      error: mod.error,
+      signals: mod.signals
+        ? Object.values(mod.signals).map((signal) => {
+            const out = { ...signal };
+            UI_FIELDS.forEach((field) => delete out[field]);
+            return out;
+          })
+        : [],
+    };
+  }
+
+  return {
+    $schema: REPORT_SCHEMA_URL,
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generator: { name: 'what-you-reveal', version: packageJson.version },
+    meta: { ...report.meta },
+    modules,
+  };
+}
+
+/**
+ * Validates an exported document and turns it back into report state (for replay)
+ * Imported files are untrusted: UI-only fields are dropped and only http(s) links are kept
+ * @param {*} doc - Parsed JSON
+ * @returns {Object} Report state: { meta, modules }
+ * @throws {Error} If the document does not conform to a 1.x report schema
+ */
+export function fromReportDocument(doc) {
+  const fail = (message) => {
+    throw new Error('Invalid report: ' + message);
+  };
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+  if (!isObject(doc)) fail('not a JSON object');
+  if (typeof doc.schemaVersion !== 'string') fail('missing schemaVersion');
+  if (doc.schemaVersion.split('.')[0] !== REPORT_SCHEMA_VERSION.split('.')[0]) {
+    fail(`unsupported schemaVersion ${doc.schemaVersion} (expected ${REPORT_SCHEMA_VERSION.split('.')[0]}.x)`);
+  }
+  if (!isObject(doc.meta) || typeof doc.meta.generated !== 'string') fail('missing meta.generated');
+  if (!isObject(doc.modules)) fail('missing modules');
+
+  const modules = {};
+  for (const [id, mod] of Object.entries(doc.modules)) {
+    if (!isObject(mod)) fail(`module "${id}" is not an object`);
+    if (typeof mod.title !== 'string' || typeof mod.category !== 'string') fail(`module "${id}" lacks title/category`);
+    if (!MODULE_STATUSES.includes(mod.status)) fail(`module "${id}" has unknown status "${mod.status}"`);
+    if (!Array.isArray(mod.signals)) fail(`module "${id}" signals must be an array`);
+
+    const signals = {};
+    for (const signal of mod.signals) {
+      if (!isObject(signal) || typeof signal.key !== 'string' || typeof signal.label !== 'string') {
+        fail(`module "${id}" has a signal without key/label`);
+      }
+      if (!SIGNAL_LEVELS.includes(signal.level)) fail(`signal "${signal.key}" has unknown level "${signal.level}"`);
+
+      const out = { ...signal, source: typeof signal.source === 'string' ? signal.source : id };
+      UI_FIELDS.forEach((field) => delete out[field]);
+      if (typeof out.url !== 'string' || !/^https?:\/\//i.test(out.url)) delete out.url;
+      if (out.value === null || typeof out.value === 'object') out.value = JSON.stringify(out.value);
+      signals[signal.label] = out;
+    }
+
+    modules[id] = {
+      id,
+      title: mod.title,
+      category: mod.category,
+      status: mod.status,
+      startedAt: typeof mod.startedAt === 'string' ? mod.startedAt : null,
+      duration: typeof mod.duration === 'number' ? mod.duration : null,
+      error: typeof mod.error === 'string' ? mod.error : null,
+      signals: mod.signals.length > 0 ? signals : null,
+    };
+  }
+
+  return {
+    meta: {
+      generated: doc.meta.generated,
+      duration: typeof doc.meta.duration === 'number' ? doc.meta.duration : null,
+      userAgent: typeof doc.meta.userAgent === 'string' ? doc.meta.userAgent : null,
+      url: typeof doc.meta.url === 'string' ? doc.meta.url : null,
+    },
+    modules,
+  };
+}
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { createReport, applyResult, toReportDocument, fromReportDocument, REPORT_SCHEMA_VERSION } from './report';
+import { toSignals } from './signal';
+
+function sampleReport() {
+  const report = createReport([{ id: 'network', title: 'NETWORK', category: 'network' }]);
+  applyResult(report, {
+    id: 'network',
+    status: 'ok',
+    startedAt: '2026-01-01T00:00:00.000Z',
+    duration: 12,
+    signals: toSignals('network', {
+      'Public IP': { value: '192.0.2.1', url: 'https://developer.mozilla.org/en-US/docs/Glossary/IP_Address' },
+      'WebRTC': { value: 'Leaking', warning: true, action: 'webrtc-disable', actionLabel: 'Fix', element: '<b>x</b>' },
+    }),
+  });
+  return report;
+}
+
+function document(signals, overrides = {}) {
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    meta: { generated: '2026-01-01T00:00:00.000Z' },
+    modules: { network: { title: 'NETWORK', category: 'network', status: 'ok', signals } },
+    ...overrides,
+  };
+}
+
+describe('applyResult', () => {
+  it('keeps the previous signals when a retry fails', () => {
+    const report = sampleReport();
+    const previous = report.modules.network.signals;
+    applyResult(report, { id: 'network', status: 'timeout', startedAt: null, duration: 5000, error: 'Timed out', signals: null });
+    expect(report.modules.network).toMatchObject({ status: 'timeout', error: 'Timed out', signals: previous });
+  });
+});
+
+describe('toReportDocument', () => {
+  it('drops UI-only fields from the export', () => {
+    const doc = toReportDocument(sampleReport());
+    expect(doc.schemaVersion).toBe(REPORT_SCHEMA_VERSION);
+    const webrtc = doc.modules.network.signals.find((s) => s.key === 'webrtc');
+    expect(webrtc).toMatchObject({ value: 'Leaking', level: 'warning' });
+    expect(webrtc).not.toHaveProperty('action');
+    expect(webrtc).not.toHaveProperty('element');
+  });
+});
+
+describe('fromReportDocument', () => {
+  it('replays an exported report', () => {
+    const replayed = fromReportDocument(JSON.parse(JSON.stringify(toReportDocument(sampleReport()))));
+    expect(replayed.modules.network).toMatchObject({ status: 'ok', duration: 12 });
+    expect(replayed.modules.network.signals['Public IP']).toMatchObject({ value: '192.0.2.1', source: 'network' });
+  });
+
+  it('strips UI fields and non-http(s) links from untrusted files', () => {
+    const { modules } = fromReportDocument(document([
+      { key: 'a', label: 'A', value: 'x', level: 'info', element: '<img src=x onerror=alert(1)>', action: 'evil', actionLabel: 'Go' },
+      { key: 'b', label: 'B', value: 'x', level: 'info', url: 'javascript:alert(1)' },
+      { key: 'c', label: 'C', value: 'x', level: 'info', url: 'HTTPS://example.com/' },
+    ]));
+    const { A, B, C } = modules.network.signals;
+    expect(Object.keys(A).sort()).toEqual(['key', 'label', 'level', 'source', 'value']);
+    expect(B).not.toHaveProperty('url');
+    expect(C.url).toBe('HTTPS://example.com/');
+  });
+
+  it('turns object and null values into text', () => {
+    const { modules } = fromReportDocument(document([
+      { key: 'a', label: 'A', value: { nested: true }, level: 'info' },
+      { key: 'b', label: 'B', value: null, level: 'info' },
+    ]));
+    expect(modules.network.signals.A.value).toBe('{"nested":true}');
+    expect(modules.network.signals.B.value).toBe('null');
+  });
+
+  it('drops meta fields of the wrong type', () => {
+    const { meta } = fromReportDocument(document([], { meta: { generated: 'now', duration: '5', url: 42 } }));
+    expect(meta).toEqual({ generated: 'now', duration: null, userAgent: null, url: null });
+  });
+
+  it('rejects documents that do not match the schema', () => {
+    expect(() => fromReportDocument([])).toThrow(/not a JSON object/);
+    expect(() => fromReportDocument(document([], { schemaVersion: '2.0.0' }))).toThrow(/unsupported schemaVersion/);
+    expect(() => fromReportDocument(document([], { meta: {} }))).toThrow(/meta.generated/);
+    expect(() => fromReportDocument(document([{ key: 'a', label: 'A', value: 'x', level: 'fatal' }]))).toThrow(/unknown level/);
+    expect(() => fromReportDocument(document([{ label: 'A', value: 'x', level: 'info' }]))).toThrow(/without key\/label/);
+  });
+});
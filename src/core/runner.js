@@ -0,0 +1,166 @@
+/**
+ * Collector Runner
+ * Executes registered collectors in parallel, honouring declared dependencies
+ * Framework-free: used by both the Vue UI and the programmatic analyze() API
+ */
+
+import { getCollector, getCollectors, getDependencies } from './registry';
+import { toSignals } from './signal';
+
+/**
+ * Resolves collector ids into collectors, adding their dependencies
+ * @param {string[]} [ids] - Collector ids; all registered collectors if omitted
+ * @returns {Object[]} Collectors in registration order
+ */
+export function resolveCollectors(ids) {
+  if (!ids) return getCollectors();
+
+  const wanted = new Set();
+  const visit = (id) => {
+    if (wanted.has(id)) return;
+    const collector = getCollector(id);
+    if (!collector) throw new Error(`Unknown collector "${id}"`);
+    wanted.add(id);
+    getDependencies(collector).forEach(visit);
+  };
+  ids.forEach(visit);
+
+  return getCollectors().filter((c) => wanted.has(c.id));
+}
+
+/**
+ * Rejects after `ms` milliseconds unless the promise settles first, aborting the collector's controller
+ */
+function withTimeout(promise, ms, controller) {
+  if (!ms) return promise;
+  let timeoutId;
+  const timer = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      const err = new Error(`Timed out after ${ms} ms`);
+      err.name = 'TimeoutError';
+      controller.abort(err);
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timer]).finally(() => clearTimeout(timeoutId));
+}
+
+/**
+ * Rejects as soon as the signal aborts, so a collector that ignores its signal cannot hang the run
+ */
+function untilAborted(promise, signal) {
+  if (signal.aborted) return Promise.reject(signal.reason);
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+/**
+ * Maps a collector failure onto a result status
+ * A collector that already streamed signals before failing is 'partial', so those signals are kept
+ */
+function failureStatus(e, streamed) {
+  if (streamed) return 'partial';
+  return e && e.name === 'TimeoutError' ? 'timeout' : 'error';
+}
+
+/**
+ * Runs collectors and reports each outcome
+ * Each collector gets its own AbortSignal, aborted on timeout or when options.signal aborts
+ * @param {Object[]} collectors - Collectors to run (see resolveCollectors)
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Default per-collector timeout in ms (0 = none); collector.timeout overrides it
+ * @param {AbortSignal} [options.signal] - Cancels every collector that has not settled yet
+ * @param {Object} [options.available] - Signals of collectors not being run (e.g. on retry), keyed by id, passed to dependents
+ * @param {Function} [options.onStart] - Called with (id) once a collector's dependencies are met and it starts
+ * @param {Function} [options.onProgress] - Called with { id, completed, total, result } as each collector settles
+ * @param {Function} [options.onUpdate] - Called with (id, signals) for intermediate (streaming) results
+ * @returns {Promise<Object>} Map of collector id to { id, title, category, status, startedAt, duration, signals, error }
+ */
+export async function runCollectors(collectors, { timeout = 0, signal, available = {}, onStart, onProgress, onUpdate } = {}) {
+  const pending = new Map();
+  const results = {};
+  const total = collectors.length;
+  let completed = 0;
+
+  const run = (collector, chain = []) => {
+    if (pending.has(collector.id)) return pending.get(collector.id);
+    if (chain.includes(collector.id)) {
+      throw new Error(`Circular collector dependency: ${[...chain, collector.id].join(' -> ')}`);
+    }
+
+    const promise = (async () => {
+      const result = {
+        id: collector.id,
+        title: collector.title,
+        category: collector.category,
+        status: 'ok',
+        startedAt: null,
+        duration: 0,
+        signals: null,
+      };
+      const controller = new AbortController();
+      const cancel = () => controller.abort(signal.reason);
+      if (signal) signal.addEventListener('abort', cancel, { once: true });
+      let start = performance.now();
+      let streamed = null;
+
+      try {
+        // A failed dependency is passed through as null rather than failing its dependents
+        const deps = {};
+        for (const depId of getDependencies(collector)) {
+          const dep = collectors.find((c) => c.id === depId);
+          deps[depId] = dep ? (await run(dep, [...chain, collector.id])).signals : (available[depId] || null);
+        }
+        if (signal && signal.aborted) throw signal.reason;
+
+        start = performance.now();
+        result.startedAt = new Date().toISOString();
+        if (onStart) onStart(collector.id);
+
+        const data = await untilAborted(
+          withTimeout(
+            Promise.resolve().then(() => collector.collect({
+              results: deps,
+              signal: controller.signal,
+              onUpdate: (update) => {
+                if (controller.signal.aborted) return;
+                streamed = toSignals(collector.id, update);
+                if (onUpdate) onUpdate(collector.id, streamed);
+              },
+            })),
+            collector.timeout ?? timeout,
+            controller
+          ),
+          controller.signal
+        );
+        // Normalized here too so plugin collectors always yield the signal schema
+        result.signals = toSignals(collector.id, data);
+      } catch (e) {
+        result.status = failureStatus(e, streamed);
+        result.error = e && e.message ? e.message : String(e);
+        result.signals = streamed;
+        console.warn(`Collector "${collector.id}" failed:`, e);
+      } finally {
+        if (signal) signal.removeEventListener('abort', cancel);
+        // Lets collectors release listeners/connections even when they settled on their own
+        controller.abort();
+      }
+
+      result.duration = Math.round(performance.now() - start);
+      results[collector.id] = result;
+      completed++;
+      if (onProgress) onProgress({ id: collector.id, completed, total, result });
+      return result;
+    })();
+
+    pending.set(collector.id, promise);
+    return promise;
+  };
+
+  await Promise.all(collectors.map((c) => run(c)));
+  return results;
+}
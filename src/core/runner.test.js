@@ -0,0 +1,126 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { resolveCollectors, runCollectors } from './runner';
+import { registerCollector, unregisterCollector } from './registry';
+
+/**
+ * Collector with the defaults the registry would fill in
+ */
+function collector(id, collect, extra = {}) {
+  return { id, title: id.toUpperCase(), category: 'custom', dependencies: [], collect, ...extra };
+}
+
+const never = () => new Promise(() => {});
+
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('runCollectors', () => {
+  it('normalizes collector output into signals', async () => {
+    const { a } = await runCollectors([collector('a', async () => ({ 'Cores': 8 }))]);
+    expect(a).toMatchObject({ id: 'a', title: 'A', status: 'ok' });
+    expect(a.error).toBeUndefined();
+    expect(a.signals.Cores).toMatchObject({ key: 'cores', value: 8, source: 'a', level: 'info' });
+    expect(typeof a.startedAt).toBe('string');
+  });
+
+  it('times out and aborts collectors that never settle', async () => {
+    let aborted = null;
+    const { slow } = await runCollectors([
+      collector('slow', ({ signal }) => {
+        signal.addEventListener('abort', () => { aborted = signal.reason; });
+        return never();
+      }),
+    ], { timeout: 20 });
+    expect(slow).toMatchObject({ status: 'timeout', error: 'Timed out after 20 ms', signals: null });
+    expect(aborted.name).toBe('TimeoutError');
+  });
+
+  it('lets a collector override the default timeout', async () => {
+    const results = await runCollectors([
+      collector('short', never, { timeout: 10 }),
+      collector('unlimited', () => new Promise((resolve) => setTimeout(() => resolve({ Done: true }), 30)), { timeout: 0 }),
+    ], { timeout: 20 });
+    expect(results.short.status).toBe('timeout');
+    expect(results.unlimited.status).toBe('ok');
+  });
+
+  it('reports failures as errors', async () => {
+    const { broken } = await runCollectors([collector('broken', async () => { throw new Error('boom'); })]);
+    expect(broken).toMatchObject({ status: 'error', error: 'boom', signals: null });
+  });
+
+  it('keeps streamed signals of a collector that fails later as partial', async () => {
+    const { stream } = await runCollectors([
+      collector('stream', async ({ onUpdate }) => {
+        onUpdate({ 'First': 1 });
+        throw new Error('second step failed');
+      }),
+    ], { timeout: 0 });
+    expect(stream.status).toBe('partial');
+    expect(stream.signals.First.value).toBe(1);
+  });
+
+  it('stops waiting on collectors that ignore an aborted run', async () => {
+    const controller = new AbortController();
+    const run = runCollectors([collector('stuck', never)], { signal: controller.signal });
+    controller.abort(new Error('cancelled'));
+    const { stuck } = await run;
+    expect(stuck).toMatchObject({ status: 'error', error: 'cancelled' });
+  });
+
+  it('passes dependency signals, and null for failed dependencies', async () => {
+    let seen;
+    const results = await runCollectors([
+      collector('report', async ({ results: deps }) => { seen = deps; return {}; }, { dependencies: ['base', 'broken'] }),
+      collector('base', async () => ({ 'Value': 'x' })),
+      collector('broken', async () => { throw new Error('boom'); }),
+    ]);
+    expect(results.report.status).toBe('ok');
+    expect(seen.base.Value.value).toBe('x');
+    expect(seen.broken).toBeNull();
+  });
+
+  it('feeds a retried collector the current signals of collectors not being run', async () => {
+    const available = { base: { Value: { key: 'value', value: 'cached' } } };
+    let seen;
+    const { report } = await runCollectors(
+      [collector('report', async ({ results: deps }) => { seen = deps; throw new Error('still failing'); }, { dependencies: ['base'] })],
+      { available },
+    );
+    expect(seen.base).toBe(available.base);
+    expect(report).toMatchObject({ status: 'error', error: 'still failing', signals: null });
+  });
+
+  it('reports progress for every collector', async () => {
+    const onProgress = vi.fn();
+    await runCollectors([collector('a', async () => ({})), collector('b', async () => { throw new Error('x'); })], { onProgress });
+    expect(onProgress.mock.calls.map(([p]) => [p.id, p.completed, p.total])).toEqual([['a', 1, 2], ['b', 2, 2]]);
+  });
+
+  it('fails collectors caught in a dependency cycle instead of hanging', async () => {
+    const results = await runCollectors([
+      collector('a', async () => ({}), { dependencies: ['b'] }),
+      collector('b', async () => ({}), { dependencies: ['a'] }),
+    ]);
+    expect(results.b).toMatchObject({ status: 'error', error: 'Circular collector dependency: a -> b -> a' });
+    expect(results.a.status).toBe('ok');
+  });
+});
+
+describe('resolveCollectors', () => {
+  afterEach(() => {
+    ['test_base', 'test_dependent'].forEach(unregisterCollector);
+  });
+
+  it('adds dependencies and rejects unknown ids', () => {
+    registerCollector({ id: 'test_base', collect: async () => ({}) });
+    registerCollector({ id: 'test_dependent', dependencies: () => ['test_base'], collect: async () => ({}) });
+    expect(resolveCollectors(['test_dependent']).map((c) => c.id)).toEqual(['test_base', 'test_dependent']);
+    expect(() => resolveCollectors(['test_missing'])).toThrow(/Unknown collector/);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Signal Schema
+ * The single output shape emitted by every collector
+ */
+
+/**
+ * @typedef {'info'|'warning'|'critical'} SignalLevel
+ */
+
+/**
+ * @typedef {Object} Signal
+ * @property {string} key - Stable machine key (e.g. 'cpu_cores_logical')
+ * @property {string} label - Display label (e.g. 'CPU Cores (Logical)')
+ * @property {string|number} value - Display value
+ * @property {*} raw - Raw, unformatted value
+ * @property {SignalLevel} level - Severity level
+ * @property {string} [url] - Documentation URL
+ * @property {string} source - Id of the module that produced the signal
+ * @property {number} [entropy] - Information content in bits
+ * @property {string} [action] - UI action name (emitted by TerminalDataGrid)
+ * @property {string} [actionLabel] - UI action button label
+ * @property {string} [element] - Trusted HTML rendered in place of the value
+ */
+
+export const SIGNAL_LEVELS = ['info', 'warning', 'critical'];
+
+/**
+ * Converts a display label into a stable machine key
+ * @param {string} label
+ * @returns {string} snake_case key
+ */
+export function toSignalKey(label) {
+  return String(label)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * @param {*} entry
+ * @returns {boolean} True if entry already conforms to the Signal shape
+ */
+export function isSignal(entry) {
+  return !!entry && typeof entry === 'object' &&
+    typeof entry.key === 'string' &&
+    typeof entry.source === 'string' &&
+    SIGNAL_LEVELS.includes(entry.level);
+}
+
+/**
+ * Creates a signal
+ * @param {string} source - Module id
+ * @param {string} label - Display label
+ * @param {*} value - Display value (or a { value, raw, url, warning, level, ... } descriptor)
+ * @returns {Signal}
+ */
+export function createSignal(source, label, value) {
+  const desc = value !== null && typeof value === 'object' && !Array.isArray(value) && 'value' in value
+    ? value
+    : { value };
+
+  let level = 'info';
+  if (SIGNAL_LEVELS.includes(desc.level)) {
+    level = desc.level;
+  } else if (desc.warning) {
+    level = 'warning';
+  }
+
+  const display = Array.isArray(desc.value) ? desc.value.join(', ') : desc.value;
+
+  const signal = {
+    key: desc.key || toSignalKey(label),
+    label,
+    value: display === undefined || display === null ? 'N/A' : display,
+    raw: 'raw' in desc ? desc.raw : desc.value,
+    level,
+    source,
+  };
+
+  if (desc.url) signal.url = desc.url;
+  if (typeof desc.entropy === 'number') signal.entropy = desc.entropy;
+  if (desc.action) {
+    signal.action = desc.action;
+    signal.actionLabel = desc.actionLabel || 'Info';
+  }
+  if (desc.element) signal.element = desc.element;
+
+  return signal;
+}
+
+/**
+ * Normalizes a collector's label-keyed output into signals
+ * Accepts bare values and legacy { value, url, warning, action, element } objects
+ * @param {string} source - Module id
+ * @param {Object} data - Label-keyed collector output
+ * @returns {Object<string, Signal>} Signals keyed by display label
+ */
+export function toSignals(source, data) {
+  const signals = {};
+  for (const [label, entry] of Object.entries(data || {})) {
+    signals[label] = isSignal(entry) ? entry : createSignal(source, label, entry);
+  }
+  return signals;
+}
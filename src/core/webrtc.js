@@ -0,0 +1,118 @@
+/**
+ * WebRTC ICE Gathering
+ * One shared candidate gathering per page load against the configured STUN/TURN servers
+ * (`stunServers`, `turnServer` config options), split into host, srflx and relay candidates
+ */
+
+import { getConfig } from '../config';
+import { lookupIP, lookupDualStack } from './geoip';
+import { parseCandidate, normalizeIP, parseIP, ipPrefix } from '../utils/ip';
+
+// srflx answers need a STUN round trip; gathering normally completes well before this
+const GATHER_TIMEOUT = 3000;
+// Privacy extensions rotate the interface half of an IPv6 address between connections
+const IPV6_PREFIX = 64;
+
+let pending = null;
+
+function toList(value) {
+  if (Array.isArray(value)) return value.filter(Boolean);
+  return String(value || '').split(',').map((url) => url.trim()).filter(Boolean);
+}
+
+/**
+ * @returns {RTCIceServer[]} ICE servers from the configuration
+ */
+export function getIceServers() {
+  const { stunServers, turnServer, turnUsername, turnCredential } = getConfig();
+  const servers = [];
+  const stun = toList(stunServers);
+  if (stun.length > 0) servers.push({ urls: stun });
+  const turn = toList(turnServer);
+  if (turn.length > 0) servers.push({ urls: turn, username: turnUsername, credential: turnCredential });
+  return servers;
+}
+
+/**
+ * Gathers ICE candidates for a data channel offer
+ * @returns {Promise<{ servers: RTCIceServer[], host: Object[], srflx: Object[], relay: Object[], prflx: Object[] }|null>}
+ *   Parsed candidates by type (see parseCandidate), deduplicated by address; null if WebRTC is unavailable
+ */
+export function gatherCandidates() {
+  if (!pending) {
+    pending = gather().catch((e) => {
+      pending = null;
+      throw e;
+    });
+  }
+  return pending;
+}
+
+async function gather() {
+  const RTCPeerConnection = window.RTCPeerConnection || window.webkitRTCPeerConnection || window.mozRTCPeerConnection;
+  if (!RTCPeerConnection) return null;
+
+  const servers = getIceServers();
+  const result = { servers, host: [], srflx: [], relay: [], prflx: [] };
+  const seen = new Set();
+  const pc = new RTCPeerConnection({ iceServers: servers });
+
+  try {
+    await new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(resolve, GATHER_TIMEOUT);
+      pc.onicecandidate = (event) => {
+        // A null candidate marks the end of gathering
+        if (!event.candidate) {
+          clearTimeout(timeoutId);
+          resolve();
+          return;
+        }
+        const candidate = parseCandidate(event.candidate.candidate);
+        if (!candidate || candidate.scope === 'invalid' || !result[candidate.type]) return;
+        const key = `${candidate.type}|${candidate.address}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        result[candidate.type].push(candidate);
+      };
+
+      pc.createDataChannel('');
+      pc.createOffer()
+        .then((offer) => pc.setLocalDescription(offer))
+        .catch((e) => {
+          clearTimeout(timeoutId);
+          reject(e);
+        });
+    });
+  } finally {
+    pc.close();
+  }
+  return result;
+}
+
+/**
+ * Compares the server-reflexive (STUN-visible) addresses with the addresses HTTP requests come from
+ * @param {Object[]} srflx - srflx candidates
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ status: 'bypass'|'consistent'|'no-srflx'|'unknown', bypassed: string[], httpAddresses: string[] }>}
+ */
+export async function compareReflexive(srflx, { signal } = {}) {
+  const [single, dual] = await Promise.all([
+    lookupIP({ signal }).catch(() => null),
+    lookupDualStack({ signal }).catch(() => null),
+  ]);
+  const httpAddresses = [...new Set([single?.ip, dual?.ipv4, dual?.ipv6].map(normalizeIP).filter(Boolean))];
+
+  if (srflx.length === 0) return { status: 'no-srflx', bypassed: [], httpAddresses };
+
+  // Only stacks an HTTP echo answered on can be compared (an untested or failed stack has no known route)
+  const tested = new Set(httpAddresses.map((address) => parseIP(address).version));
+  const comparable = srflx.filter((c) => tested.has(c.version));
+  if (comparable.length === 0) return { status: 'unknown', bypassed: [], httpAddresses };
+
+  // A reflexive address HTTP never shows is a route around the VPN/proxy; IPv6 matches by prefix
+  const key = (address) => (parseIP(address).version === 6 ? ipPrefix(address, IPV6_PREFIX) : address);
+  const httpKeys = new Set(httpAddresses.map(key));
+  const bypassed = comparable.map((c) => c.address).filter((address) => !httpKeys.has(key(address)));
+  return { status: bypassed.length > 0 ? 'bypass' : 'consistent', bypassed, httpAddresses };
+}
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { configure } from '../config';
+import { getIceServers, compareReflexive } from './webrtc';
+import { stubFetch, useNetworkConfig } from '../test/network';
+
+const srflx = (address) => ({ address, version: address.includes(':') ? 6 : 4, type: 'srflx' });
+
+useNetworkConfig({ geoipProvider: 'ipapi', ipv4Endpoint: 'https://v4.test/', ipv6Endpoint: 'https://v6.test/' });
+
+describe('getIceServers', () => {
+  it('uses no servers when none are configured', () => {
+    configure({ stunServers: '', turnServer: '' });
+    expect(getIceServers()).toEqual([]);
+  });
+
+  it('splits the configured STUN and TURN URLs', () => {
+    configure({ stunServers: 'stun:a.test:3478, stun:b.test', turnServer: 'turn:c.test', turnUsername: 'u', turnCredential: 'p' });
+    expect(getIceServers()).toEqual([
+      { urls: ['stun:a.test:3478', 'stun:b.test'] },
+      { urls: ['turn:c.test'], username: 'u', credential: 'p' },
+    ]);
+  });
+});
+
+describe('compareReflexive', () => {
+  it('reports reflexive addresses HTTP never shows', async () => {
+    stubFetch({ 'https://ipapi.co/json/': { ip: '192.0.2.1' }, 'https://v4.test/': { ip: '192.0.2.1' } });
+    expect(await compareReflexive([srflx('198.51.100.7')])).toMatchObject({ status: 'bypass', bypassed: ['198.51.100.7'] });
+    expect(await compareReflexive([srflx('192.0.2.1')])).toMatchObject({ status: 'consistent', bypassed: [] });
+    expect(await compareReflexive([])).toMatchObject({ status: 'no-srflx' });
+  });
+
+  it('does not compare a stack whose echo gave no address', async () => {
+    stubFetch({ 'https://ipapi.co/json/': { ip: '192.0.2.1' }, 'https://v4.test/': { ip: '192.0.2.1' } });
+    expect(await compareReflexive([srflx('2001:db8::1')])).toMatchObject({ status: 'unknown', bypassed: [] });
+  });
+
+  it('matches IPv6 by /64 prefix', async () => {
+    stubFetch({ 'https://ipapi.co/json/': { ip: '192.0.2.1' }, 'https://v6.test/': { ip: '2001:db8:1:2::aaaa' } });
+    expect(await compareReflexive([srflx('2001:db8:1:2::bbbb')])).toMatchObject({ status: 'consistent' });
+    expect(await compareReflexive([srflx('2001:db8:1:3::aaaa')])).toMatchObject({ status: 'bypass', bypassed: ['2001:db8:1:3::aaaa'] });
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Audio Fingerprinting Module
+ * Renders several OfflineAudioContext graphs (oscillator types, hybrid FFT, compressor reduction),
+ * repeats each render to expose injected noise, and reads live AudioContext device properties
+ */
+
+import { cyrb53 } from '../../utils/crypto';
+
+const SAMPLE_RATE = 44100;
+const RENDERS = 3;
+
+/**
+ * Compressor settings shared by every variant (the hardware/implementation dependent part)
+ */
+function createCompressor(context) {
+  const compressor = context.createDynamicsCompressor();
+  compressor.threshold.value = -50;
+  compressor.knee.value = 40;
+  compressor.ratio.value = 12;
+  compressor.attack.value = 0;
+  compressor.release.value = 0.25;
+  return compressor;
+}
+
+function createOscillator(context, type) {
+  const oscillator = context.createOscillator();
+  oscillator.type = type;
+  oscillator.frequency.value = 10000;
+  return oscillator;
+}
+
+function sumAbs(samples, from = 0) {
+  let sum = 0;
+  for (let i = from; i < samples.length; i++) {
+    sum += Math.abs(samples[i]);
+  }
+  return sum;
+}
+
+/**
+ * Original triangle render (kept byte-for-byte so the Composite Device ID does not change)
+ */
+async function renderTriangle(context) {
+  const oscillator = createOscillator(context, 'triangle');
+  const compressor = createCompressor(context);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 256;
+
+  oscillator.connect(compressor);
+  compressor.connect(analyser);
+  analyser.connect(context.destination);
+
+  oscillator.start(0);
+  const buffer = await context.startRendering();
+  return sumAbs(buffer.getChannelData(0)).toString();
+}
+
+/**
+ * Oscillator -> compressor, summing the tail of the render
+ */
+function renderOscillator(type) {
+  return async (context) => {
+    const oscillator = createOscillator(context, type);
+    const compressor = createCompressor(context);
+    oscillator.connect(compressor);
+    compressor.connect(context.destination);
+
+    oscillator.start(0);
+    const buffer = await context.startRendering();
+    return sumAbs(buffer.getChannelData(0), 4500).toString();
+  };
+}
+
+/**
+ * Oscillator -> compressor -> AnalyserNode; hashes the frequency spectrum captured mid-render
+ */
+async function renderHybridFFT(context) {
+  const oscillator = createOscillator(context, 'triangle');
+  const compressor = createCompressor(context);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 256;
+
+  oscillator.connect(compressor);
+  compressor.connect(analyser);
+  analyser.connect(context.destination);
+
+  const spectrum = new Float32Array(analyser.frequencyBinCount);
+  let captured = false;
+  const capture = () => {
+    analyser.getFloatFrequencyData(spectrum);
+    captured = true;
+  };
+
+  // Offline suspend() lets the analyser be read while audio is flowing; older engines lack it
+  if (typeof context.suspend === 'function') {
+    context.suspend(0.05).then(() => {
+      capture();
+      context.resume();
+    }).catch(() => {});
+  }
+
+  oscillator.start(0);
+  await context.startRendering();
+  if (!captured) capture();
+
+  return cyrb53(Array.from(spectrum).join(',')).toString(16);
+}
+
+/**
+ * DynamicsCompressorNode.reduction after a render (a single float, older engines expose an AudioParam)
+ */
+async function renderCompressorReduction(context) {
+  const oscillator = createOscillator(context, 'triangle');
+  const compressor = createCompressor(context);
+  oscillator.connect(compressor);
+  compressor.connect(context.destination);
+
+  oscillator.start(0);
+  await context.startRendering();
+  const reduction = compressor.reduction;
+  return String(typeof reduction === 'number' ? reduction : reduction.value);
+}
+
+/**
+ * Audio fingerprint variants, in display order
+ * `length` is the render length in frames
+ */
+export const AUDIO_VARIANTS = {
+  triangle: { label: 'Triangle', length: SAMPLE_RATE, render: renderTriangle },
+  sine: { label: 'Sine', length: 5000, render: renderOscillator('sine') },
+  square: { label: 'Square', length: 5000, render: renderOscillator('square') },
+  sawtooth: { label: 'Sawtooth', length: 5000, render: renderOscillator('sawtooth') },
+  hybrid: { label: 'Hybrid FFT', length: 5000, render: renderHybridFFT },
+  compressor: { label: 'Compressor Reduction', length: 5000, render: renderCompressorReduction },
+};
+
+function getOfflineContextClass() {
+  return window.OfflineAudioContext || window.webkitOfflineAudioContext;
+}
+
+/**
+ * Renders one variant RENDERS times on fresh contexts
+ * @returns {Promise<{ value: string, hash: string, values: string[], stable: boolean }|{ error: string }>}
+ */
+async function renderVariant(variant) {
+  const Context = getOfflineContextClass();
+  const values = [];
+  try {
+    for (let i = 0; i < RENDERS; i++) {
+      values.push(await variant.render(new Context(1, variant.length, SAMPLE_RATE)));
+    }
+  } catch (e) {
+    return { error: e && e.message ? e.message : 'Error' };
+  }
+
+  return {
+    value: values[0],
+    hash: cyrb53(values[0]).toString(16),
+    values,
+    stable: values.every((v) => v === values[0]),
+  };
+}
+
+/**
+ * Renders a constant 0.5 signal: without noise injection every sample is exactly 0.5
+ * @returns {Promise<{ altered: number, total: number }|null>} Null if ConstantSourceNode is unsupported
+ */
+async function checkExactOutput() {
+  const Context = getOfflineContextClass();
+  const context = new Context(1, 1280, SAMPLE_RATE);
+  if (typeof context.createConstantSource !== 'function') return null;
+
+  const source = context.createConstantSource();
+  source.offset.value = 0.5;
+  source.connect(context.destination);
+  source.start(0);
+
+  const samples = (await context.startRendering()).getChannelData(0);
+  let altered = 0;
+  for (let i = 0; i < samples.length; i++) {
+    if (samples[i] !== 0.5) altered++;
+  }
+  return { altered, total: samples.length };
+}
+
+/**
+ * Reads properties of a live (suspended, silent) AudioContext
+ * @returns {Promise<Object|null>} Null if AudioContext is unavailable
+ */
+async function getAudioContextProperties() {
+  const LiveContext = window.AudioContext || window.webkitAudioContext;
+  if (!LiveContext) return null;
+
+  const context = new LiveContext();
+  try {
+    return {
+      sampleRate: context.sampleRate,
+      baseLatency: typeof context.baseLatency === 'number' ? context.baseLatency : null,
+      outputLatency: typeof context.outputLatency === 'number' ? context.outputLatency : null,
+      maxChannelCount: context.destination.maxChannelCount,
+      state: context.state,
+    };
+  } finally {
+    context.close().catch(() => {});
+  }
+}
+
+/**
+ * Collects every audio fingerprint vector
+ * @returns {Promise<Object>} { supported, variants: { id: result }, exact, properties }
+ */
+export async function collectAudioFingerprints() {
+  if (!getOfflineContextClass()) {
+    return { supported: false, variants: {}, exact: null, properties: await getAudioContextProperties().catch(() => null) };
+  }
+
+  const variants = {};
+  for (const [id, variant] of Object.entries(AUDIO_VARIANTS)) {
+    variants[id] = await renderVariant(variant);
+  }
+
+  const exact = await checkExactOutput().catch(() => null);
+  const properties = await getAudioContextProperties().catch(() => null);
+
+  return { supported: true, variants, exact, properties };
+}
+
+/**
+ * Classifies audio noise injection from repeated renders and the exact-output check
+ * @returns {{ verdict: string, noisy: string[] }}
+ */
+export function classifyAudioNoise({ variants, exact }) {
+  const noisy = Object.entries(variants)
+    .filter(([, result]) => result.values && !result.stable)
+    .map(([id]) => AUDIO_VARIANTS[id].label);
+
+  if (noisy.length > 0) return { verdict: 'Per-Render Noise', noisy };
+  if (exact && exact.altered > 0) return { verdict: 'Per-Session Noise', noisy };
+  return { verdict: 'None Detected', noisy };
+}
@@ -0,0 +1,297 @@
+/**
+ * Canvas Protection Module
+ * Detects canvas randomization ("farbling") by rendering a known scene repeatedly and in
+ * several contexts (fresh canvas, OffscreenCanvas, Worker, iframe) and checking pixels
+ * that must come out exact (solid fills)
+ *
+ * Classification:
+ * - Unprotected: every render identical, solid fills exact
+ * - Blocked: readback throws or returns a blank/uniform image
+ * - Per-Session Noise: renders identical but solid fills altered (e.g. Brave farbling)
+ * - Per-Render Noise: repeated renders differ (e.g. CanvasBlocker, Firefox RFP)
+ */
+
+import { toSignals } from '../../core/signal';
+
+const WIDTH = 240;
+const HEIGHT = 60;
+const RENDERS = 3;
+const CONTEXT_TIMEOUT = 2000;
+const SESSION_KEY = 'wyr_canvas_session_hash';
+const canvasUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/getImageData';
+
+/**
+ * Draws the reference scene
+ * Must stay self-contained: it is also serialized into the Worker
+ */
+function drawScene(ctx) {
+  // Solid fills: integer-aligned and opaque, so every pixel must come back exactly
+  ctx.fillStyle = 'rgb(255, 102, 0)';
+  ctx.fillRect(0, 0, 40, 40);
+  ctx.fillStyle = 'rgb(0, 153, 204)';
+  ctx.fillRect(40, 0, 40, 40);
+
+  // Text, gradient and an anti-aliased arc (the fingerprintable parts)
+  ctx.textBaseline = 'top';
+  ctx.font = '14px Arial';
+  ctx.fillStyle = '#069';
+  ctx.fillText('Cwm fjordbank glyphs vext quiz', 84, 4);
+
+  const gradient = ctx.createLinearGradient(0, 44, 240, 60);
+  gradient.addColorStop(0, 'rgba(255, 0, 128, 0.8)');
+  gradient.addColorStop(1, 'rgba(0, 255, 128, 0.4)');
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 44, 240, 16);
+
+  ctx.beginPath();
+  ctx.arc(210, 30, 12, 0, Math.PI * 2);
+  ctx.fillStyle = 'rgba(80, 0, 255, 0.6)';
+  ctx.fill();
+}
+
+/**
+ * Reads the scene back and summarizes it
+ * Must stay self-contained: it is also serialized into the Worker
+ * @returns {{ hash: string, altered: number, maxDelta: number, uniform: boolean }}
+ */
+function readScene(ctx, width) {
+  const { data } = ctx.getImageData(0, 0, width, 60);
+  const solids = [
+    { x0: 0, x1: 40, rgb: [255, 102, 0] },
+    { x0: 40, x1: 80, rgb: [0, 153, 204] },
+  ];
+
+  // FNV-1a over every byte
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < data.length; i++) {
+    hash ^= data[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  let altered = 0;
+  let maxDelta = 0;
+  for (const solid of solids) {
+    for (let y = 0; y < 40; y++) {
+      for (let x = solid.x0; x < solid.x1; x++) {
+        const i = (y * width + x) * 4;
+        const delta = Math.max(
+          Math.abs(data[i] - solid.rgb[0]),
+          Math.abs(data[i + 1] - solid.rgb[1]),
+          Math.abs(data[i + 2] - solid.rgb[2]),
+          255 - data[i + 3]
+        );
+        if (delta > 0) altered++;
+        if (delta > maxDelta) maxDelta = delta;
+      }
+    }
+  }
+
+  let uniform = true;
+  for (let i = 4; i < data.length && uniform; i += 4) {
+    if (data[i] !== data[0] || data[i + 1] !== data[1] || data[i + 2] !== data[2] || data[i + 3] !== data[3]) {
+      uniform = false;
+    }
+  }
+
+  return { hash: (hash >>> 0).toString(16), altered, maxDelta, uniform };
+}
+
+/**
+ * Renders the scene on a canvas created by `createCanvas`
+ */
+function renderWith(createCanvas) {
+  const canvas = createCanvas();
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('No 2D context');
+  drawScene(ctx);
+  return readScene(ctx, WIDTH);
+}
+
+function withDeadline(promise, ms) {
+  let timeoutId;
+  const timer = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error('Timed out')), ms);
+  });
+  return Promise.race([promise, timer]).finally(() => clearTimeout(timeoutId));
+}
+
+/**
+ * Renders inside a dedicated Worker (OffscreenCanvas); extensions often only patch the page's main world
+ */
+function renderInWorker() {
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+    return Promise.reject(new Error('Not Supported'));
+  }
+
+  const source = `
+    const drawScene = ${drawScene.toString()};
+    const readScene = ${readScene.toString()};
+    self.onmessage = () => {
+      try {
+        const ctx = new OffscreenCanvas(${WIDTH}, ${HEIGHT}).getContext('2d');
+        drawScene(ctx);
+        self.postMessage({ result: readScene(ctx, ${WIDTH}) });
+      } catch (e) {
+        self.postMessage({ error: String(e && e.message || e) });
+      }
+    };
+  `;
+  const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+  const worker = new Worker(url);
+
+  const result = new Promise((resolve, reject) => {
+    worker.onmessage = (event) => (event.data.error ? reject(new Error(event.data.error)) : resolve(event.data.result));
+    worker.onerror = (event) => reject(new Error(event.message || 'Worker failed'));
+    worker.postMessage(null);
+  });
+
+  return withDeadline(result, CONTEXT_TIMEOUT).finally(() => {
+    worker.terminate();
+    URL.revokeObjectURL(url);
+  });
+}
+
+/**
+ * Renders with a canvas owned by a same-origin iframe (its own prototypes and realm)
+ */
+function renderInIframe() {
+  const iframe = document.createElement('iframe');
+  iframe.style.display = 'none';
+  document.body.appendChild(iframe);
+  try {
+    const doc = iframe.contentDocument;
+    if (!doc) throw new Error('Not Accessible');
+    return renderWith(() => doc.createElement('canvas'));
+  } finally {
+    iframe.remove();
+  }
+}
+
+/**
+ * Runs a render, capturing failures instead of throwing
+ */
+async function attempt(render) {
+  try {
+    return { ok: true, ...(await render()) };
+  } catch (e) {
+    return { ok: false, error: e && e.message ? e.message : String(e) };
+  }
+}
+
+function describeContext(result, reference) {
+  if (!result.ok) return { value: result.error === 'Not Supported' ? 'Not Supported' : 'Failed: ' + result.error };
+  if (result.altered > 0) {
+    return { value: `Noise (${result.altered} solid pixels altered)`, raw: result.hash };
+  }
+  if (reference && result.hash !== reference.hash) {
+    // Different rasterizer backends may legitimately differ, so this alone is not flagged
+    return { value: 'Differs from Main Thread (Backend or Spoofing)', raw: result.hash };
+  }
+  return { value: 'Matches Main Thread', raw: result.hash };
+}
+
+/**
+ * Collects canvas protection evidence
+ * @returns {Promise<Object<string, import('../../core/signal').Signal>>} Canvas protection signals
+ */
+export async function collectCanvasProtection() {
+  const data = {};
+
+  // Several fresh canvases, plus a second read of the same canvas
+  const renders = [];
+  for (let i = 0; i < RENDERS; i++) {
+    renders.push(await attempt(() => renderWith(() => document.createElement('canvas'))));
+  }
+  const sameCanvas = await attempt(() => {
+    const canvas = document.createElement('canvas');
+    canvas.width = WIDTH;
+    canvas.height = HEIGHT;
+    const ctx = canvas.getContext('2d');
+    drawScene(ctx);
+    const first = readScene(ctx, WIDTH);
+    const second = readScene(ctx, WIDTH);
+    return { ...second, rereadMatches: first.hash === second.hash };
+  });
+
+  const offscreen = await attempt(() => {
+    if (typeof OffscreenCanvas === 'undefined') throw new Error('Not Supported');
+    return renderWith(() => new OffscreenCanvas(WIDTH, HEIGHT));
+  });
+  const worker = await attempt(renderInWorker);
+  const iframe = await attempt(renderInIframe);
+
+  const main = renders.filter((r) => r.ok);
+  const reference = main[0];
+  const others = { OffscreenCanvas: offscreen, Worker: worker, Iframe: iframe };
+
+  // --- Classification ---
+  const distinct = new Set(main.map((r) => r.hash));
+  const perRender = distinct.size > 1 || (sameCanvas.ok && !sameCanvas.rereadMatches);
+  const alteredContexts = Object.entries({ 'Main Thread': reference, ...others })
+    .filter(([, r]) => r && r.ok && r.altered > 0)
+    .map(([name]) => name);
+
+  let classification;
+  let evidence;
+  if (main.length === 0 || main.every((r) => r.uniform)) {
+    classification = 'Blocked';
+    evidence = main.length === 0 ? `Readback failed: ${renders[0].error}` : 'Readback returns a uniform image';
+  } else if (perRender) {
+    classification = 'Per-Render Noise';
+    evidence = `${distinct.size} different hashes from ${main.length} identical renders`;
+  } else if (alteredContexts.length > 0) {
+    classification = 'Per-Session Noise';
+    evidence = `Stable hash, but solid fills altered in: ${alteredContexts.join(', ')}`;
+  } else {
+    classification = 'Unprotected';
+    evidence = 'Identical renders, exact solid fills';
+  }
+
+  data['Canvas Protection'] = {
+    value: classification,
+    raw: classification.toLowerCase().replace(/[^a-z]+/g, '_'),
+    // An unprotected canvas hands out a stable, exact fingerprint
+    warning: classification === 'Unprotected',
+    url: 'https://brave.com/privacy-updates/3-fingerprint-randomization/',
+  };
+  data['Evidence'] = { value: evidence };
+
+  if (main.length > 0) {
+    data['Repeated Renders'] = {
+      value: distinct.size === 1 ? `${main.length}/${main.length} Identical` : `${distinct.size} Distinct Hashes`,
+      raw: main.map((r) => r.hash),
+      warning: distinct.size > 1,
+      url: canvasUrl,
+    };
+    if (sameCanvas.ok) {
+      data['Same Canvas Re-Read'] = { value: sameCanvas.rereadMatches ? 'Identical' : 'Changed', raw: sameCanvas.rereadMatches, url: canvasUrl };
+    }
+    data['Solid Fill Check'] = {
+      value: reference.altered === 0
+        ? 'Exact (3200 pixels)'
+        : `${reference.altered} of 3200 pixels altered (max delta ${reference.maxDelta})`,
+      raw: { altered: reference.altered, maxDelta: reference.maxDelta },
+      warning: reference.altered > 0,
+      url: canvasUrl,
+    };
+
+    for (const [name, result] of Object.entries(others)) {
+      data[`${name} Render`] = describeContext(result, reference);
+    }
+
+    data['Render Hash'] = { value: reference.hash, url: canvasUrl };
+
+    // Noise keyed per session stays the same across reloads; per-render noise does not
+    try {
+      const previous = sessionStorage.getItem(SESSION_KEY);
+      sessionStorage.setItem(SESSION_KEY, reference.hash);
+      if (previous) {
+        data['Previous Page Load'] = { value: previous === reference.hash ? 'Same Hash' : 'Different Hash', raw: previous };
+      }
+    } catch { /* sessionStorage unavailable */ }
+  }
+
+  return toSignals('canvas', data);
+}
@@ -0,0 +1,322 @@
+/**
+ * Consistency Module
+ * Built-in cross-module rules and the Consistency card (engine: src/core/consistency.js)
+ */
+
+import { toSignals } from '../../core/signal';
+import { registerConsistencyRule, getConsistencyRules, evaluateConsistency } from '../../core/consistency';
+
+/**
+ * OS named by a User-Agent string
+ * @param {string} ua
+ * @returns {string|null} Windows, macOS, iOS, Android, Chrome OS, Linux or null
+ */
+function osFromUserAgent(ua) {
+  if (!ua) return null;
+  if (/iPhone|iPad|iPod/.test(ua)) return 'iOS';
+  if (/Android/.test(ua)) return 'Android';
+  if (/CrOS/.test(ua)) return 'Chrome OS';
+  if (/Windows/.test(ua)) return 'Windows';
+  if (/Mac OS X|Macintosh/.test(ua)) return 'macOS';
+  if (/Linux|X11/.test(ua)) return 'Linux';
+  return null;
+}
+
+/**
+ * OS named by navigator.platform
+ * @param {string} platform
+ * @returns {string|null}
+ */
+function osFromLegacyPlatform(platform) {
+  if (!platform) return null;
+  if (/^Win/.test(platform)) return 'Windows';
+  if (/iPhone|iPad|iPod/.test(platform)) return 'iOS';
+  if (/^Mac/.test(platform)) return 'macOS';
+  if (/Linux|X11|Android/.test(platform)) return 'Linux';
+  if (/CrOS/.test(platform)) return 'Chrome OS';
+  return null;
+}
+
+/**
+ * Platforms that legitimately report each other (iPadOS Safari claims "MacIntel",
+ * Android and ChromeOS report "Linux ..." in navigator.platform)
+ */
+const OS_FAMILY = {
+  Windows: 'windows',
+  macOS: 'apple',
+  iOS: 'apple',
+  Linux: 'linux',
+  Android: 'linux',
+  'Chrome OS': 'linux',
+};
+
+function sameFamily(a, b) {
+  return OS_FAMILY[a] === OS_FAMILY[b];
+}
+
+function isMobileOS(os) {
+  return os === 'iOS' || os === 'Android';
+}
+
+// --- Built-in rules ---
+
+registerConsistencyRule({
+  id: 'ua_vs_client_hints_platform',
+  title: 'UA vs Client Hints Platform',
+  severity: 'critical',
+  sources: ['navigator', 'client_hints'],
+  check: (ctx) => {
+    const uaOS = osFromUserAgent(ctx.get('navigator', 'user_agent'));
+    const chPlatform = ctx.get('client_hints', 'platform');
+    if (!uaOS || !chPlatform || !OS_FAMILY[chPlatform]) return null;
+    if (uaOS === chPlatform) return null;
+    return `User-Agent says ${uaOS}, Sec-CH-UA-Platform says ${chPlatform}`;
+  },
+});
+
+registerConsistencyRule({
+  id: 'client_hints_vs_legacy_platform',
+  title: 'Client Hints vs navigator.platform',
+  severity: 'critical',
+  sources: ['navigator', 'client_hints'],
+  check: (ctx) => {
+    const chPlatform = ctx.get('client_hints', 'platform');
+    const legacy = ctx.get('navigator', 'platform_legacy');
+    const legacyOS = osFromLegacyPlatform(legacy);
+    if (!chPlatform || !OS_FAMILY[chPlatform] || !legacyOS) return null;
+    if (sameFamily(chPlatform, legacyOS)) return null;
+    return `Client Hints platform is ${chPlatform}, navigator.platform is "${legacy}"`;
+  },
+});
+
+registerConsistencyRule({
+  id: 'ua_vs_legacy_platform',
+  title: 'UA vs navigator.platform',
+  severity: 'critical',
+  sources: ['navigator'],
+  check: (ctx) => {
+    const uaOS = osFromUserAgent(ctx.get('navigator', 'user_agent'));
+    const legacy = ctx.get('navigator', 'platform_legacy');
+    const legacyOS = osFromLegacyPlatform(legacy);
+    if (!uaOS || !legacyOS || sameFamily(uaOS, legacyOS)) return null;
+    return `User-Agent says ${uaOS}, navigator.platform is "${legacy}"`;
+  },
+});
+
+registerConsistencyRule({
+  id: 'ua_vs_fonts',
+  title: 'UA vs Installed Fonts',
+  severity: 'warning',
+  sources: ['navigator', 'fonts'],
+  check: (ctx) => {
+    const uaOS = osFromUserAgent(ctx.get('navigator', 'user_agent'));
+    const counts = {
+      Windows: ctx.get('fonts', 'windows_fonts') || 0,
+      macOS: ctx.get('fonts', 'macos_fonts') || 0,
+      Linux: ctx.get('fonts', 'linux_fonts') || 0,
+    };
+    // Only desktop OSes ship a recognisable system font set
+    if (!(uaOS in counts) || counts[uaOS] > 0) return null;
+
+    const others = Object.entries(counts).filter(([os, n]) => os !== uaOS && n > 0);
+    if (others.length === 0) return null;
+    return `User-Agent says ${uaOS} but no ${uaOS} system fonts were found; detected ${others.map(([os, n]) => `${n} ${os}`).join(', ')}`;
+  },
+});
+
+registerConsistencyRule({
+  id: 'gpu_vs_os',
+  title: 'WebGL Renderer vs OS',
+  severity: 'critical',
+  sources: ['navigator', 'webgl'],
+  check: (ctx) => {
+    const uaOS = osFromUserAgent(ctx.get('navigator', 'user_agent'));
+    const renderer = String(ctx.get('webgl', 'renderer_model') || '');
+    if (!uaOS || !renderer || renderer === 'Unknown') return null;
+
+    if (/Apple (M\d|GPU)|Metal/.test(renderer) && OS_FAMILY[uaOS] !== 'apple') {
+      return `Apple GPU / Metal renderer "${renderer}" on a ${uaOS} User-Agent`;
+    }
+    if (/Direct3D|D3D11/.test(renderer) && uaOS !== 'Windows') {
+      return `Direct3D renderer "${renderer}" on a ${uaOS} User-Agent`;
+    }
+    if (/Adreno|Mali|PowerVR/.test(renderer) && !isMobileOS(uaOS) && uaOS !== 'Chrome OS') {
+      return { evidence: `Mobile GPU "${renderer}" on a ${uaOS} User-Agent`, severity: 'warning' };
+    }
+    return null;
+  },
+});
+
+registerConsistencyRule({
+  id: 'gpu_vs_architecture',
+  title: 'WebGL Renderer vs CPU Architecture',
+  severity: 'warning',
+  sources: ['client_hints', 'webgl'],
+  check: (ctx) => {
+    const arch = ctx.get('client_hints', 'cpu_architecture');
+    const renderer = String(ctx.get('webgl', 'renderer_model') || '');
+    // Apple Silicon GPUs only exist on ARM; an x86 claim usually means a spoofed or Rosetta-translated browser
+    if (arch === 'x86' && /Apple M\d/.test(renderer)) {
+      return `Client Hints architecture is x86, renderer is "${renderer}" (Apple Silicon)`;
+    }
+    return null;
+  },
+});
+
+registerConsistencyRule({
+  id: 'mobile_ua_without_touch',
+  title: 'Mobile UA without Touch',
+  severity: 'critical',
+  sources: ['navigator', 'hardware'],
+  check: (ctx) => {
+    const uaOS = osFromUserAgent(ctx.get('navigator', 'user_agent'));
+    const touchPoints = Number(ctx.get('hardware', 'touch_points'));
+    if (!isMobileOS(uaOS) || touchPoints > 0) return null;
+    return `User-Agent says ${uaOS} but navigator.maxTouchPoints is ${touchPoints}`;
+  },
+});
+
+registerConsistencyRule({
+  id: 'cores_vs_device_class',
+  title: 'CPU Cores vs Device Class',
+  severity: 'warning',
+  sources: ['hardware'],
+  check: (ctx) => {
+    const cores = Number(ctx.get('hardware', 'cpu_cores_logical'));
+    const deviceClass = String(ctx.get('hardware', 'device_class') || '');
+    if (!cores) return null;
+
+    if (cores > 256) return { evidence: `${cores} logical cores reported`, severity: 'critical' };
+    if (/Mobile Phone|Tablet/.test(deviceClass) && cores > 16) {
+      return `${cores} logical cores on a ${deviceClass}`;
+    }
+    if (/Desktop/.test(deviceClass) && cores < 2) {
+      return `${cores} logical core on a ${deviceClass} (VM or spoofed value)`;
+    }
+    return null;
+  },
+});
+
+registerConsistencyRule({
+  id: 'ua_vs_client_hints_brand',
+  title: 'UA vs Client Hints Brand',
+  severity: 'critical',
+  sources: ['navigator', 'client_hints'],
+  check: (ctx) => {
+    const ua = String(ctx.get('navigator', 'user_agent') || '');
+    const brands = ctx.get('client_hints', 'browser_brands');
+    if (!Array.isArray(brands)) return null;
+
+    // Client Hints are Chromium-only: a Firefox/Safari UA exposing them is spoofed
+    if (/Firefox\//.test(ua) || (/Safari\//.test(ua) && !/Chrome\/|Chromium\//.test(ua))) {
+      return `Non-Chromium User-Agent exposes Client Hints brands (${brands.map((b) => b.brand).join(', ')})`;
+    }
+
+    const uaMajor = (ua.match(/(?:Chrome|Chromium)\/(\d+)/) || [])[1];
+    const chromium = brands.find((b) => b.brand === 'Chromium' || b.brand === 'Google Chrome');
+    if (uaMajor && chromium && chromium.version !== uaMajor) {
+      return `User-Agent reports Chrome ${uaMajor}, Client Hints report ${chromium.brand} ${chromium.version}`;
+    }
+    return null;
+  },
+});
+
+registerConsistencyRule({
+  id: 'ua_vs_js_engine',
+  title: 'UA vs JavaScript Engine',
+  severity: 'critical',
+  sources: ['navigator', 'js_engine'],
+  check: (ctx) => {
+    const ua = String(ctx.get('navigator', 'user_agent') || '');
+    const engine = ctx.get('js_engine', 'js_engine');
+    if (!engine || typeof engine !== 'string') return null;
+
+    let expected = null;
+    // Every iOS browser is required to use WebKit
+    if (/iPhone|iPad|iPod/.test(ua)) expected = 'JavaScriptCore';
+    else if (/Firefox\//.test(ua)) expected = 'SpiderMonkey';
+    else if (/Chrome\/|Chromium\/|Edg\//.test(ua)) expected = 'V8';
+    else if (/Safari\//.test(ua)) expected = 'JavaScriptCore';
+    if (!expected || expected === engine) return null;
+    return `User-Agent implies ${expected}, but the JavaScript engine behaves like ${engine}`;
+  },
+});
+
+registerConsistencyRule({
+  id: 'client_hints_vs_js_engine_version',
+  title: 'Client Hints vs Engine Version',
+  severity: 'warning',
+  sources: ['client_hints', 'js_engine'],
+  check: (ctx) => {
+    const brands = ctx.get('client_hints', 'browser_brands');
+    const version = ctx.get('js_engine', 'engine_version');
+    if (!Array.isArray(brands) || !version || version.browser !== 'Chromium') return null;
+
+    const chromium = brands.find((b) => b.brand === 'Chromium' || b.brand === 'Google Chrome');
+    const major = chromium ? Number(chromium.version) : NaN;
+    if (!Number.isFinite(major)) return null;
+    // A contradictory range (max <= min) means features were disabled; only the lower bound is usable then
+    if (version.min !== null && major < version.min) {
+      return `Client Hints report ${chromium.brand} ${major}, but the engine has features from ${version.min}+`;
+    }
+    if (version.max !== null && version.max > (version.min ?? 0) && major >= version.max) {
+      return `Client Hints report ${chromium.brand} ${major}, but the engine lacks features shipped in ${version.max}`;
+    }
+    return null;
+  },
+});
+
+registerConsistencyRule({
+  id: 'language_vs_languages',
+  title: 'Language vs Languages',
+  severity: 'warning',
+  sources: ['navigator'],
+  check: (ctx) => {
+    const language = ctx.get('navigator', 'language');
+    const languages = ctx.get('navigator', 'languages');
+    if (!language || !Array.isArray(languages) || languages.length === 0) return null;
+    if (languages[0] === language) return null;
+    return `navigator.language is "${language}" but navigator.languages starts with "${languages[0]}"`;
+  },
+});
+
+/**
+ * Collector ids the registered rules read (the card depends on them); read per run so rules
+ * registered after this module loaded are scheduled too
+ * @returns {string[]}
+ */
+export function getConsistencyDependencies() {
+  return [...new Set(getConsistencyRules().flatMap((r) => r.sources))];
+}
+
+/**
+ * Builds the Consistency card from every registered rule
+ * @param {Object} context - Collector context ({ results } holds dependency signals)
+ */
+export async function collectConsistencyData({ results }) {
+  const { findings, evaluated, skipped } = evaluateConsistency(results);
+  const critical = findings.filter((f) => f.severity === 'critical').length;
+  const data = {};
+
+  data['Consistency Status'] = {
+    value: findings.length === 0
+      ? 'No Contradictions Found'
+      : `${findings.length} Contradiction${findings.length > 1 ? 's' : ''}` + (critical ? ` (${critical} Critical)` : ''),
+    raw: findings.map(({ id, severity, evidence }) => ({ id, severity, evidence })),
+    level: critical ? 'critical' : (findings.length ? 'warning' : 'info'),
+  };
+  data['Rules Evaluated'] = {
+    value: skipped.length ? `${evaluated} (${skipped.length} skipped, missing data)` : evaluated,
+    raw: evaluated,
+  };
+
+  for (const finding of findings) {
+    data[finding.title] = {
+      key: 'rule_' + finding.id,
+      value: finding.evidence,
+      level: finding.severity,
+    };
+  }
+
+  return toSignals('consistency', data);
+}
@@ -0,0 +1,366 @@
+/**
+ * CSS Fingerprinting Module
+ * CSS.supports() matrix, computed system colors, system font keywords, scrollbar width and
+ * default form-control sizes, hashed together and used to infer the rendering engine and OS
+ */
+
+import { cyrb53 } from '../../utils/crypto';
+import { toSignals } from '../../core/signal';
+
+const supportsUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/CSS/supports_static';
+const systemColorUrl = 'https://developer.mozilla.org/en-US/docs/Web/CSS/system-color';
+
+/**
+ * Properties tested by name (every property accepts `inherit`)
+ */
+const PROPERTIES = [
+  // Layout & box model
+  'accent-color', 'align-content', 'anchor-name', 'aspect-ratio', 'block-size', 'border-block', 'border-inline',
+  'box-decoration-break', 'box-sizing', 'break-inside', 'caret-color', 'clip-path', 'column-count', 'column-gap',
+  'contain', 'contain-intrinsic-size', 'container-name', 'container-type', 'content-visibility', 'field-sizing',
+  'gap', 'grid-template-areas', 'grid-template-columns', 'inline-size', 'inset', 'inset-block', 'inset-inline',
+  'interpolate-size', 'isolation', 'justify-items', 'margin-block', 'margin-inline', 'margin-trim',
+  'max-block-size', 'object-fit', 'object-view-box', 'offset-path', 'overflow-anchor', 'overflow-clip-margin',
+  'overscroll-behavior', 'padding-block', 'place-items', 'position-anchor', 'position-area', 'position-try',
+  'reading-flow', 'resize', 'rotate', 'row-gap', 'scale', 'scroll-behavior', 'scroll-margin', 'scroll-padding',
+  'scroll-snap-align', 'scroll-snap-type', 'scroll-timeline', 'scrollbar-color', 'scrollbar-gutter',
+  'scrollbar-width', 'shape-outside', 'translate', 'view-timeline', 'view-transition-class', 'view-transition-name',
+  'zoom',
+  // Text & fonts
+  'font-feature-settings', 'font-kerning', 'font-optical-sizing', 'font-palette', 'font-size-adjust',
+  'font-synthesis', 'font-synthesis-position', 'font-synthesis-small-caps', 'font-variant-alternates',
+  'font-variant-east-asian', 'font-variant-emoji', 'font-variant-position', 'font-variation-settings',
+  'hanging-punctuation', 'hyphenate-character', 'hyphenate-limit-chars', 'hyphens', 'initial-letter',
+  'line-break', 'line-clamp', 'math-depth', 'math-shift', 'math-style', 'overflow-wrap', 'ruby-align',
+  'ruby-position', 'tab-size', 'text-align-last', 'text-autospace', 'text-box', 'text-box-edge',
+  'text-box-trim', 'text-combine-upright', 'text-decoration-skip-ink', 'text-decoration-thickness',
+  'text-emphasis', 'text-indent', 'text-justify', 'text-orientation', 'text-rendering', 'text-size-adjust',
+  'text-spacing-trim', 'text-underline-offset', 'text-underline-position', 'text-wrap', 'text-wrap-mode',
+  'text-wrap-style', 'white-space-collapse', 'word-break', 'writing-mode',
+  // Visual effects
+  'animation-composition', 'animation-range', 'animation-timeline', 'appearance', 'backdrop-filter',
+  'background-blend-mode', 'color-scheme', 'dynamic-range-limit', 'filter', 'forced-color-adjust',
+  'image-orientation', 'image-rendering', 'mask', 'mask-border', 'mask-type', 'mix-blend-mode', 'paint-order',
+  'perspective', 'print-color-adjust', 'transition-behavior', 'will-change',
+  // Prefixed (engine specific)
+  '-moz-appearance', '-moz-box-flex', '-moz-float-edge', '-moz-force-broken-image-icon', '-moz-orient',
+  '-moz-osx-font-smoothing', '-moz-user-focus', '-moz-user-input', '-moz-window-dragging',
+  '-webkit-app-region', '-webkit-box-reflect', '-webkit-font-smoothing', '-webkit-line-clamp',
+  '-webkit-locale', '-webkit-mask-box-image', '-webkit-nbsp-mode', '-webkit-print-color-adjust',
+  '-webkit-rtl-ordering', '-webkit-tap-highlight-color', '-webkit-text-fill-color', '-webkit-text-security',
+  '-webkit-text-stroke', '-webkit-touch-callout', '-webkit-user-drag', '-webkit-user-modify',
+  '-apple-color-filter', '-apple-pay-button-style', '-apple-pay-button-type', '-apple-trailing-word',
+  '-epub-writing-mode', '-internal-light-dark',
+];
+
+/**
+ * Property/value pairs (newer values of long-standing properties)
+ */
+const DECLARATIONS = [
+  ['display', 'grid'], ['display', 'subgrid'], ['display', 'contents'], ['display', 'flow-root'],
+  ['display', 'ruby'], ['display', 'math'], ['display', 'inline flex'], ['display', '-webkit-box'],
+  ['display', '-moz-box'], ['display', 'block flow'], ['grid-template-columns', 'subgrid'],
+  ['grid-template-rows', 'masonry'], ['display', 'grid-lanes'], ['position', 'sticky'],
+  ['position', '-webkit-sticky'], ['width', 'fit-content'], ['width', '-moz-fit-content'],
+  ['width', '-webkit-fill-available'], ['width', 'stretch'], ['width', '-moz-available'],
+  ['width', 'calc-size(auto, size)'], ['width', 'anchor-size(width)'], ['height', '100dvh'],
+  ['height', '100svh'], ['height', '100lvh'], ['width', '1cqw'], ['width', '1rlh'], ['width', '1ric'],
+  ['width', '1cap'], ['width', 'round(1.5px, 1px)'], ['width', 'mod(5px, 2px)'], ['width', 'abs(-1px)'],
+  ['width', 'clamp(1px, 2px, 3px)'], ['width', 'calc(1px * sign(1))'], ['width', 'calc(1px * pow(2, 2))'],
+  ['width', 'calc(1px * sqrt(4))'], ['width', 'calc(1px * sin(1deg))'], ['width', 'calc(1px * exp(1))'],
+  ['width', 'calc(1px * progress(5px, 0px, 10px))'], ['width', 'if(media(width > 0): 1px; else: 2px)'],
+  ['width', 'attr(data-x type(<length>))'], ['width', 'calc(1px * sibling-index())'],
+  ['color', 'oklch(70% 0.1 200)'], ['color', 'oklab(0.7 0.1 0.1)'], ['color', 'lch(50% 50 50)'],
+  ['color', 'lab(50% 20 20)'], ['color', 'hwb(120 10% 10%)'], ['color', 'color(display-p3 1 0 0)'],
+  ['color', 'color(rec2020 1 0 0)'], ['color', 'color(xyz 0.5 0.5 0.5)'], ['color', 'color-mix(in srgb, red, blue)'],
+  ['color', 'light-dark(red, blue)'], ['color', 'rgb(from red r g b)'], ['color', 'contrast-color(red)'],
+  ['color', 'AccentColor'], ['color', 'AccentColorText'], ['color', 'Mark'], ['color', 'SelectedItem'],
+  ['color', '-moz-accent-color'], ['color', '-webkit-focus-ring-color'], ['color', '-apple-system-blue'],
+  ['color', '-moz-buttonhoverface'], ['color', '-webkit-link'], ['color', '-moz-hyperlinktext'],
+  ['background', 'conic-gradient(red, blue)'], ['background', 'repeating-conic-gradient(red 0 10%, blue 0 20%)'],
+  ['background', 'linear-gradient(in oklch, red, blue)'], ['background', 'cross-fade(url(a.png), url(b.png), 50%)'],
+  ['background', '-webkit-cross-fade(url(a.png), url(b.png), 50%)'], ['background', 'image-set("a.png" 1x)'],
+  ['background', '-webkit-image-set(url(a.png) 1x)'], ['background', '-moz-element(#a)'],
+  ['background', 'paint(a)'], ['background-clip', 'text'], ['background-clip', 'border-area'],
+  ['font-family', 'system-ui'], ['font-family', 'ui-serif'], ['font-family', 'ui-monospace'],
+  ['font-family', 'ui-rounded'], ['font-family', '-apple-system'], ['font-family', 'BlinkMacSystemFont'],
+  ['font-family', 'math'], ['font-family', 'emoji'], ['font-family', 'fangsong'], ['font', '-apple-system-body'],
+  ['font', '-moz-field'], ['font-size', 'xxx-large'], ['font-size', '-webkit-xxx-large'], ['font-size', 'math'],
+  ['font-weight', '1000'], ['font-stretch', '50%'], ['font-style', 'oblique 20deg'], ['text-wrap', 'balance'],
+  ['text-wrap', 'pretty'], ['white-space', 'break-spaces'], ['text-decoration', 'underline spelling-error'],
+  ['text-transform', 'full-width'], ['text-transform', 'math-auto'], ['text-align', 'match-parent'],
+  ['text-align', '-webkit-match-parent'], ['text-align', '-moz-center'], ['overflow', 'clip'],
+  ['overflow', 'overlay'], ['overflow', '-moz-hidden-unscrollable'], ['appearance', 'base-select'],
+  ['appearance', 'auto'], ['appearance', 'menulist-button'], ['-webkit-appearance', 'slider-vertical'],
+  ['-webkit-appearance', 'apple-pay-button'], ['-moz-appearance', 'scrollbar-small'], ['cursor', 'grab'],
+  ['cursor', '-webkit-grab'], ['cursor', '-moz-grab'], ['cursor', '-webkit-zoom-in'], ['image-rendering', 'pixelated'],
+  ['image-rendering', '-moz-crisp-edges'], ['image-rendering', '-webkit-optimize-contrast'],
+  ['transition-timing-function', 'linear(0, 1)'], ['animation-timeline', 'scroll()'], ['animation-timeline', 'view()'],
+  ['transform', 'translate3d(1px, 1px, 1px)'], ['transform-style', 'preserve-3d'], ['filter', 'url(#a) blur(1px)'],
+  ['mask', 'url(a.svg)'], ['-webkit-mask', 'url(a.svg)'], ['clip-path', 'shape(from 0 0, line to 10px 10px)'],
+  ['clip-path', 'xywh(0 0 10px 10px)'], ['clip-path', 'rect(0 10px 10px 0)'], ['offset-path', 'ray(45deg)'],
+  ['user-select', 'none'], ['-webkit-user-select', 'none'], ['-moz-user-select', 'none'], ['user-select', 'contain'],
+  ['touch-action', 'pinch-zoom'], ['pointer-events', 'bounding-box'], ['container-type', 'scroll-state'],
+  ['content', 'counter(a, disclosure-open)'], ['content', '"a" / "b"'], ['list-style-type', 'ethiopic-numeric'],
+  ['list-style-type', '-moz-ethiopic-halehame'], ['list-style-type', 'cjk-decimal'],
+  ['word-break', 'auto-phrase'], ['line-break', 'anywhere'], ['hyphens', 'auto'], ['-webkit-hyphens', 'auto'],
+  ['scrollbar-width', 'thin'], ['scroll-snap-stop', 'always'], ['interactivity', 'inert'],
+];
+
+/**
+ * Selectors tested via selector()
+ */
+const SELECTORS = [
+  ':has(a)', ':is(a)', ':where(a)', ':not(a, b)', ':focus-visible', ':focus-within', ':user-invalid',
+  ':modal', ':popover-open', ':open', ':state(a)', ':autofill', ':-webkit-autofill', ':-moz-autofill',
+  ':placeholder-shown', ':-moz-placeholder', ':-webkit-any(a)', ':-moz-any(a)', ':-moz-focusring',
+  ':-moz-broken', ':-moz-native-anonymous', ':nth-child(1 of a)', ':dir(rtl)', ':lang("en")', ':defined',
+  ':fullscreen', ':-webkit-full-screen', ':picture-in-picture', ':playing', ':muted', ':volume-locked',
+  ':target-current', ':active-view-transition', ':heading', '::backdrop', '::marker', '::part(a)', '::slotted(a)',
+  '::cue', '::highlight(a)', '::target-text', '::spelling-error', '::grammar-error', '::file-selector-button',
+  '::-webkit-file-upload-button', '::-webkit-scrollbar', '::-webkit-search-cancel-button', '::-moz-range-thumb',
+  '::-moz-focus-inner', '::-moz-selection', '::view-transition', '::details-content', '::picker(select)',
+  '::scroll-marker', '::scroll-button(*)', '::column',
+];
+
+const SYSTEM_COLORS = [
+  'AccentColor', 'AccentColorText', 'ActiveText', 'ButtonBorder', 'ButtonFace', 'ButtonText', 'Canvas',
+  'CanvasText', 'Field', 'FieldText', 'GrayText', 'Highlight', 'HighlightText', 'LinkText', 'Mark', 'MarkText',
+  'SelectedItem', 'SelectedItemText', 'VisitedText',
+  // Deprecated, but still mapped to OS theme colors by some engines
+  'ActiveBorder', 'ActiveCaption', 'AppWorkspace', 'Background', 'ButtonHighlight', 'ButtonShadow',
+  'CaptionText', 'InactiveBorder', 'InactiveCaption', 'InactiveCaptionText', 'InfoBackground', 'InfoText',
+  'Menu', 'MenuText', 'Scrollbar', 'ThreeDDarkShadow', 'ThreeDFace', 'ThreeDHighlight', 'ThreeDLightShadow',
+  'ThreeDShadow', 'Window', 'WindowFrame', 'WindowText',
+];
+
+const SYSTEM_FONTS = ['caption', 'icon', 'menu', 'message-box', 'small-caption', 'status-bar'];
+
+const FORM_CONTROLS = [
+  ['text', '<input type="text">'], ['checkbox', '<input type="checkbox">'], ['radio', '<input type="radio">'],
+  ['range', '<input type="range">'], ['color', '<input type="color">'], ['date', '<input type="date">'],
+  ['file', '<input type="file">'], ['button', '<button>Button</button>'],
+  ['select', '<select><option>Option</option></select>'], ['textarea', '<textarea></textarea>'],
+  ['progress', '<progress></progress>'], ['meter', '<meter></meter>'],
+];
+
+function supports(property, value) {
+  try {
+    return CSS.supports(property, value);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Runs every CSS.supports() probe
+ * @returns {Object<string, boolean>} Probe -> supported
+ */
+function readSupportsMatrix() {
+  const matrix = {};
+  for (const property of PROPERTIES) matrix[property] = supports(property, 'inherit');
+  for (const [property, value] of DECLARATIONS) matrix[`${property}: ${value}`] = supports(property, value);
+  for (const selector of SELECTORS) {
+    try {
+      matrix[`selector(${selector})`] = CSS.supports(`selector(${selector})`);
+    } catch {
+      matrix[`selector(${selector})`] = false;
+    }
+  }
+  return matrix;
+}
+
+/**
+ * Appends a hidden, unstyled probe container (removed by the caller)
+ */
+function createSandbox() {
+  const sandbox = document.createElement('div');
+  sandbox.style.cssText = 'position:absolute;left:-9999px;top:0;visibility:hidden;';
+  document.body.appendChild(sandbox);
+  return sandbox;
+}
+
+/**
+ * Resolves each system color keyword through getComputedStyle
+ * @returns {Object<string, string|null>} Keyword -> rgb() string, null if the keyword is unsupported
+ */
+function readSystemColors(sandbox) {
+  const probe = document.createElement('div');
+  sandbox.appendChild(probe);
+  const colors = {};
+  for (const keyword of SYSTEM_COLORS) {
+    if (!supports('color', keyword)) {
+      colors[keyword] = null;
+      continue;
+    }
+    probe.style.color = keyword;
+    colors[keyword] = getComputedStyle(probe).color;
+  }
+  return colors;
+}
+
+/**
+ * Resolves the system font keywords (`font: caption`, ...)
+ * @returns {Object<string, string>} Keyword -> "family size weight"
+ */
+function readSystemFonts(sandbox) {
+  const probe = document.createElement('div');
+  sandbox.appendChild(probe);
+  const fonts = {};
+  for (const keyword of SYSTEM_FONTS) {
+    probe.style.font = keyword;
+    const style = getComputedStyle(probe);
+    fonts[keyword] = `${style.fontFamily} ${style.fontSize} ${style.fontWeight}`;
+  }
+  return fonts;
+}
+
+/**
+ * Classic (non-overlay) scrollbar width in CSS pixels; 0 means overlay scrollbars
+ */
+function readScrollbarWidth(sandbox) {
+  const probe = document.createElement('div');
+  probe.style.cssText = 'width:100px;height:100px;overflow:scroll;';
+  sandbox.appendChild(probe);
+  return probe.offsetWidth - probe.clientWidth;
+}
+
+/**
+ * Default rendered size of unstyled form controls (native theme dependent)
+ * @returns {Object<string, string>} Control -> "WxH"
+ */
+function readFormControls(sandbox) {
+  const sizes = {};
+  for (const [name, html] of FORM_CONTROLS) {
+    const holder = document.createElement('div');
+    holder.innerHTML = html;
+    sandbox.appendChild(holder);
+    const rect = holder.firstElementChild.getBoundingClientRect();
+    sizes[name] = `${Math.round(rect.width * 100) / 100}x${Math.round(rect.height * 100) / 100}`;
+  }
+  return sizes;
+}
+
+/**
+ * Infers the rendering engine from engine-specific features
+ * @returns {{ engine: string, evidence: string[] }}
+ */
+export function inferEngine(matrix) {
+  // Blink shares most -webkit- features with WebKit, so only engine-exclusive probes count
+  const evidence = {
+    Gecko: ['-moz-user-focus', '-moz-window-dragging', 'selector(:-moz-focusring)', 'selector(::-moz-range-thumb)'],
+    WebKit: ['-apple-pay-button-style', '-apple-color-filter', '-webkit-nbsp-mode', 'color: -apple-system-blue'],
+    Blink: ['-webkit-app-region', '-internal-light-dark', 'selector(:-webkit-autofill)', 'text-size-adjust'],
+  };
+
+  const scored = Object.entries(evidence)
+    .map(([engine, probes]) => ({ engine, hits: probes.filter((p) => matrix[p]) }))
+    .sort((a, b) => b.hits.length - a.hits.length);
+
+  if (scored[0].hits.length === 0) return { engine: 'Unknown', evidence: [] };
+  return { engine: scored[0].engine, evidence: scored[0].hits };
+}
+
+/**
+ * Infers the OS from system font keywords and the scrollbar width
+ * @returns {{ os: string, evidence: string[] }}
+ */
+export function inferOS(systemFonts, scrollbarWidth) {
+  const families = Object.values(systemFonts).join(' ').toLowerCase();
+  const evidence = [];
+  let os = 'Unknown';
+
+  if (/segoe ui|tahoma|microsoft sans serif/.test(families)) os = 'Windows';
+  else if (/apple|blinkmacsystemfont|\.sf|lucida grande|helvetica neue/.test(families)) os = 'macOS / iOS';
+  else if (/roboto/.test(families)) os = 'Android';
+  else if (/cantarell|ubuntu|dejavu|noto sans|liberation|oxygen|droid/.test(families)) os = 'Linux';
+  if (os !== 'Unknown') evidence.push(`system font: ${systemFonts.caption}`);
+
+  if (scrollbarWidth === 17 && os === 'Unknown') os = 'Windows';
+  evidence.push(scrollbarWidth === 0 ? 'overlay scrollbars' : `${scrollbarWidth}px scrollbars`);
+
+  return { os, evidence };
+}
+
+/**
+ * Collects the CSS fingerprint
+ * @returns {Promise<Object<string, import('../../core/signal').Signal>>} CSS signals
+ */
+export async function collectCSSData() {
+  const data = {};
+
+  if (typeof CSS === 'undefined' || typeof CSS.supports !== 'function') {
+    data['CSS.supports()'] = { value: 'Not Supported', url: supportsUrl };
+    return toSignals('css', data);
+  }
+
+  const matrix = readSupportsMatrix();
+  const sandbox = createSandbox();
+  let colors, systemFonts, scrollbarWidth, controls;
+  try {
+    colors = readSystemColors(sandbox);
+    systemFonts = readSystemFonts(sandbox);
+    scrollbarWidth = readScrollbarWidth(sandbox);
+    controls = readFormControls(sandbox);
+  } finally {
+    sandbox.remove();
+  }
+
+  const probes = Object.keys(matrix);
+  const supported = probes.filter((p) => matrix[p]);
+  const unsupported = probes.filter((p) => !matrix[p]);
+  const bits = probes.map((p) => (matrix[p] ? '1' : '0')).join('');
+  const resolvedColors = Object.entries(colors).filter(([, v]) => v !== null);
+
+  const engine = inferEngine(matrix);
+  const os = inferOS(systemFonts, scrollbarWidth);
+  const hash = (value) => cyrb53(typeof value === 'string' ? value : JSON.stringify(value)).toString(16);
+
+  data['CSS Fingerprint'] = {
+    value: hash({ bits, colors, systemFonts, scrollbarWidth, controls }),
+    warning: true, // Combines engine version, OS theme and display settings
+    url: supportsUrl,
+  };
+  data['Inferred Engine'] = {
+    value: engine.evidence.length > 0 ? `${engine.engine} (${engine.evidence.join(', ')})` : engine.engine,
+    raw: engine.engine,
+  };
+  data['Inferred OS'] = { value: `${os.os} (${os.evidence.join(', ')})`, raw: os.os };
+  data['CSS.supports() Matrix'] = {
+    value: `${hash(bits)} (${supported.length}/${probes.length} supported)`,
+    raw: bits,
+    url: supportsUrl,
+  };
+  data['Unsupported Features'] = { value: unsupported.join(', ') || 'None', raw: unsupported };
+
+  if (colors.AccentColor) {
+    data['Accent Color'] = {
+      value: colors.AccentColor,
+      warning: true, // Mirrors the OS accent color setting
+      url: systemColorUrl,
+    };
+  }
+  data['Highlight Color'] = { value: colors.Highlight || 'Unsupported', raw: colors.Highlight, url: systemColorUrl };
+  data['System Colors'] = {
+    value: `${hash(colors)} (${resolvedColors.length}/${SYSTEM_COLORS.length} keywords)`,
+    raw: colors,
+    url: systemColorUrl,
+  };
+  data['System Fonts'] = {
+    value: SYSTEM_FONTS.map((keyword) => `${keyword}: ${systemFonts[keyword]}`).join('; '),
+    raw: systemFonts,
+    url: 'https://developer.mozilla.org/en-US/docs/Web/CSS/font#values',
+  };
+  data['Scrollbar Width'] = {
+    value: scrollbarWidth === 0 ? '0px (Overlay)' : `${scrollbarWidth}px`,
+    raw: scrollbarWidth,
+    url: 'https://developer.mozilla.org/en-US/docs/Web/CSS/scrollbar-width',
+  };
+  data['Form Control Sizes'] = {
+    value: `${hash(controls)} (` + Object.entries(controls).map(([name, size]) => `${name} ${size}`).join(', ') + ')',
+    raw: controls,
+    url: 'https://developer.mozilla.org/en-US/docs/Web/CSS/appearance',
+  };
+
+  return toSignals('css', data);
+}
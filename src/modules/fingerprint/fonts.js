@@ -5,6 +5,10 @@
  * Capability: Checks for 450+ fonts including Nerd Fonts and System Fonts
  */
 
+import { toSignals } from '../../core/signal';
+import { measure, formatBits } from '../../core/entropy';
+import { collectLocalFonts } from './local_fonts';
+
 /**
  * Massive font list for deep fingerprinting
  */
@@ -109,9 +113,93 @@ const FONT_LIST = [
   'Batang', 'Dotum', 'Gulim', 'NanumGothic', 'NanumMyeongjo', 'SimHei', 'KaiTi', 'FangSong'
 ];
 
+// Probe name no system ships; check() returning true for it means check() cannot be trusted
+const BOGUS_FONT = 'WYR Nonexistent Font 7f3a';
+
+// Generic families used as measurement baselines (a font is present if it changes any of them)
+const BASE_FAMILIES = ['monospace', 'sans-serif', 'serif'];
+const MEASURE_TEXT = 'mmmmmmmmmmlli1WQ@#\u00c6\u00df\u4e2d';
+const MEASURE_SIZE = '72px';
+
+/**
+ * Engine 1: FontFaceSet.check()
+ * @returns {{ supported: boolean, reliable: boolean, found: Set<string> }}
+ */
+function detectWithCheck(fonts) {
+  const found = new Set();
+  if (!document.fonts || !document.fonts.check) return { supported: false, reliable: false, found };
+
+  let reliable = true;
+  try {
+    reliable = !document.fonts.check(`12px "${BOGUS_FONT}"`);
+  } catch { /* ignore */ }
+
+  for (const font of fonts) {
+    try {
+      if (document.fonts.check(`12px "${font}"`)) found.add(font);
+    } catch { /* ignore */ }
+  }
+  return { supported: true, reliable, found };
+}
+
+/**
+ * Engine 2: glyph width/height measurement against generic-family baselines
+ * @returns {{ supported: boolean, reliable: boolean, found: Set<string> }}
+ */
+function detectWithMeasurement(fonts) {
+  const found = new Set();
+  const ctx = document.createElement('canvas').getContext('2d');
+  if (!ctx) return { supported: false, reliable: false, found };
+
+  const metrics = (family) => {
+    ctx.font = `${MEASURE_SIZE} ${family}`;
+    const m = ctx.measureText(MEASURE_TEXT);
+    const height = (m.actualBoundingBoxAscent || 0) + (m.actualBoundingBoxDescent || 0);
+    return `${m.width.toFixed(2)}x${height.toFixed(2)}`;
+  };
+
+  const baselines = Object.fromEntries(BASE_FAMILIES.map((base) => [base, metrics(base)]));
+  // A bogus name must fall back to the baseline; otherwise measurements are being spoofed
+  const reliable = BASE_FAMILIES.every((base) => metrics(`"${BOGUS_FONT}", ${base}`) === baselines[base]);
+
+  for (const font of fonts) {
+    if (BASE_FAMILIES.some((base) => metrics(`"${font}", ${base}`) !== baselines[base])) found.add(font);
+  }
+  return { supported: true, reliable, found };
+}
+
+/**
+ * Picks the engine whose result is used for the card, cross-validating the two
+ * @returns {{ method: string, detected: string[] }}
+ */
+function chooseResult(fonts, check, measured) {
+  const from = (set) => fonts.filter((f) => set.has(f));
+
+  if (check.supported && check.reliable && check.found.size > 0) {
+    return { method: 'FontFaceSet.check()', detected: from(check.found) };
+  }
+  if (measured.supported && measured.found.size > 0) {
+    let reason = 'check() unsupported';
+    if (check.supported) reason = check.reliable ? 'check() found nothing' : 'check() accepts any name';
+    return {
+      method: `Glyph Measurement (${reason})` + (measured.reliable ? '' : ' [Spoofed Metrics?]'),
+      detected: from(measured.found),
+    };
+  }
+  return { method: 'None (Both Methods Blocked)', detected: [] };
+}
+
+/**
+ * Detects which of the given fonts are available, with the same engines as the fonts card
+ * @param {string[]} fonts
+ * @returns {string[]} Detected fonts
+ */
+export function detectFonts(fonts) {
+  return chooseResult(fonts, detectWithCheck(fonts), detectWithMeasurement(fonts)).detected;
+}
+
 export async function collectFontData() {
-  const detected = [];
-  const detectedSet = new Set(); // For faster lookups
+  const fonts = [...new Set(FONT_LIST)];
   const byCategory = {
     windows: [],
     macos: [],
@@ -123,53 +211,107 @@ export async function collectFontData() {
     other: [],
   };
 
-  if (document.fonts && document.fonts.check) {
-    for (const font of FONT_LIST) {
-      // De-duplicate checks if list implies overlaps
-      if (detectedSet.has(font)) continue;
-      
-      try {
-        if (document.fonts.check(`12px "${font}"`)) {
-          detected.push(font);
-          detectedSet.add(font);
-          categorizeFont(font, byCategory);
-        }
-      } catch (e) { /* ignore */ }
-    }
-  }
+  const check = detectWithCheck(fonts);
+  const measured = detectWithMeasurement(fonts);
+  const { method, detected } = chooseResult(fonts, check, measured);
+  detected.forEach((font) => categorizeFont(font, byCategory));
 
   const data = {};
+  const entropy = measure({
+      font_count: detected.length,
+      font_os_family: dominantFamily(byCategory),
+      nerd_fonts: byCategory.nerd.length > 0,
+  });
+
+  data['Detection Method'] = {
+      value: method,
+      url: 'https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/measureText'
+  };
 
   data['Detected Fonts Count'] = {
       value: detected.length,
+      raw: detected.length,
+      entropy: entropy.bits.font_count,
       url: 'https://developer.mozilla.org/en-US/docs/Web/API/FontFaceSet/check'
   };
 
+  // Cross-validation of the two engines
+  if (check.supported && measured.supported) {
+      const onlyCheck = fonts.filter((f) => check.found.has(f) && !measured.found.has(f));
+      const onlyMeasured = fonts.filter((f) => measured.found.has(f) && !check.found.has(f));
+      const agree = fonts.length - onlyCheck.length - onlyMeasured.length;
+
+      data['check() Result'] = {
+          value: check.reliable ? `${check.found.size} detected` : `${check.found.size} detected (Unreliable: accepts any name)`,
+          raw: check.found.size,
+          warning: !check.reliable,
+          url: 'https://developer.mozilla.org/en-US/docs/Web/API/FontFaceSet/check'
+      };
+      data['Measurement Result'] = {
+          value: measured.reliable ? `${measured.found.size} detected` : `${measured.found.size} detected (Unreliable: metrics spoofed)`,
+          raw: measured.found.size,
+          warning: !measured.reliable,
+          url: 'https://developer.mozilla.org/en-US/docs/Web/API/TextMetrics'
+      };
+      data['Method Agreement'] = {
+          value: `${Math.round((agree / fonts.length) * 100)}% (${agree}/${fonts.length} fonts)`,
+          raw: agree / fonts.length,
+      };
+      if (onlyCheck.length > 0 && check.reliable) {
+          data['Only via check()'] = { value: onlyCheck.join(', '), raw: onlyCheck };
+      }
+      if (onlyMeasured.length > 0 && measured.reliable) {
+          data['Only via Measurement'] = { value: onlyMeasured.join(', '), raw: onlyMeasured };
+      }
+  }
+
   data['Font Entropy'] = {
-      value: detected.length > 80 ? 'High' : detected.length > 30 ? 'Medium' : 'Low',
-      warning: detected.length > 80,
+      value: formatBits(entropy.total),
+      raw: entropy.total,
+      entropy: entropy.total,
+      warning: entropy.total >= 8,
       url: 'https://developer.mozilla.org/en-US/docs/Web/API/FontFaceSet'
   };
 
   if (byCategory.nerd.length > 0) {
       data['Nerd Fonts Installed'] = { 
           value: 'Yes (' + byCategory.nerd.length + ' detected)',
+          entropy: entropy.bits.nerd_fonts,
           warning: true, // Identifying trait
           url: 'https://www.nerdfonts.com/'
       };
   }
 
   // Specific Counts
-  if (byCategory.windows.length > 0) data['Windows Fonts'] = { value: byCategory.windows.length + ' detected' };
-  if (byCategory.macos.length > 0) data['macOS Fonts'] = { value: byCategory.macos.length + ' detected' };
-  if (byCategory.linux.length > 0) data['Linux Fonts'] = { value: byCategory.linux.length + ' detected' };
+  if (byCategory.windows.length > 0) data['Windows Fonts'] = { value: byCategory.windows.length + ' detected', raw: byCategory.windows.length };
+  if (byCategory.macos.length > 0) data['macOS Fonts'] = { value: byCategory.macos.length + ' detected', raw: byCategory.macos.length };
+  if (byCategory.linux.length > 0) data['Linux Fonts'] = { value: byCategory.linux.length + ' detected', raw: byCategory.linux.length };
   
   data['Installed Fonts'] = {
       value: detected.length > 0 ? detected.join(', ') : 'None detected (Blocked?)',
+      raw: detected,
       warning: detected.length === 0
   };
 
-  return data;
+  Object.assign(data, await collectLocalFonts());
+
+  return toSignals('fonts', data);
+}
+
+/**
+ * Dominant OS font family, as bucketed in the reference distribution
+ */
+function dominantFamily(byCategory) {
+  const ranked = [
+    ['windows', byCategory.windows.length],
+    ['macos', byCategory.macos.length],
+    ['linux', byCategory.linux.length],
+  ].sort((a, b) => b[1] - a[1]);
+
+  if (ranked[0][1] === 0) return 'none';
+  // A strong second family suggests a customised system
+  if (ranked[1][1] > ranked[0][1] / 2) return 'mixed';
+  return ranked[0][0];
 }
 
 function categorizeFont(font, categories) {
@@ -0,0 +1,156 @@
+/**
+ * ICU / CLDR Profile Module
+ * Intl.supportedValuesOf lists, DisplayNames, Segmenter and collation probes, and an
+ * inference of the ICU/CLDR data version behind them (Safari uses the OS copy of ICU,
+ * Chromium and Firefox bundle their own, so the version tracks the real browser build or OS)
+ */
+
+import { cyrb53 } from '../../utils/crypto';
+
+const SUPPORTED_VALUE_KEYS = ['timeZone', 'currency', 'collation', 'calendar', 'numberingSystem', 'unit'];
+
+const DISPLAY_NAME_PROBES = {
+  region: ['TR', 'MK', 'SZ', 'CZ', 'HK', 'PS', 'CI', 'XK'],
+  language: ['yue', 'zh-Hant', 'en-GB', 'nds', 'ckb', 'mni'],
+  script: ['Hrkt', 'Kawi', 'Nagm', 'Hmnp'],
+  currency: ['VED', 'SLE', 'ZWG', 'XCG'],
+};
+
+const GRAPHEME_PROBES = {
+  conjunct: 'क्षि', // Devanagari conjunct (Unicode 15.1 GB9c)
+  family: '👨‍👩‍👧‍👦',
+  flag: '🏳️‍🌈',
+  hangul: '한국어',
+  skinTone: '👍🏽',
+};
+const WORD_PROBE = 'Hello, world! 你好世界 ภาษาไทย ありがとうございます';
+
+const COLLATION_STRINGS = [
+  'a', 'A', 'á', 'ä', 'æ', 'å', 'ø', 'ö', 'oe', 'ß', 'ss', 'z', 'ch', 'c', 'd', 'll', 'l', 'ı', 'i', 'İ',
+  '1', '10', '2', '-a', 'a-b', 'ab', '_', 'ǆ', '中', '日', '한', 'ア', 'あ', 'ñ', 'n',
+];
+const COLLATIONS = [undefined, 'de-u-co-phonebk', 'sv', 'es-u-co-trad', 'tr', 'zh-u-co-pinyin', 'zh-u-co-stroke', 'ja', 'en-u-kn-true'];
+
+/**
+ * Data that first appeared in a given ICU release (ascending)
+ */
+const ICU_MARKERS = [
+  { icu: 64, cldr: 35, name: 'Nyiakeng Puachue Hmong digits', test: (p) => has(p, 'numberingSystem', 'hmnp') },
+  { icu: 68, cldr: 38, name: 'Dives Akuru digits', test: (p) => has(p, 'numberingSystem', 'diak') },
+  { icu: 70, cldr: 40, name: 'Tangsa digits', test: (p) => has(p, 'numberingSystem', 'tnsa') },
+  { icu: 72, cldr: 42, name: 'Kawi digits / "Türkiye"', test: (p) => has(p, 'numberingSystem', 'kawi') || p.displayNames.region?.TR === 'Türkiye' },
+  { icu: 74, cldr: 44, name: 'Indic conjunct graphemes', test: (p) => p.graphemes?.conjunct === 1 },
+  { icu: 76, cldr: 46, name: 'Garay digits', test: (p) => has(p, 'numberingSystem', 'gara') },
+];
+
+function has(profile, key, value) {
+  const values = profile.supportedValues[key];
+  return Array.isArray(values) && values.includes(value);
+}
+
+function readSupportedValues() {
+  const values = {};
+  for (const key of SUPPORTED_VALUE_KEYS) {
+    try {
+      values[key] = Intl.supportedValuesOf(key);
+    } catch {
+      values[key] = null;
+    }
+  }
+  return values;
+}
+
+function readDisplayNames() {
+  const names = {};
+  for (const [type, codes] of Object.entries(DISPLAY_NAME_PROBES)) {
+    try {
+      const displayNames = new Intl.DisplayNames(['en'], { type, fallback: 'code' });
+      names[type] = Object.fromEntries(codes.map((code) => [code, displayNames.of(code)]));
+    } catch {
+      names[type] = null;
+    }
+  }
+  return names;
+}
+
+function readSegmenter() {
+  const graphemer = new Intl.Segmenter('en', { granularity: 'grapheme' });
+  const graphemes = Object.fromEntries(
+    Object.entries(GRAPHEME_PROBES).map(([name, text]) => [name, [...graphemer.segment(text)].length])
+  );
+  const words = [...new Intl.Segmenter('en', { granularity: 'word' }).segment(WORD_PROBE)]
+    .filter((s) => s.isWordLike)
+    .map((s) => s.segment);
+  return { graphemes, words };
+}
+
+/**
+ * Sorts the probe strings under each collation
+ * @returns {Object<string, string>} Collation -> joined sort order
+ */
+function readCollations() {
+  const orders = {};
+  for (const locale of COLLATIONS) {
+    try {
+      const collator = new Intl.Collator(locale);
+      orders[locale || 'default'] = [...COLLATION_STRINGS].sort(collator.compare).join(' ');
+    } catch {
+      orders[locale || 'default'] = null;
+    }
+  }
+  return orders;
+}
+
+/**
+ * Brackets the ICU/CLDR version from ICU_MARKERS
+ * @returns {{ min: Object|null, max: Object|null, markers: string[] }} min/max are { icu, cldr }; max is the first release whose data is missing
+ */
+export function inferICUVersion(profile) {
+  let min = null;
+  let max = null;
+  const markers = [];
+  for (const marker of ICU_MARKERS) {
+    if (marker.test(profile)) {
+      min = { icu: marker.icu, cldr: marker.cldr };
+      markers.push(marker.name);
+    } else if (!max) {
+      max = { icu: marker.icu, cldr: marker.cldr };
+    }
+  }
+  // A later marker without an earlier one means data was trimmed; trust the newest hit
+  if (max && min && max.icu <= min.icu) max = null;
+  return { min, max, markers };
+}
+
+/**
+ * Collects the Intl/ICU profile
+ * @returns {Object} { supported, supportedValues, displayNames, graphemes, words, collations, version, hashes }
+ */
+export function collectICUProfile() {
+  const supported = typeof Intl.supportedValuesOf === 'function';
+  const profile = {
+    supported,
+    supportedValues: supported ? readSupportedValues() : {},
+    displayNames: typeof Intl.DisplayNames === 'function' ? readDisplayNames() : {},
+    graphemes: null,
+    words: null,
+    collations: readCollations(),
+  };
+
+  if (typeof Intl.Segmenter === 'function') {
+    try {
+      Object.assign(profile, readSegmenter());
+    } catch { /* ignore */ }
+  }
+
+  const hash = (value) => cyrb53(JSON.stringify(value)).toString(16);
+  profile.version = inferICUVersion(profile);
+  profile.hashes = {
+    supportedValues: Object.fromEntries(Object.entries(profile.supportedValues).map(([key, list]) => [key, list ? hash(list) : null])),
+    displayNames: hash(profile.displayNames),
+    segmenter: hash({ graphemes: profile.graphemes, words: profile.words }),
+    collations: hash(profile.collations),
+  };
+  profile.hashes.all = hash(profile.hashes);
+  return profile;
+}
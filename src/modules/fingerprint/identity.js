@@ -1,9 +1,16 @@
 /**
  * Digital Identity & Fingerprinting Module
  * Aggregates Canvas, Audio, Emoji, and Voice vectors into a Composite ID
+ * (DOMRect/TextMetrics measurements are reported alongside, outside the ID)
  */
 
 import { cyrb53 } from '../../utils/crypto';
+import { toSignals } from '../../core/signal';
+import { measure, formatBits } from '../../core/entropy';
+import { trackStability, isStabilityTrackingEnabled } from './stability';
+import { collectAudioFingerprints, classifyAudioNoise, AUDIO_VARIANTS } from './audio';
+import { collectMeasurementFingerprints, formatMeasurements } from './text_metrics';
+import { loadVoices, classifyVoices } from './voices';
 
 /**
  * Generates a standard canvas fingerprint with text, emojis, and shapes
@@ -104,97 +111,168 @@ function getEmojiFingerprint() {
 }
 
 /**
- * Generates an enhanced audio fingerprint using OfflineAudioContext
+ * Legacy audio component of the Composite Device ID (triangle render sum)
  */
-async function getAudioFingerprint() {
-  try {
-    const AudioContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
-    if (!AudioContext) {
-      return 'Not Supported';
-    }
+function legacyAudioValue(audio) {
+  if (!audio.supported) return 'Not Supported';
+  return audio.variants.triangle.value || 'Error';
+}
+
+/**
+ * Formats audio variants, noise verdict and AudioContext properties for the card
+ * @param {Object} audio - Result of collectAudioFingerprints()
+ */
+function formatAudio(audio) {
+  const audioUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/OfflineAudioContext';
+  const contextUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/AudioContext';
+  const data = {};
+
+  if (audio.supported) {
+    const { verdict, noisy } = classifyAudioNoise(audio);
+    data['Audio Noise Injection'] = {
+      value: verdict + (noisy.length ? ` (${noisy.join(', ')})` : '')
+        + (verdict === 'Per-Session Noise' ? ` (${audio.exact.altered}/${audio.exact.total} constant samples altered)` : ''),
+      raw: verdict,
+      // No noise means every variant below is a stable identifier
+      warning: verdict === 'None Detected',
+      url: audioUrl,
+    };
 
-    const context = new AudioContext(1, 44100, 44100);
-
-    // Oscillator
-    const oscillator = context.createOscillator();
-    oscillator.type = 'triangle';
-    oscillator.frequency.value = 10000;
-
-    // Compressor with specific settings (hardware dependent)
-    const compressor = context.createDynamicsCompressor();
-    compressor.threshold.value = -50;
-    compressor.knee.value = 40;
-    compressor.ratio.value = 12;
-    compressor.attack.value = 0;
-    compressor.release.value = 0.25;
-
-    // Analyser node
-    const analyser = context.createAnalyser();
-    analyser.fftSize = 256;
-
-    // Connect nodes
-    oscillator.connect(compressor);
-    compressor.connect(analyser);
-    analyser.connect(context.destination);
-
-    oscillator.start(0);
-    const buffer = await context.startRendering();
-
-    // Get channel data and create fingerprint
-    const channelData = buffer.getChannelData(0);
-    let sum = 0;
-    for (let i = 0; i < channelData.length; i++) {
-      sum += Math.abs(channelData[i]);
+    for (const [id, variant] of Object.entries(AUDIO_VARIANTS)) {
+      const result = audio.variants[id];
+      data[`Audio (${variant.label})`] = result.error
+        ? { value: 'Error: ' + result.error, raw: null, url: audioUrl }
+        : {
+            value: `${result.hash} (${result.stable ? 'Stable' : 'Varies per Render'})`,
+            raw: { value: result.value, stable: result.stable },
+            warning: !result.stable,
+            url: audioUrl,
+          };
     }
+  }
 
-    return sum.toString();
-  } catch (e) {
-    return 'Error';
+  const props = audio.properties;
+  if (props) {
+    const ms = (seconds) => (seconds === null ? 'Not Exposed' : (seconds * 1000).toFixed(2) + ' ms');
+    data['Audio Sample Rate'] = { value: props.sampleRate + ' Hz', raw: props.sampleRate, url: contextUrl + '/sampleRate' };
+    data['Audio Base Latency'] = { value: ms(props.baseLatency), raw: props.baseLatency, url: contextUrl + '/baseLatency' };
+    data['Audio Output Latency'] = { value: ms(props.outputLatency), raw: props.outputLatency, url: contextUrl + '/outputLatency' };
+    data['Audio Max Channels'] = {
+      value: props.maxChannelCount,
+      raw: props.maxChannelCount,
+      url: 'https://developer.mozilla.org/en-US/docs/Web/API/AudioDestinationNode/maxChannelCount',
+    };
   }
+
+  return data;
 }
 
 /**
  * Gets speech synthesis voices fingerprint
  */
 async function getSpeechVoicesFingerprint() {
-  return new Promise((resolve) => {
-    if (!('speechSynthesis' in window)) {
-      resolve({ available: false, count: 0, hash: 'Not Supported' });
-      return;
-    }
+  const voices = await loadVoices();
+  if (voices === null) return { available: false, count: 0, hash: 'Not Supported' };
+  if (voices.length === 0) return { available: true, count: 0, hash: 'Timeout/None' };
+
+  return {
+    available: true,
+    count: voices.length,
+    sample: voices
+      .slice(0, 5)
+      .map((v) => v.name)
+      .join(', '),
+    ...classifyVoices(voices, navigator.languages || [navigator.language]),
+  };
+}
+
+/**
+ * Formats the voice classification for the card
+ * @param {Object} voicesFP - Result of getSpeechVoicesFingerprint()
+ */
+function formatVoices(voicesFP) {
+  const voicesUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/SpeechSynthesis/getVoices';
+  if (voicesFP.count === 0) return {};
+
+  return {
+    'Voice Fingerprint': { value: voicesFP.stableHash, url: voicesUrl },
+    'Voice Inferred OS': {
+      value: voicesFP.os + (voicesFP.version ? ` (${voicesFP.version})` : '')
+        + (voicesFP.evidence.length ? ` via ${voicesFP.evidence.join(', ')}` : ''),
+      raw: { os: voicesFP.os, version: voicesFP.version },
+    },
+    'Voice Vendors': {
+      value: Object.entries(voicesFP.vendors).map(([vendor, n]) => `${vendor} ${n}`).join(', '),
+      raw: voicesFP.vendors,
+    },
+    'Installed Language Packs': {
+      value: voicesFP.languagePacks.length ? voicesFP.languagePacks.join(', ') : 'None (Network Voices Only)',
+      raw: voicesFP.languagePacks,
+      url: 'https://developer.mozilla.org/en-US/docs/Web/API/SpeechSynthesisVoice/localService',
+    },
+    'Extra Voice Languages': {
+      value: voicesFP.extraLanguages.length ? voicesFP.extraLanguages.join(', ') : 'None',
+      raw: voicesFP.extraLanguages,
+      // Languages the user never advertised, revealed by installed voices
+      warning: voicesFP.extraLanguages.length > 0,
+    },
+  };
+}
 
-    const getVoices = () => {
-      const voices = speechSynthesis.getVoices();
-      if (voices.length === 0) {
-        // Voices not loaded yet, wait
-        setTimeout(getVoices, 100);
-        return;
-      }
-
-      const voiceData = voices.map((v) => `${v.name}|${v.lang}|${v.localService}`).join('||');
-      resolve({
-        available: true,
-        count: voices.length,
-        hash: cyrb53(voiceData).toString(16),
-        sample: voices
-          .slice(0, 5)
-          .map((v) => v.name)
-          .join(', '),
-      });
+/**
+ * Formats the visit-history comparison for the DIGITAL_IDENTITY card
+ * @param {Object|null} stability - Result of trackStability()
+ */
+function formatStability(stability) {
+  if (!isStabilityTrackingEnabled()) {
+    return {
+      'Visit History': {
+        value: 'Off (stored locally if enabled)',
+        action: 'stability-enable',
+        actionLabel: 'Enable',
+      },
     };
+  }
 
-    // Browsers often load voices asynchronously
-    if (speechSynthesis.onvoiceschanged !== undefined) {
-      speechSynthesis.onvoiceschanged = getVoices;
-    }
+  if (!stability) {
+    return {
+      'Visit History': { value: 'Unavailable (IndexedDB blocked)', warning: true },
+    };
+  }
+
+  const data = {
+    'Visit History': {
+      value: `${stability.visits} visit${stability.visits === 1 ? '' : 's'} recorded`,
+      raw: stability.visits,
+      action: 'stability-disable',
+      actionLabel: 'Forget',
+    },
+  };
 
-    getVoices();
+  if (stability.matchesPrevious === null) {
+    data['ID vs Last Visit'] = { value: 'First recorded visit', raw: null };
+    return data;
+  }
 
-    // Timeout fallback (some browsers don't have voices or fail to load)
-    setTimeout(() => {
-      resolve({ available: true, count: 0, hash: 'Timeout/None' });
-    }, 1000);
-  });
+  data['ID vs Last Visit'] = {
+    value: stability.matchesPrevious ? 'MATCH (Still Trackable)' : 'Changed',
+    raw: stability.matchesPrevious,
+    warning: stability.matchesPrevious,
+  };
+  data['Changed Components'] = {
+    value: stability.changed.length > 0 ? stability.changed.join(', ') : 'None',
+    raw: stability.changed,
+  };
+  data['ID Stable For'] = {
+    value: `${stability.stableDays} day${stability.stableDays === 1 ? '' : 's'} (since ${new Date(stability.stableSince).toLocaleDateString()})`,
+    raw: stability.stableDays,
+    warning: stability.stableDays >= 7,
+  };
+  if (!stability.matchesPrevious && stability.seenBefore) {
+    data['ID Seen Before'] = { value: 'Yes (Returned to an earlier ID)', raw: true, warning: true };
+  }
+
+  return data;
 }
 
 /**
@@ -207,40 +285,80 @@ export async function collectFingerprintData() {
   const webglCanvasFP = getWebGLCanvasFingerprint(); 
   
   const emojiFP = getEmojiFingerprint();
-  const audioFP = await getAudioFingerprint();
+  const audio = await collectAudioFingerprints();
+  const audioFP = legacyAudioValue(audio);
   const voicesFP = await getSpeechVoicesFingerprint();
+  const measurements = collectMeasurementFingerprints();
 
   // Composite Hash Data (high entropy combination)
-  const fingerprintComponents = [
-    canvasFP,
-    webglCanvasFP,
-    emojiFP,
-    audioFP,
-    navigator.hardwareConcurrency,
-    screen.width + 'x' + screen.height,
-    Intl.DateTimeFormat().resolvedOptions().timeZone,
-    navigator.language,
-    voicesFP.hash,
-  ].join('||');
+  const components = {
+    canvas: canvasFP,
+    webglCanvas: webglCanvasFP,
+    emoji: emojiFP,
+    audio: audioFP,
+    cpuCores: navigator.hardwareConcurrency,
+    screen: screen.width + 'x' + screen.height,
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    language: navigator.language,
+    voices: voicesFP.hash,
+  };
+  const fingerprintComponents = Object.values(components).join('||');
 
   const deviceHash = cyrb53(fingerprintComponents).toString(16);
 
-  return {
-    'Composite Device ID': { value: deviceHash.toUpperCase(), warning: true },
-    'Trackability Estimate': { value: 'Very High (Multi-Vector)', warning: true },
+  // Only hashes of each component are kept in the (opt-in) visit history
+  const componentHashes = Object.fromEntries(
+    Object.entries(components).map(([name, value]) => [name, cyrb53(String(value)).toString(16)])
+  );
+  const stability = await trackStability(deviceHash, componentHashes).catch((e) => {
+    console.warn('Error tracking fingerprint stability:', e);
+    return null;
+  });
+
+  // Information content of each component (failed/unsupported vectors carry no information)
+  const failed = (v) => v === 'Not Supported' || v === 'Error';
+  const observations = {
+    hardware_concurrency: components.cpuCores,
+    screen_resolution: components.screen,
+    timezone: components.timezone,
+    language: components.language,
+  };
+  if (!failed(canvasFP)) observations.canvas_hash = canvasFP;
+  if (!failed(webglCanvasFP)) observations.webgl_canvas_hash = webglCanvasFP;
+  if (!failed(emojiFP)) observations.emoji_hash = emojiFP;
+  if (!failed(audioFP)) observations.audio_hash = audioFP;
+  if (voicesFP.count > 0) observations.voices_hash = voicesFP.hash;
+  const entropy = measure(observations);
+
+  const data = {
+    'Composite Device ID': { value: deviceHash.toUpperCase(), entropy: entropy.total, warning: true },
+    'Trackability Estimate': {
+      value: formatBits(entropy.total),
+      raw: entropy.total,
+      entropy: entropy.total,
+      warning: entropy.total >= 16,
+    },
     
-    'Canvas Hash': { value: cyrb53(canvasFP).toString(16) },
+    'Canvas Hash': { value: cyrb53(canvasFP).toString(16), entropy: entropy.bits.canvas_hash },
     'Canvas Visual': {
       // Inline image for visual verification
       value: 'Rendered below',
+      raw: canvasFP,
       element: `<img src="${canvasFP}" style="border: 1px solid var(--color-text); margin-top: 5px; max-width: 100%; height: auto; image-rendering: pixelated;" alt="Canvas Fingerprint" />`,
     },
     
-    'WebGL Canvas Hash': { value: cyrb53(webglCanvasFP).toString(16) },
-    'Emoji Render Hash': { value: cyrb53(emojiFP).toString(16) },
-    'Audio Hash': { value: cyrb53(audioFP).toString(16) },
+    'WebGL Canvas Hash': { value: cyrb53(webglCanvasFP).toString(16), entropy: entropy.bits.webgl_canvas_hash },
+    'Emoji Render Hash': { value: cyrb53(emojiFP).toString(16), entropy: entropy.bits.emoji_hash },
+    ...formatMeasurements(measurements),
+    'Audio Hash': { value: cyrb53(audioFP).toString(16), raw: audioFP, entropy: entropy.bits.audio_hash },
+    ...formatAudio(audio),
     
-    'Speech Voices': { value: voicesFP.available ? `${voicesFP.count} voices` : 'Not Supported' },
-    'Sample Voice': { value: voicesFP.available ? voicesFP.sample : 'N/A' }
+    'Speech Voices': { value: voicesFP.available ? `${voicesFP.count} voices` : 'Not Supported', raw: voicesFP.count, entropy: entropy.bits.voices_hash },
+    'Sample Voice': { value: voicesFP.sample || 'N/A' },
+    ...formatVoices(voicesFP),
   };
+
+  Object.assign(data, formatStability(stability));
+
+  return toSignals('identity', data);
 }
@@ -3,6 +3,8 @@
  * Analyzes browser environment for signs of automation
  */
 
+import { toSignals } from '../../core/signal';
+
 export function detectBot() {
   const findings = [];
   let score = 0;
@@ -114,11 +116,12 @@ export function detectBot() {
   const data = {
     'Integrity Status': { 
         value: status, 
-        warning: score >= 50,
+        level: score >= 100 ? 'critical' : score >= 50 ? 'warning' : 'info',
         url: webDriverUrl
     },
     'Automation Score': {
         value: score > 0 ? score + '/100' : '0/100 (Clean)',
+        raw: score,
         warning: score > 50,
         url: webDriverUrl
     },
@@ -126,6 +129,7 @@ export function detectBot() {
     // Explicit checks
     'Navigator.webdriver': { 
         value: navigator.webdriver ? 'TRUE' : 'False', 
+        raw: navigator.webdriver,
         warning: !!navigator.webdriver,
         url: webDriverUrl 
     },
@@ -152,10 +156,11 @@ export function detectBot() {
   if (findings.length > 0) {
     data['Flags Raised'] = { 
         value: findings.join(', '), 
+        raw: findings,
         warning: true,
         url: webDriverUrl
     };
   }
 
-  return data;
+  return toSignals('integrity', data);
 }
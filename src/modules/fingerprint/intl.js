@@ -1,16 +1,37 @@
 import { sha256 } from '../../utils/crypto';
+import { toSignals } from '../../core/signal';
+import { surprisal, formatBits } from '../../core/entropy';
+import { collectICUProfile } from './icu';
+
+function describeICUVersion({ min, max }) {
+  if (!min && !max) return 'Unknown';
+  if (!min) return `ICU < ${max.icu} (CLDR < ${max.cldr})`;
+  if (!max) return `ICU ${min.icu}+ (CLDR ${min.cldr}+)`;
+  return `ICU ${min.icu} - ${max.icu - 1} (CLDR ${min.cldr} - ${max.cldr - 1})`;
+}
 
 export async function collectIntlData() {
   const data = {};
   const intlUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/Intl';
+  let entropyTotal = 0;
+
+  // Surprisal of a value against the reference distribution (accumulated into the locale total)
+  const bits = (attribute, value) => {
+    const b = surprisal(attribute, value);
+    entropyTotal += b;
+    return b;
+  };
 
   // Basic Locale Info
   data['Navigator Language'] = { 
       value: navigator.language, 
+      entropy: bits('language', navigator.language),
       url: 'https://developer.mozilla.org/en-US/docs/Web/API/Navigator/language' 
   };
   data['Languages List'] = { 
       value: navigator.languages ? navigator.languages.join(', ') : 'N/A', 
+      raw: navigator.languages ? [...navigator.languages] : [],
+      entropy: bits('languages_count', navigator.languages ? navigator.languages.length : 1),
       url: 'https://developer.mozilla.org/en-US/docs/Web/API/Navigator/languages' 
   };
 
@@ -20,10 +41,10 @@ export async function collectIntlData() {
     const resolved = dtf.resolvedOptions();
     const dtfUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/Intl/DateTimeFormat/resolvedOptions';
     
-    data['Timezone'] = { value: resolved.timeZone, url: dtfUrl };
-    data['Locale (Resolved)'] = { value: resolved.locale, url: dtfUrl };
-    data['Calendar'] = { value: resolved.calendar, url: dtfUrl };
-    data['Numbering System'] = { value: resolved.numberingSystem, url: dtfUrl };
+    data['Timezone'] = { value: resolved.timeZone, entropy: bits('timezone', resolved.timeZone), url: dtfUrl };
+    data['Locale (Resolved)'] = { value: resolved.locale, entropy: bits('locale', resolved.locale), url: dtfUrl };
+    data['Calendar'] = { value: resolved.calendar, entropy: bits('calendar', resolved.calendar), url: dtfUrl };
+    data['Numbering System'] = { value: resolved.numberingSystem, entropy: bits('numbering_system', resolved.numberingSystem), url: dtfUrl };
   } catch (e) {
     /* ignore */
   }
@@ -98,6 +119,13 @@ export async function collectIntlData() {
     }
   } catch (e) { /* ignore */ }
 
+  let icu = null;
+  try {
+    icu = collectICUProfile();
+  } catch (e) {
+    console.warn('ICU profile failed:', e);
+  }
+
   // Generate locale fingerprint hash
   try {
       const localeComponents = [
@@ -112,12 +140,63 @@ export async function collectIntlData() {
       
       data['Locale Fingerprint'] = {
         value: hash,
+        raw: localeComponents,
+        entropy: entropyTotal,
         warning: true,
         url: intlUrl
       };
+      if (icu) {
+        data['ICU / CLDR Version'] = {
+          value: describeICUVersion(icu.version) + (icu.version.markers.length ? ` via ${icu.version.markers[icu.version.markers.length - 1]}` : ''),
+          raw: icu.version,
+          url: 'https://cldr.unicode.org/index/downloads',
+        };
+      }
+      data['Locale Entropy'] = {
+        value: formatBits(entropyTotal),
+        raw: entropyTotal,
+        entropy: entropyTotal,
+        warning: entropyTotal >= 8,
+        url: intlUrl
+      };
   } catch(e) {
       // ignore
   }
 
-  return data;
+  if (icu) {
+    const supportedUrl = 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/supportedValuesOf';
+    data['ICU Fingerprint'] = { value: icu.hashes.all, raw: icu.hashes, url: intlUrl };
+
+    if (icu.supported) {
+      for (const [key, values] of Object.entries(icu.supportedValues)) {
+        data[`Supported ${key} Values`] = values
+          ? { value: `${values.length} (${icu.hashes.supportedValues[key]})`, raw: values, url: supportedUrl }
+          : { value: 'Not Supported', raw: null, url: supportedUrl };
+      }
+    } else {
+      data['Intl.supportedValuesOf'] = { value: 'Not Supported', url: supportedUrl };
+    }
+
+    if (icu.displayNames.region) {
+      data['Display Names'] = {
+        value: `${icu.hashes.displayNames} (TR: ${icu.displayNames.region.TR}, MK: ${icu.displayNames.region.MK})`,
+        raw: icu.displayNames,
+        url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/DisplayNames',
+      };
+    }
+    if (icu.graphemes) {
+      data['Segmenter Output'] = {
+        value: `${icu.hashes.segmenter} (` + Object.entries(icu.graphemes).map(([name, n]) => `${name}: ${n}`).join(', ') + ')',
+        raw: { graphemes: icu.graphemes, words: icu.words },
+        url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/Segmenter',
+      };
+    }
+    data['Collation Order'] = {
+      value: `${icu.hashes.collations} (${Object.values(icu.collations).filter(Boolean).length} collations)`,
+      raw: icu.collations,
+      url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/Collator',
+    };
+  }
+
+  return toSignals('intl', data);
 }
@@ -0,0 +1,317 @@
+/**
+ * JavaScript Engine Fingerprinting Module
+ * Math precision, error message and stack formats, native function source and the built-in
+ * surface, used to infer the engine (V8, SpiderMonkey, JavaScriptCore) and an approximate
+ * version without trusting the User-Agent
+ */
+
+import { cyrb53 } from '../../utils/crypto';
+import { toSignals } from '../../core/signal';
+
+const ENGINES = {
+  v8: { name: 'V8', browser: 'Chromium' },
+  spidermonkey: { name: 'SpiderMonkey', browser: 'Firefox' },
+  jsc: { name: 'JavaScriptCore', browser: 'Safari' },
+};
+
+/**
+ * Edge inputs where engines use different libm implementations or argument reduction
+ */
+const MATH_PROBES = {
+  'tan(-1e300)': () => Math.tan(-1e300),
+  'sin(1e300)': () => Math.sin(1e300),
+  'cos(1e300)': () => Math.cos(1e300),
+  'acos(0.123)': () => Math.acos(0.123),
+  'acosh(1e300)': () => Math.acosh(1e300),
+  'asinh(1e-300)': () => Math.asinh(1e-300),
+  'atan(2)': () => Math.atan(2),
+  'atanh(0.5)': () => Math.atanh(0.5),
+  'cbrt(100)': () => Math.cbrt(100),
+  'cosh(1)': () => Math.cosh(1),
+  'exp(1)': () => Math.exp(1),
+  'expm1(1)': () => Math.expm1(1),
+  'expm1(1e-10)': () => Math.expm1(1e-10),
+  'log1p(10)': () => Math.log1p(10),
+  'sinh(1)': () => Math.sinh(1),
+  'tanh(1)': () => Math.tanh(1),
+  'pow(Math.PI, -100)': () => Math.pow(Math.PI, -100),
+  'atan2(0.5, 1e-300)': () => Math.atan2(0.5, 1e-300),
+  'hypot(1e-300, 1e300)': () => Math.hypot(1e-300, 1e300),
+};
+
+/**
+ * Runtime errors whose messages are engine-specific
+ * (values are routed through arrays so the bundler cannot constant-fold them)
+ */
+const ERROR_PROBES = {
+  null_property: () => [null][0].x,
+  undefined_call: () => [undefined][0](),
+  not_a_function: () => [{}][0].missing(),
+  invalid_array_length: () => new Array(-1),
+  bad_json: () => JSON.parse('{'),
+  bigint_mix: () => [1n][0] + [1][0],
+  tdz: () => {
+    const read = () => value;
+    read();
+    const value = 1;
+    return value;
+  },
+};
+
+/**
+ * Engine-specific message patterns for ERROR_PROBES.null_property
+ */
+const NULL_PROPERTY_MESSAGES = {
+  v8: /Cannot read propert(y|ies) of null/,
+  spidermonkey: /null has no properties|is null/,
+  jsc: /null is not an object/,
+};
+
+/**
+ * Cross-engine language/API features with the release that shipped them
+ * (Chrome, Firefox and Safari major versions; null where not shipped at the time of writing)
+ */
+const VERSION_FEATURES = [
+  { name: 'Array.prototype.at', v8: 92, spidermonkey: 90, jsc: 15.4, test: () => typeof [].at === 'function' },
+  { name: 'Object.hasOwn', v8: 93, spidermonkey: 92, jsc: 15.4, test: () => typeof Object.hasOwn === 'function' },
+  { name: 'Array.prototype.findLast', v8: 97, spidermonkey: 104, jsc: 15.4, test: () => typeof [].findLast === 'function' },
+  { name: 'Array.prototype.toSorted', v8: 110, spidermonkey: 115, jsc: 16, test: () => typeof [].toSorted === 'function' },
+  { name: 'String.prototype.isWellFormed', v8: 111, spidermonkey: 119, jsc: 16.4, test: () => typeof ''.isWellFormed === 'function' },
+  { name: 'ArrayBuffer.prototype.transfer', v8: 114, spidermonkey: 122, jsc: 17.4, test: () => typeof ArrayBuffer.prototype.transfer === 'function' },
+  { name: 'Object.groupBy', v8: 117, spidermonkey: 119, jsc: 17.4, test: () => typeof Object.groupBy === 'function' },
+  { name: 'Promise.withResolvers', v8: 119, spidermonkey: 121, jsc: 17.4, test: () => typeof Promise.withResolvers === 'function' },
+  { name: 'Array.fromAsync', v8: 121, spidermonkey: 115, jsc: 16.4, test: () => typeof Array.fromAsync === 'function' },
+  { name: 'Set.prototype.union', v8: 122, spidermonkey: 127, jsc: 17, test: () => typeof new Set().union === 'function' },
+  { name: 'Iterator helpers', v8: 122, spidermonkey: 131, jsc: 18.4, test: () => typeof globalThis.Iterator === 'function' && typeof globalThis.Iterator.prototype.map === 'function' },
+  { name: 'Promise.try', v8: 128, spidermonkey: 134, jsc: 18.2, test: () => typeof Promise.try === 'function' },
+  { name: 'Float16Array', v8: 135, spidermonkey: 129, jsc: 18.2, test: () => typeof globalThis.Float16Array === 'function' },
+  { name: 'RegExp.escape', v8: 136, spidermonkey: 134, jsc: 18.2, test: () => typeof RegExp.escape === 'function' },
+  { name: 'Error.isError', v8: 134, spidermonkey: 138, jsc: null, test: () => typeof Error.isError === 'function' },
+  { name: 'Uint8Array.fromBase64', v8: 140, spidermonkey: 133, jsc: 18.2, test: () => typeof Uint8Array.fromBase64 === 'function' },
+  { name: 'Math.sumPrecise', v8: null, spidermonkey: 137, jsc: null, test: () => typeof Math.sumPrecise === 'function' },
+];
+
+/**
+ * Built-ins whose own-property counts grow with each engine release
+ */
+const SURFACE_TARGETS = {
+  Object: () => Object,
+  'Object.prototype': () => Object.prototype,
+  'Array.prototype': () => Array.prototype,
+  'String.prototype': () => String.prototype,
+  'Number.prototype': () => Number.prototype,
+  'Function.prototype': () => Function.prototype,
+  'Promise': () => Promise,
+  'RegExp.prototype': () => RegExp.prototype,
+  'Date.prototype': () => Date.prototype,
+  'Error.prototype': () => Error.prototype,
+  Math: () => Math,
+  Reflect: () => Reflect,
+  Intl: () => Intl,
+  'Navigator.prototype': () => window.Navigator.prototype,
+  'Document.prototype': () => window.Document.prototype,
+  'Element.prototype': () => window.Element.prototype,
+  'HTMLElement.prototype': () => HTMLElement.prototype,
+  'CanvasRenderingContext2D.prototype': () => CanvasRenderingContext2D.prototype,
+};
+
+function runMathProbes() {
+  const results = {};
+  for (const [name, probe] of Object.entries(MATH_PROBES)) {
+    results[name] = String(probe());
+  }
+  return results;
+}
+
+/**
+ * @returns {Object<string, string>} Probe -> "Name: message" (or "No Error")
+ */
+function runErrorProbes() {
+  const results = {};
+  for (const [name, probe] of Object.entries(ERROR_PROBES)) {
+    try {
+      probe();
+      results[name] = 'No Error';
+    } catch (e) {
+      results[name] = `${e.name}: ${e.message}`;
+    }
+  }
+  return results;
+}
+
+/**
+ * Stack trace format: V8 prints "    at fn (url:line:col)", SpiderMonkey and JSC print "fn@url:line:col"
+ */
+function readStackFormat() {
+  const error = new Error('probe');
+  const stack = String(error.stack || '');
+  const firstFrame = stack.split('\n').find((line) => /:\d+:\d+/.test(line)) || '';
+
+  let format = 'Unknown';
+  if (/^\s+at /.test(firstFrame)) format = 'V8 ("at fn (url:line:col)")';
+  else if (/@/.test(firstFrame)) format = 'Gecko/WebKit ("fn@url:line:col")';
+
+  return {
+    format,
+    includesMessage: stack.startsWith('Error: probe'),
+    // JSC attaches line/column/sourceURL, SpiderMonkey fileName/lineNumber/columnNumber
+    ownProperties: Object.getOwnPropertyNames(error).filter((name) => name !== 'message').sort(),
+    hasCaptureStackTrace: typeof Error.captureStackTrace === 'function',
+    stackTraceLimit: typeof Error.stackTraceLimit === 'number' ? Error.stackTraceLimit : null,
+  };
+}
+
+function readNativeSource() {
+  const push = Function.prototype.toString.call(Array.prototype.push);
+  return {
+    sample: push,
+    multiline: push.includes('\n'),
+    evalLength: Function.prototype.toString.call(eval).length,
+    boundFunction: Function.prototype.toString.call(function probe() {}.bind(null)),
+  };
+}
+
+/**
+ * Own-property counts of built-ins plus the enumerable window globals
+ */
+function readSurface() {
+  const counts = {};
+  for (const [name, target] of Object.entries(SURFACE_TARGETS)) {
+    try {
+      counts[name] = Object.getOwnPropertyNames(target()).length;
+    } catch {
+      counts[name] = null;
+    }
+  }
+
+  const globals = Object.keys(window).filter((key) => !/^\d+$/.test(key)).sort();
+  return { counts, globals, ownGlobals: Object.getOwnPropertyNames(window).length };
+}
+
+/**
+ * Scores each engine from the error, stack and native-source evidence
+ * @returns {{ engine: string|null, evidence: string[] }} engine is a key of ENGINES
+ */
+export function inferEngine({ errors, stack, nativeSource }) {
+  const scores = { v8: [], spidermonkey: [], jsc: [] };
+
+  for (const [engine, pattern] of Object.entries(NULL_PROPERTY_MESSAGES)) {
+    if (pattern.test(errors.null_property)) scores[engine].push('null property message');
+  }
+  if (stack.format.startsWith('V8')) scores.v8.push('stack format');
+  if (stack.ownProperties.includes('lineNumber')) scores.spidermonkey.push('error.lineNumber');
+  if (stack.ownProperties.includes('sourceURL')) scores.jsc.push('error.sourceURL');
+  if (typeof globalThis.InternalError === 'function') scores.spidermonkey.push('InternalError');
+  if (!nativeSource.multiline) scores.v8.push('single-line native source');
+
+  const [best, second] = Object.entries(scores).sort((a, b) => b[1].length - a[1].length);
+  if (best[1].length === 0 || best[1].length === second[1].length) return { engine: null, evidence: [] };
+  return { engine: best[0], evidence: best[1] };
+}
+
+/**
+ * Brackets the engine's release from which versioned features are present
+ * @param {string} engine - Key of ENGINES
+ * @returns {{ min: number|null, max: number|null, missing: string[] }} max is the first release known to lack a feature
+ */
+export function inferVersion(engine, features) {
+  let min = null;
+  let max = null;
+  const missing = [];
+
+  for (const feature of VERSION_FEATURES) {
+    const shipped = feature[engine];
+    if (shipped === null || shipped === undefined) continue;
+    if (features[feature.name]) {
+      if (min === null || shipped > min) min = shipped;
+    } else {
+      missing.push(feature.name);
+      if (max === null || shipped < max) max = shipped;
+    }
+  }
+  return { min, max, missing };
+}
+
+function describeVersion(engine, { min, max }) {
+  const browser = ENGINES[engine].browser;
+  if (min === null && max === null) return 'Unknown';
+  if (max === null) return `${browser} ${min}+`;
+  if (min === null) return `${browser} < ${max}`;
+  // Disabled or removed features can contradict the timeline; the lower bound then wins
+  if (max <= min) return `${browser} ${min}+ (Features Missing)`;
+  return `${browser} ${min} - ${max}`;
+}
+
+/**
+ * Collects the JavaScript engine fingerprint
+ * @returns {Promise<Object<string, import('../../core/signal').Signal>>} JS engine signals
+ */
+export async function collectJSEngineData() {
+  const data = {};
+  const hash = (value) => cyrb53(JSON.stringify(value)).toString(16);
+
+  const math = runMathProbes();
+  const errors = runErrorProbes();
+  const stack = readStackFormat();
+  const nativeSource = readNativeSource();
+  const surface = readSurface();
+  const features = Object.fromEntries(VERSION_FEATURES.map((f) => {
+    try {
+      return [f.name, Boolean(f.test())];
+    } catch {
+      return [f.name, false];
+    }
+  }));
+
+  const { engine, evidence } = inferEngine({ errors, stack, nativeSource });
+  const version = engine ? inferVersion(engine, features) : null;
+
+  data['JS Engine'] = {
+    value: engine ? `${ENGINES[engine].name} (${evidence.join(', ')})` : 'Unknown (Conflicting Evidence)',
+    raw: engine ? ENGINES[engine].name : null,
+    warning: !engine,
+    url: 'https://developer.mozilla.org/en-US/docs/Glossary/Engine/JavaScript',
+  };
+  data['Engine Version'] = {
+    value: engine ? describeVersion(engine, version) : 'Unknown',
+    raw: engine ? { browser: ENGINES[engine].browser, min: version.min, max: version.max } : null,
+  };
+  if (version && version.missing.length > 0) {
+    data['Missing Features'] = { value: version.missing.join(', '), raw: version.missing };
+  }
+  data['Engine Fingerprint'] = {
+    value: hash({ math, errors, stack: stack.format, nativeSource, counts: surface.counts }),
+    url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Math',
+  };
+  data['Math Precision'] = {
+    value: `${hash(math)} (tan(-1e300) = ${math['tan(-1e300)']})`,
+    raw: math,
+    url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Math/tan',
+  };
+  data['Error Messages'] = {
+    value: `${hash(errors)} (${errors.null_property})`,
+    raw: errors,
+    url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Errors',
+  };
+  data['Stack Format'] = {
+    value: stack.format + (stack.ownProperties.length > 0 ? ` [${stack.ownProperties.join(', ')}]` : ''),
+    raw: stack,
+    url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error/stack',
+  };
+  data['Native Function Source'] = {
+    value: `${nativeSource.multiline ? 'Multi-line' : 'Single-line'} (eval: ${nativeSource.evalLength} chars)`,
+    raw: nativeSource,
+    url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Function/toString',
+  };
+  data['Built-in Property Counts'] = {
+    value: `${hash(surface.counts)} (` + Object.entries(surface.counts).map(([name, n]) => `${name}: ${n ?? 'N/A'}`).join(', ') + ')',
+    raw: surface.counts,
+  };
+  data['Enumerable Globals'] = {
+    value: `${hash(surface.globals)} (${surface.globals.length} enumerable, ${surface.ownGlobals} own)`,
+    raw: surface.globals,
+    url: 'https://developer.mozilla.org/en-US/docs/Web/API/Window',
+  };
+
+  return toSignals('js_engine', data);
+}
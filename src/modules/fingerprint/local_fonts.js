@@ -0,0 +1,111 @@
+/**
+ * Local Font Access Module
+ * Opt-in full font enumeration via window.queryLocalFonts() (Chromium, permission-gated)
+ */
+
+const OPT_IN_KEY = 'wyr_local_fonts_opt_in';
+const localFontsUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/Window/queryLocalFonts';
+
+export function isLocalFontsEnabled() {
+  try {
+    return localStorage.getItem(OPT_IN_KEY) === '1';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Enables or disables enumeration
+ * Enabling must run from a click: queryLocalFonts() needs user activation to show its permission prompt
+ * @param {boolean} enabled
+ */
+export async function setLocalFontsEnabled(enabled) {
+  try {
+    if (!enabled) {
+      localStorage.removeItem(OPT_IN_KEY);
+      return;
+    }
+    localStorage.setItem(OPT_IN_KEY, '1');
+    if ('queryLocalFonts' in window) await window.queryLocalFonts();
+  } catch (e) {
+    console.warn('Local Font Access request failed:', e);
+  }
+}
+
+async function permissionState() {
+  try {
+    const status = await navigator.permissions.query({ name: 'local-fonts' });
+    return status.state;
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Enumerates local fonts if the user opted in
+ * @returns {Promise<Object>} Label-keyed font access data
+ */
+export async function collectLocalFonts() {
+  if (!('queryLocalFonts' in window)) {
+    return { 'Local Font Access': { value: 'Not Supported', url: localFontsUrl } };
+  }
+
+  if (!isLocalFontsEnabled()) {
+    return {
+      'Local Font Access': {
+        value: 'Off (Full List, Asks Permission)',
+        action: 'local-fonts-enable',
+        actionLabel: 'Enumerate',
+        url: localFontsUrl,
+      },
+    };
+  }
+
+  // Without a grant, calling queryLocalFonts() outside a click would only reject
+  const state = await permissionState();
+  if (state === 'denied') {
+    return {
+      'Local Font Access': { value: 'Permission Denied', action: 'local-fonts-disable', actionLabel: 'Turn Off', url: localFontsUrl },
+    };
+  }
+  if (state !== 'granted') {
+    return {
+      'Local Font Access': { value: 'Permission Needed', action: 'local-fonts-enable', actionLabel: 'Grant', url: localFontsUrl },
+    };
+  }
+
+  // A grant can still be revoked, or need fresh user activation, between the check and the call
+  let fonts;
+  try {
+    fonts = await window.queryLocalFonts();
+  } catch (e) {
+    return {
+      'Local Font Access': {
+        value: `Denied / Unavailable (${e.name || e.message})`,
+        action: 'local-fonts-disable',
+        actionLabel: 'Turn Off',
+        url: localFontsUrl,
+      },
+    };
+  }
+  const families = [...new Set(fonts.map((f) => f.family))];
+  const styles = [...new Set(fonts.map((f) => f.style))];
+
+  return {
+    'Local Font Access': {
+      value: `${fonts.length} faces, ${families.length} families (via queryLocalFonts)`,
+      raw: fonts.length,
+      warning: true, // The full list is a near-unique identifier
+      action: 'local-fonts-disable',
+      actionLabel: 'Turn Off',
+      url: localFontsUrl,
+    },
+    'Local Font Families': { value: families.join(', '), raw: families },
+    'Local Font Styles': { value: styles.join(', '), raw: styles },
+    'PostScript Names': {
+      value: fonts.map((f) => f.postscriptName).join(', '),
+      raw: fonts.map((f) => ({ family: f.family, style: f.style, postscriptName: f.postscriptName, fullName: f.fullName })),
+      url: 'https://developer.mozilla.org/en-US/docs/Web/API/FontData/postscriptName',
+    },
+  };
+}
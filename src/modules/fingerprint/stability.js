@@ -0,0 +1,104 @@
+/**
+ * Fingerprint Stability Module
+ * Opt-in, local-only visit history (IndexedDB) showing how long the Composite Device ID stays trackable
+ */
+
+import { openDatabase, withStore, deleteDatabase } from '../../utils/idb';
+
+const OPT_IN_KEY = 'wyr_stability_opt_in';
+const DB_NAME = 'wyr_fingerprint_history';
+const DB_VERSION = 1;
+const STORE = 'visits';
+const MAX_VISITS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Key of the visit recorded by this page load; re-runs (retry, replay, enable) update it in place
+let pageVisit = null;
+
+/**
+ * @returns {boolean} True if the user opted in to local visit history
+ */
+export function isStabilityTrackingEnabled() {
+  try {
+    return localStorage.getItem(OPT_IN_KEY) === '1';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Enables or disables visit history. Disabling deletes all stored visits.
+ * @param {boolean} enabled
+ */
+export async function setStabilityTracking(enabled) {
+  try {
+    if (enabled) {
+      localStorage.setItem(OPT_IN_KEY, '1');
+    } else {
+      localStorage.removeItem(OPT_IN_KEY);
+    }
+  } catch (e) {
+    console.warn('Error saving stability opt-in:', e);
+  }
+
+  if (!enabled) {
+    pageVisit = null;
+    await deleteDatabase(DB_NAME).catch((e) => console.warn('Error clearing visit history:', e));
+  }
+}
+
+function openHistory() {
+  return openDatabase(DB_NAME, DB_VERSION, (db) => {
+    db.createObjectStore(STORE, { keyPath: 'timestamp' });
+  });
+}
+
+/**
+ * Compares this visit with stored history, then records it
+ * @param {string} compositeId - Composite Device ID
+ * @param {Object<string, string>} components - Hashed fingerprint components (canvas, audio, ...)
+ * @returns {Promise<Object|null>} Stability analysis, or null if tracking is off
+ */
+export async function trackStability(compositeId, components) {
+  if (!isStabilityTrackingEnabled()) return null;
+
+  const db = await openHistory();
+  try {
+    // Compare against earlier page loads only, never against this page's own record
+    const visits = (await withStore(db, STORE, 'readonly', (store) => store.getAll()))
+      .filter((v) => v.timestamp !== pageVisit);
+    const now = Date.now();
+    const timestamp = pageVisit ?? now;
+    const previous = visits[visits.length - 1] || null;
+
+    const changed = previous
+      ? Object.keys(components).filter((name) => previous.components[name] !== components[name])
+      : [];
+
+    // Walk back through the unbroken run of visits with the same ID
+    let stableSince = timestamp;
+    for (let i = visits.length - 1; i >= 0 && visits[i].compositeId === compositeId; i--) {
+      stableSince = visits[i].timestamp;
+    }
+
+    await withStore(db, STORE, 'readwrite', (store) => {
+      store.put({ timestamp, compositeId, components });
+      // Prune oldest visits beyond the cap
+      visits.slice(0, Math.max(0, visits.length + 1 - MAX_VISITS)).forEach((v) => store.delete(v.timestamp));
+    });
+    pageVisit = timestamp;
+
+    return {
+      visits: Math.min(visits.length + 1, MAX_VISITS),
+      firstSeen: visits.length > 0 ? visits[0].timestamp : timestamp,
+      previous: previous ? previous.timestamp : null,
+      matchesPrevious: previous ? previous.compositeId === compositeId : null,
+      seenBefore: visits.some((v) => v.compositeId === compositeId),
+      changed,
+      stableSince,
+      stableDays: Math.floor((now - stableSince) / DAY_MS),
+    };
+  } finally {
+    db.close();
+  }
+}
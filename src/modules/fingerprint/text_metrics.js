@@ -0,0 +1,179 @@
+/**
+ * DOMRect & TextMetrics Fingerprinting Module
+ * Sub-pixel layout measurements (getClientRects/getBoundingClientRect of transformed elements,
+ * emoji and complex-script text) and full canvas TextMetrics; they depend on the font stack and
+ * shaping engine but not on canvas pixels, so canvas noise does not reach them
+ */
+
+import { cyrb53 } from '../../utils/crypto';
+
+/**
+ * Layout probes: transformed boxes, emoji and complex scripts (wrapped so they span several rects)
+ */
+const RECT_PROBES = {
+  transformed: { text: 'Sub-pixel geometry', style: 'transform: rotate(13.7deg) skewX(4.3deg) scale(1.173); font-size: 17.3px;' },
+  perspective: { text: 'Perspective', style: 'transform: perspective(120px) rotateY(23deg) translateZ(7.7px); font-size: 15.7px;' },
+  emoji: { text: '😀🏳️‍🌈👨‍👩‍👧‍👦🦄⚡☺️🫠🇯🇵', style: 'font-size: 21.3px;' },
+  arabic: { text: 'مرحبا بالعالم، كيف حالك؟', style: 'font-size: 16.7px;' },
+  hebrew: { text: 'שלום עולם ומה שלומך', style: 'font-size: 16.7px;' },
+  devanagari: { text: 'नमस्ते दुनिया क्षत्रिय', style: 'font-size: 16.7px;' },
+  thai: { text: 'สวัสดีชาวโลก ภาษาไทย', style: 'font-size: 16.7px;' },
+  tamil: { text: 'வணக்கம் உலகம்', style: 'font-size: 16.7px;' },
+  cjk: { text: '你好世界 こんにちは 안녕하세요', style: 'font-size: 16.7px;' },
+  combining: { text: 'Z̤͔ͧ̑a̐l͖g̳o ﬁﬂ ǅ Å', style: 'font-size: 16.7px;' },
+};
+
+/**
+ * TextMetrics strings and fonts
+ */
+const METRIC_TEXTS = {
+  latin: 'Cwm fjordbank glyphs vext quiz',
+  emoji: '😀🏳️‍🌈👨‍👩‍👧‍👦🦄🫠',
+  arabic: 'مرحبا بالعالم',
+  devanagari: 'नमस्ते दुनिया',
+  cjk: '你好世界こんにちは',
+};
+const METRIC_FONTS = ['16px serif', '16px sans-serif', '16px monospace', '16px system-ui'];
+const METRIC_FIELDS = [
+  'width', 'actualBoundingBoxLeft', 'actualBoundingBoxRight', 'actualBoundingBoxAscent', 'actualBoundingBoxDescent',
+  'fontBoundingBoxAscent', 'fontBoundingBoxDescent', 'emHeightAscent', 'emHeightDescent',
+  'hangingBaseline', 'alphabeticBaseline', 'ideographicBaseline',
+];
+
+function rectValues(rect) {
+  return [rect.x, rect.y, rect.width, rect.height];
+}
+
+/**
+ * Lays out every probe in a hidden container and reads its rects
+ * @returns {Object<string, { bounding: number[], client: number[][] }>}
+ */
+function readRects() {
+  const container = document.createElement('div');
+  // Narrow width forces the longer strings to wrap into several client rects
+  container.style.cssText = 'position:absolute;left:-9999px;top:0;width:140px;visibility:hidden;font-family:serif;';
+  document.body.appendChild(container);
+
+  try {
+    const rects = {};
+    for (const [name, probe] of Object.entries(RECT_PROBES)) {
+      const block = document.createElement('div');
+      block.style.cssText = probe.style;
+      const span = document.createElement('span');
+      span.textContent = probe.text;
+      block.appendChild(span);
+      container.appendChild(block);
+
+      const origin = container.getBoundingClientRect();
+      const relative = (rect) => rectValues(rect).map((v, i) => (i === 0 ? v - origin.x : i === 1 ? v - origin.y : v));
+      rects[name] = {
+        bounding: relative(block.getBoundingClientRect()),
+        client: Array.from(span.getClientRects(), relative),
+      };
+    }
+    return rects;
+  } finally {
+    container.remove();
+  }
+}
+
+/**
+ * measureText() for every text/font pair
+ * @returns {Object<string, Object<string, number|null>>|null} Null without a 2D context
+ */
+function readTextMetrics() {
+  const ctx = document.createElement('canvas').getContext('2d');
+  if (!ctx) return null;
+
+  const metrics = {};
+  for (const font of METRIC_FONTS) {
+    ctx.font = font;
+    for (const [name, text] of Object.entries(METRIC_TEXTS)) {
+      const m = ctx.measureText(text);
+      metrics[`${font} ${name}`] = Object.fromEntries(
+        METRIC_FIELDS.map((field) => [field, typeof m[field] === 'number' ? m[field] : null])
+      );
+    }
+  }
+  return metrics;
+}
+
+function hash(value) {
+  return cyrb53(JSON.stringify(value)).toString(16);
+}
+
+/**
+ * Collects DOMRect and TextMetrics measurements, each read twice to expose randomization
+ * @returns {{ rects: Object|null, rectsStable: boolean, metrics: Object|null, metricsStable: boolean, supportedFields: string[] }}
+ */
+export function collectMeasurementFingerprints() {
+  let rects = null;
+  let rectsStable = true;
+  try {
+    rects = readRects();
+    rectsStable = hash(readRects()) === hash(rects);
+  } catch (e) {
+    console.warn('DOMRect fingerprint failed:', e);
+  }
+
+  const metrics = readTextMetrics();
+  const metricsStable = !metrics || hash(readTextMetrics()) === hash(metrics);
+  const sample = metrics ? Object.values(metrics)[0] : {};
+  const supportedFields = METRIC_FIELDS.filter((field) => sample[field] !== null && sample[field] !== undefined);
+
+  return { rects, rectsStable, metrics, metricsStable, supportedFields };
+}
+
+/**
+ * Formats the measurements for the identity card (kept separate from the canvas pixel hashes)
+ * @param {Object} result - Result of collectMeasurementFingerprints()
+ */
+export function formatMeasurements({ rects, rectsStable, metrics, metricsStable, supportedFields }) {
+  const rectUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/Element/getClientRects';
+  const metricsUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/TextMetrics';
+  const data = {};
+
+  if (rects) {
+    const clientRects = Object.values(rects).reduce((n, r) => n + r.client.length, 0);
+    data['DOMRect Hash'] = {
+      value: `${hash(rects)} (${Object.keys(rects).length} elements, ${clientRects} client rects)`,
+      raw: rects,
+      url: rectUrl,
+    };
+    data['DOMRect Stability'] = {
+      value: rectsStable ? 'Stable' : 'Varies per Read (DOMRect Noise)',
+      raw: rectsStable,
+      warning: !rectsStable,
+      url: 'https://developer.mozilla.org/en-US/docs/Web/API/Element/getBoundingClientRect',
+    };
+    data['Emoji Box Size'] = {
+      value: `${rects.emoji.bounding[2]} x ${rects.emoji.bounding[3]}`,
+      raw: rects.emoji.bounding,
+    };
+  } else {
+    data['DOMRect Hash'] = { value: 'Error', raw: null, url: rectUrl };
+  }
+
+  if (metrics) {
+    data['TextMetrics Hash'] = {
+      value: `${hash(metrics)} (${Object.keys(metrics).length} text/font pairs)`,
+      raw: metrics,
+      url: 'https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/measureText',
+    };
+    data['TextMetrics Stability'] = {
+      value: metricsStable ? 'Stable' : 'Varies per Read (Metrics Noise)',
+      raw: metricsStable,
+      warning: !metricsStable,
+      url: metricsUrl,
+    };
+    data['TextMetrics Fields'] = {
+      value: `${supportedFields.length}/${METRIC_FIELDS.length} (${supportedFields.join(', ')})`,
+      raw: supportedFields,
+      url: metricsUrl,
+    };
+  } else {
+    data['TextMetrics Hash'] = { value: 'Not Supported', raw: null, url: metricsUrl };
+  }
+
+  return data;
+}
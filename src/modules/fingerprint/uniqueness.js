@@ -0,0 +1,162 @@
+/**
+ * Uniqueness Module
+ * Compares this browser against other visitors using an optional, self-hosted server (server/)
+ *
+ * Strictly opt-in: nothing is sent unless an endpoint is configured AND the user enables it.
+ * Attribute values are sent as unsalted SHA-256 hashes; low-entropy values (core counts, languages,
+ * time zones) are reversible by dictionary, so only the server's salted (HMAC) storage protects them.
+ */
+
+import { toSignals } from '../../core/signal';
+import { sha256 } from '../../utils/crypto';
+import { getConfig } from '../../config';
+
+const OPT_IN_KEY = 'wyr_uniqueness_opt_in';
+const VISITOR_KEY = 'wyr_uniqueness_visitor';
+
+/**
+ * Signals compared against other visitors, as source -> signal keys
+ * Volatile values (time, latency, battery, storage usage) are deliberately excluded
+ */
+const ATTRIBUTES = {
+  identity: ['composite_device_id', 'canvas_hash', 'webgl_canvas_hash', 'emoji_render_hash', 'audio_hash', 'speech_voices'],
+  fonts: ['installed_fonts'],
+  intl: ['timezone', 'locale_resolved', 'locale_fingerprint'],
+  client_hints: ['platform', 'platform_version', 'cpu_architecture', 'device_model', 'full_browser_key'],
+  webgl: ['renderer_vendor', 'renderer_model', 'render_hash_64x64'],
+  screen: ['screen_width_css', 'screen_height_css', 'device_pixel_ratio', 'color_depth'],
+  hardware: ['cpu_cores_logical', 'device_memory'],
+  navigator: ['user_agent', 'languages'],
+};
+
+export const UNIQUENESS_DEPENDENCIES = Object.keys(ATTRIBUTES);
+
+export function isUniquenessEnabled() {
+  try {
+    return localStorage.getItem(OPT_IN_KEY) === '1';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Enables or disables submissions. Disabling also asks the server to delete this visitor's record.
+ * @param {boolean} enabled
+ */
+export async function setUniquenessEnabled(enabled) {
+  const { uniquenessEndpoint } = getConfig();
+  try {
+    if (enabled) {
+      localStorage.setItem(OPT_IN_KEY, '1');
+      return;
+    }
+    localStorage.removeItem(OPT_IN_KEY);
+    const visitor = localStorage.getItem(VISITOR_KEY);
+    localStorage.removeItem(VISITOR_KEY);
+    if (visitor && uniquenessEndpoint) {
+      await fetch(`${uniquenessEndpoint}/api/v1/visitors/${await sha256(visitor)}`, { method: 'DELETE' });
+    }
+  } catch (e) {
+    console.warn('Error updating uniqueness opt-in:', e);
+  }
+}
+
+function getVisitorId() {
+  let id = localStorage.getItem(VISITOR_KEY);
+  if (!id) {
+    id = crypto.randomUUID ? crypto.randomUUID() : String(Math.random()).slice(2) + Date.now();
+    localStorage.setItem(VISITOR_KEY, id);
+  }
+  return id;
+}
+
+/**
+ * Collects hashed attributes from dependency signals
+ * @param {Object} results - Dependency signals keyed by collector id
+ * @returns {Promise<Object>} name -> { label, hash }
+ */
+async function hashAttributes(results) {
+  const attributes = {};
+  for (const [source, keys] of Object.entries(ATTRIBUTES)) {
+    const signals = Object.values(results[source] || {});
+    for (const key of keys) {
+      const signal = signals.find((s) => s.key === key);
+      if (!signal) continue;
+      const value = typeof signal.raw === 'object' ? JSON.stringify(signal.raw) : String(signal.raw ?? signal.value);
+      attributes[`${source}.${key}`] = { label: signal.label, hash: await sha256(`${source}.${key}=${value}`) };
+    }
+  }
+  return attributes;
+}
+
+function formatSet({ anonymitySet, share }, total) {
+  if (anonymitySet <= 1) return `Unique (1 of ${total})`;
+  return `${anonymitySet} of ${total} visitors (${(share * 100).toFixed(1)}%)`;
+}
+
+/**
+ * Collects anonymity-set sizes for this browser
+ * @param {Object} context - Collector context ({ results } holds dependency signals)
+ */
+export async function collectUniquenessData({ results, signal }) {
+  const { uniquenessEndpoint } = getConfig();
+  const data = {};
+
+  if (!uniquenessEndpoint) {
+    data['Uniqueness Server'] = {
+      value: 'Not Configured (Self-Host, see server/)',
+      url: 'https://github.com/saatvik333/what-you-reveal/tree/main/server',
+    };
+    return toSignals('uniqueness', data);
+  }
+
+  if (!isUniquenessEnabled()) {
+    data['Compare With Visitors'] = {
+      value: 'Off (Sends Hashes to ' + new URL(uniquenessEndpoint).host + ')',
+      action: 'uniqueness-enable',
+      actionLabel: 'Enable',
+    };
+    return toSignals('uniqueness', data);
+  }
+
+  const attributes = await hashAttributes(results);
+  const payload = {
+    visitor: await sha256(getVisitorId()),
+    attributes: Object.fromEntries(Object.entries(attributes).map(([name, a]) => [name, a.hash])),
+  };
+
+  const response = await fetch(`${uniquenessEndpoint}/api/v1/submit`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal,
+  });
+  if (!response.ok) throw new Error('Uniqueness server error: ' + response.status);
+  const result = await response.json();
+
+  data['Compare With Visitors'] = {
+    value: 'On',
+    action: 'uniqueness-disable',
+    actionLabel: 'Opt Out & Delete',
+  };
+  data['Visitors in Dataset'] = { value: result.total, raw: result.total };
+  data['Fingerprint Anonymity Set'] = {
+    value: formatSet(result.fingerprint, result.total),
+    raw: result.fingerprint.anonymitySet,
+    warning: result.fingerprint.anonymitySet <= 1,
+  };
+
+  // Rarest attributes first
+  const ranked = Object.entries(result.attributes).sort((a, b) => a[1].anonymitySet - b[1].anonymitySet);
+  for (const [name, set] of ranked) {
+    const label = attributes[name] ? attributes[name].label : name;
+    data[`Shared: ${label}`] = {
+      key: 'shared_' + name.replace(/\./g, '_'),
+      value: formatSet(set, result.total),
+      raw: set.anonymitySet,
+      warning: set.anonymitySet <= 1 && result.total > 1,
+    };
+  }
+
+  return toSignals('uniqueness', data);
+}
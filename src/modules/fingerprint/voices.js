@@ -0,0 +1,142 @@
+/**
+ * Speech Voices Module
+ * Loads speechSynthesis voices and classifies them into an OS family/version, the installed
+ * language packs, and languages not advertised in navigator.languages
+ */
+
+import { cyrb53 } from '../../utils/crypto';
+
+const VOICES_TIMEOUT = 1000;
+
+// Novelty voices shipped with macOS and iOS
+const APPLE_NOVELTY = [
+  'Albert', 'Bad News', 'Bahh', 'Bells', 'Boing', 'Bubbles', 'Cellos', 'Good News', 'Jester', 'Organ',
+  'Superstar', 'Trinoids', 'Whisper', 'Wobble', 'Zarvox',
+];
+// Classic Apple voices (names are matched exactly, or with an "(Enhanced)"/"(Premium)" suffix)
+const APPLE_CLASSIC = [
+  'Alex', 'Samantha', 'Victoria', 'Fred', 'Daniel', 'Karen', 'Moira', 'Tessa', 'Rishi', 'Veena', 'Fiona',
+  'Thomas', 'Amelie', 'Anna', 'Alice', 'Kyoko', 'Otoya', 'Ting-Ting', 'Mei-Jia', 'Sin-ji', 'Yuna', 'Milena',
+  'Monica', 'Paulina', 'Jorge', 'Juan', 'Luciana', 'Joana', 'Xander', 'Nora', 'Zosia', 'Zuzana', 'Yelda',
+  'Maged', 'Carmit', 'Lekha', 'Kanya', 'Damayanti', 'Ellen', 'Sara', 'Satu', 'Melina', 'Mariska', 'Ioana',
+  'Laura', 'Klara',
+];
+// Added in macOS 13 Ventura / iOS 16
+const APPLE_VENTURA = ['Eddy', 'Flo', 'Grandma', 'Grandpa', 'Reed', 'Rocko', 'Sandy', 'Shelley'];
+
+/**
+ * Waits for the voice list (it often loads asynchronously) and settles exactly once
+ * @returns {Promise<SpeechSynthesisVoice[]|null>} Null if speechSynthesis is unsupported, [] on timeout
+ */
+export function loadVoices(timeout = VOICES_TIMEOUT) {
+  if (!('speechSynthesis' in window)) return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    let pollId;
+    let done = false;
+    const timeoutId = setTimeout(() => finish([]), timeout);
+
+    function finish(voices) {
+      done = true;
+      clearTimeout(timeoutId);
+      clearTimeout(pollId);
+      speechSynthesis.removeEventListener?.('voiceschanged', check);
+      resolve(voices);
+    }
+
+    // Runs both as the voiceschanged listener and as the poller; only one poll is ever pending
+    function check() {
+      if (done) return;
+      clearTimeout(pollId);
+      const voices = speechSynthesis.getVoices();
+      if (voices.length > 0) finish(voices);
+      else pollId = setTimeout(check, 100);
+    }
+
+    speechSynthesis.addEventListener?.('voiceschanged', check);
+    check();
+  });
+}
+
+/**
+ * Vendor family of a single voice
+ * @returns {'microsoft'|'apple'|'google'|'android'|'chromeos'|'linux'|'other'}
+ */
+function voiceVendor(voice) {
+  const name = voice.name;
+  const base = name.replace(/\s*\(.*\)$/, '');
+
+  if (/^Microsoft /.test(name)) return 'microsoft';
+  if (/^Google /.test(name)) return 'google';
+  if (/^Chrome OS /.test(name)) return 'chromeos';
+  if (/-x-[a-z]+-(local|network)$/.test(voice.voiceURI || name)) return 'android';
+  if (/espeak|mbrola|pico|festival|rhvoice|speech-dispatcher/i.test(name + ' ' + (voice.voiceURI || ''))) return 'linux';
+  if (/^com\.apple\./.test(voice.voiceURI || '')) return 'apple';
+  if ([...APPLE_NOVELTY, ...APPLE_CLASSIC, ...APPLE_VENTURA].includes(base)) return 'apple';
+  return 'other';
+}
+
+/**
+ * Infers the OS family and version from the local (system) voices
+ * @returns {{ os: string, version: string|null, evidence: string[] }}
+ */
+function inferVoiceOS(byVendor) {
+  const local = (vendor) => byVendor[vendor].filter((v) => v.localService);
+  const names = (list) => list.slice(0, 3).map((v) => v.name);
+
+  const microsoft = local('microsoft');
+  if (microsoft.length > 0) {
+    let version = 'Windows 8+';
+    if (microsoft.some((v) => /\(Natural\)/.test(v.name))) version = 'Windows 11';
+    else if (microsoft.some((v) => /^Microsoft Mark\b/.test(v.name))) version = 'Windows 10+';
+    else if (microsoft.every((v) => /^Microsoft Anna\b/.test(v.name))) version = 'Windows 7';
+    return { os: 'Windows', version, evidence: names(microsoft) };
+  }
+
+  const apple = local('apple');
+  if (apple.length > 0) {
+    const ventura = apple.filter((v) => APPLE_VENTURA.includes(v.name.replace(/\s*\(.*\)$/, '')));
+    return {
+      os: 'macOS / iOS',
+      version: ventura.length > 0 ? 'macOS 13+ / iOS 16+' : null,
+      evidence: names(ventura.length > 0 ? ventura : apple),
+    };
+  }
+
+  if (byVendor.android.length > 0) return { os: 'Android', version: null, evidence: names(byVendor.android) };
+  if (byVendor.chromeos.length > 0) return { os: 'Chrome OS', version: null, evidence: names(byVendor.chromeos) };
+  if (byVendor.linux.length > 0) return { os: 'Linux', version: null, evidence: names(byVendor.linux) };
+  // Network-only Google voices come with Chrome itself on every desktop OS
+  return { os: 'Unknown', version: null, evidence: [] };
+}
+
+function primaryLanguage(tag) {
+  return String(tag || '').toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Classifies a voice list
+ * @param {SpeechSynthesisVoice[]} voices
+ * @param {string[]} languages - navigator.languages
+ * @returns {Object} { hash, stableHash, os, version, evidence, vendors, languagePacks, extraLanguages }
+ */
+export function classifyVoices(voices, languages = []) {
+  const byVendor = { microsoft: [], apple: [], google: [], android: [], chromeos: [], linux: [], other: [] };
+  voices.forEach((voice) => byVendor[voiceVendor(voice)].push(voice));
+
+  const entries = voices.map((v) => `${v.name}|${v.lang}|${v.localService}`);
+  const languagePacks = [...new Set(voices.filter((v) => v.localService).map((v) => v.lang))].sort();
+  const advertised = new Set(languages.map(primaryLanguage));
+  const extraLanguages = [...new Set(languagePacks.map(primaryLanguage))].filter((lang) => lang && !advertised.has(lang));
+
+  return {
+    // Order-sensitive hash (part of the Composite Device ID)
+    hash: cyrb53(entries.join('||')).toString(16),
+    // Voice order can change between loads; the sorted hash does not
+    stableHash: cyrb53([...entries].sort().join('||')).toString(16),
+    ...inferVoiceOS(byVendor),
+    vendors: Object.fromEntries(Object.entries(byVendor).filter(([, list]) => list.length > 0).map(([vendor, list]) => [vendor, list.length])),
+    languagePacks,
+    extraLanguages,
+  };
+}
@@ -1,9 +1,11 @@
 /**
  * WebGL Render Engine Fingerprinting Module
- * Captures GPU details, Render Hash, and WebGPU support
+ * Captures GPU details, Render Hash, and the hashed parameter/extension profile (WebGPU: see webgpu.js)
  */
 
 import { cyrb53 } from '../../utils/crypto';
+import { toSignals } from '../../core/signal';
+import { collectWebGLProfile, hashGroup } from './webgl_profile';
 
 /**
  * Generates a unique hash by rendering a 2D scene
@@ -77,13 +79,6 @@ function getWebGLRenderFingerprint(gl, canvas) {
   }
 }
 
-function getShaderPrecision(gl, shaderType, precisionType) {
-    try {
-        const format = gl.getShaderPrecisionFormat(shaderType, precisionType);
-        return format ? `${format.rangeMin},${format.rangeMax},${format.precision}` : 'N/A';
-    } catch(e) { return 'N/A'; }
-}
-
 export async function collectWebGLData() {
   const canvas = document.createElement('canvas');
   canvas.width = 64; 
@@ -129,32 +124,57 @@ export async function collectWebGLData() {
       data['Max Viewport'] = { value: gl.getParameter(gl.MAX_VIEWPORT_DIMS).join('x') };
       data['Antialiasing'] = { value: gl.getContextAttributes().antialias ? 'Supported' : 'No' };
       
-      // 4. Extensions
-      const extensions = gl.getSupportedExtensions() || [];
+      // 4. Full profile, hashed per sub-group so users can see which part identifies them
+      const profile = collectWebGLProfile(gl, isWebGL2);
+      const paramUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext/getParameter';
+      const count = (group) => Object.keys(group).length;
+
+      data['Profile Hash'] = {
+          value: hashGroup(profile),
+          raw: profile,
+          warning: true, // Combined profile narrows down the exact GPU/driver/browser build
+      };
+      data['WebGL1 Parameters'] = {
+          value: `${hashGroup(profile.webgl1)} (${count(profile.webgl1)} values)`,
+          raw: profile.webgl1,
+          url: paramUrl
+      };
+      data['WebGL2 Parameters'] = profile.webgl2
+          ? { value: `${hashGroup(profile.webgl2)} (${count(profile.webgl2)} values)`, raw: profile.webgl2, url: paramUrl }
+          : { value: 'Not Supported (WebGL1 Context)', raw: null, url: paramUrl };
+      data['Shader Precision'] = {
+          value: `${hashGroup(profile.precision)} (${count(profile.precision)} formats)`,
+          raw: profile.precision,
+          url: 'https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext/getShaderPrecisionFormat'
+      };
+      data['Extension Parameters'] = {
+          value: count(profile.extensionParameters) > 0
+              ? `${hashGroup(profile.extensionParameters)} (` + Object.entries(profile.extensionParameters)
+                  .filter(([name]) => !name.startsWith('UNMASKED_'))
+                  .map(([name, v]) => `${name}=${Array.isArray(v) ? v.join('x') : v}`).join(', ') + ')'
+              : 'None',
+          raw: profile.extensionParameters,
+          url: 'https://developer.mozilla.org/en-US/docs/Web/API/EXT_texture_filter_anisotropic'
+      };
+      data['Context Attributes'] = {
+          value: `${hashGroup(profile.contextAttributes)} (` + Object.entries(profile.contextAttributes)
+              .map(([name, v]) => `${name}=${v}`).join(', ') + ')',
+          raw: profile.contextAttributes,
+          url: 'https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext/getContextAttributes'
+      };
+      data['Extensions Hash'] = {
+          value: `${hashGroup(profile.extensions)} (${profile.extensions.length} extensions)`,
+          raw: profile.extensions.length,
+      };
       data['Supported Extensions'] = {
-          value: extensions.length + ' extensions detected',
+          value: profile.extensions.length > 0 ? profile.extensions.join(', ') : 'None',
+          raw: profile.extensions,
           url: 'https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext/getSupportedExtensions'
       };
 
-      // 5. WebGPU (Next Gen)
-      if ('gpu' in navigator) {
-          try {
-              const adapter = await navigator.gpu.requestAdapter();
-              const info = adapter ? await adapter.requestAdapterInfo() : null;
-              data['WebGPU Support'] = {
-                  value: 'Supported' + (info ? ` (${info.device})` : ''),
-                  url: 'https://developer.mozilla.org/en-US/docs/Web/API/WebGPU_API'
-              };
-          } catch(e) {
-              data['WebGPU Support'] = { value: 'Supported (Blocked)', warning: true };
-          }
-      } else {
-          data['WebGPU Support'] = { value: 'Not Supported' };
-      }
-
   } else {
       data['WebGL Support'] = { value: 'Not Supported' };
   }
 
-  return data;
+  return toSignals('webgl', data);
 }
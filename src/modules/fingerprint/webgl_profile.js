@@ -0,0 +1,125 @@
+/**
+ * WebGL Profile Module
+ * Reads the full WebGL capability profile (parameters, shader precision, extensions,
+ * extension parameters, context attributes) and hashes each sub-group separately
+ *
+ * Scope: every getParameter() enum that reports an implementation limit or format. Per-context
+ * state enums (bindings, blend/depth/stencil/cull modes, clear values, viewport, pixel store)
+ * are deliberately not read: a fresh context reports the spec defaults on every device.
+ */
+
+import { cyrb53 } from '../../utils/crypto';
+
+/**
+ * Capability enums (implementation limits and formats)
+ */
+const WEBGL1_PARAMETERS = [
+  'ALIASED_LINE_WIDTH_RANGE', 'ALIASED_POINT_SIZE_RANGE', 'ALPHA_BITS', 'BLUE_BITS', 'COMPRESSED_TEXTURE_FORMATS',
+  'DEPTH_BITS', 'GREEN_BITS', 'IMPLEMENTATION_COLOR_READ_FORMAT', 'IMPLEMENTATION_COLOR_READ_TYPE',
+  'MAX_COMBINED_TEXTURE_IMAGE_UNITS', 'MAX_CUBE_MAP_TEXTURE_SIZE', 'MAX_FRAGMENT_UNIFORM_VECTORS',
+  'MAX_RENDERBUFFER_SIZE', 'MAX_TEXTURE_IMAGE_UNITS', 'MAX_TEXTURE_SIZE', 'MAX_VARYING_VECTORS',
+  'MAX_VERTEX_ATTRIBS', 'MAX_VERTEX_TEXTURE_IMAGE_UNITS', 'MAX_VERTEX_UNIFORM_VECTORS', 'MAX_VIEWPORT_DIMS',
+  'RED_BITS', 'RENDERER', 'SAMPLES', 'SAMPLE_BUFFERS', 'SHADING_LANGUAGE_VERSION', 'STENCIL_BITS',
+  'SUBPIXEL_BITS', 'VENDOR', 'VERSION',
+];
+
+const WEBGL2_PARAMETERS = [
+  'MAX_3D_TEXTURE_SIZE', 'MAX_ARRAY_TEXTURE_LAYERS', 'MAX_CLIENT_WAIT_TIMEOUT_WEBGL', 'MAX_COLOR_ATTACHMENTS',
+  'MAX_COMBINED_FRAGMENT_UNIFORM_COMPONENTS', 'MAX_COMBINED_UNIFORM_BLOCKS', 'MAX_COMBINED_VERTEX_UNIFORM_COMPONENTS',
+  'MAX_DRAW_BUFFERS', 'MAX_ELEMENT_INDEX', 'MAX_ELEMENTS_INDICES', 'MAX_ELEMENTS_VERTICES',
+  'MAX_FRAGMENT_INPUT_COMPONENTS', 'MAX_FRAGMENT_UNIFORM_BLOCKS', 'MAX_FRAGMENT_UNIFORM_COMPONENTS',
+  'MAX_PROGRAM_TEXEL_OFFSET', 'MAX_SAMPLES', 'MAX_SERVER_WAIT_TIMEOUT', 'MAX_TEXTURE_LOD_BIAS',
+  'MAX_TRANSFORM_FEEDBACK_INTERLEAVED_COMPONENTS', 'MAX_TRANSFORM_FEEDBACK_SEPARATE_ATTRIBS',
+  'MAX_TRANSFORM_FEEDBACK_SEPARATE_COMPONENTS', 'MAX_UNIFORM_BLOCK_SIZE', 'MAX_UNIFORM_BUFFER_BINDINGS',
+  'MAX_VARYING_COMPONENTS', 'MAX_VERTEX_OUTPUT_COMPONENTS', 'MAX_VERTEX_UNIFORM_BLOCKS',
+  'MAX_VERTEX_UNIFORM_COMPONENTS', 'MIN_PROGRAM_TEXEL_OFFSET', 'UNIFORM_BUFFER_OFFSET_ALIGNMENT',
+];
+
+/**
+ * Extension-specific limits: extension name -> enum names on the extension object
+ */
+const EXTENSION_PARAMETERS = {
+  EXT_texture_filter_anisotropic: ['MAX_TEXTURE_MAX_ANISOTROPY_EXT'],
+  WEBGL_draw_buffers: ['MAX_DRAW_BUFFERS_WEBGL', 'MAX_COLOR_ATTACHMENTS_WEBGL'],
+  WEBGL_debug_renderer_info: ['UNMASKED_VENDOR_WEBGL', 'UNMASKED_RENDERER_WEBGL'],
+  OVR_multiview2: ['MAX_VIEWS_OVR'],
+  WEBGL_clip_cull_distance: ['MAX_CLIP_DISTANCES_WEBGL', 'MAX_CULL_DISTANCES_WEBGL', 'MAX_COMBINED_CLIP_AND_CULL_DISTANCES_WEBGL'],
+};
+
+const SHADER_TYPES = ['VERTEX_SHADER', 'FRAGMENT_SHADER'];
+const PRECISION_TYPES = ['LOW_FLOAT', 'MEDIUM_FLOAT', 'HIGH_FLOAT', 'LOW_INT', 'MEDIUM_INT', 'HIGH_INT'];
+
+/**
+ * Makes getParameter() results JSON-friendly (typed arrays -> arrays)
+ */
+function normalize(value) {
+  if (value === null || value === undefined) return null;
+  if (ArrayBuffer.isView(value)) return Array.from(value);
+  return value;
+}
+
+function readParameters(gl, names, source = gl) {
+  const params = {};
+  for (const name of names) {
+    if (source[name] === undefined) continue;
+    try {
+      params[name] = normalize(gl.getParameter(source[name]));
+    } catch {
+      params[name] = null;
+    }
+  }
+  return params;
+}
+
+function getShaderPrecision(gl, shaderType, precisionType) {
+  try {
+    const format = gl.getShaderPrecisionFormat(shaderType, precisionType);
+    return format ? `${format.rangeMin},${format.rangeMax},${format.precision}` : 'N/A';
+  } catch { return 'N/A'; }
+}
+
+function readShaderPrecision(gl) {
+  const precision = {};
+  for (const shader of SHADER_TYPES) {
+    for (const type of PRECISION_TYPES) {
+      precision[`${shader}.${type}`] = getShaderPrecision(gl, gl[shader], gl[type]);
+    }
+  }
+  return precision;
+}
+
+function readExtensionParameters(gl, extensions) {
+  const params = {};
+  for (const [name, enums] of Object.entries(EXTENSION_PARAMETERS)) {
+    if (!extensions.includes(name)) continue;
+    const ext = gl.getExtension(name);
+    if (ext) Object.assign(params, readParameters(gl, enums, ext));
+  }
+  return params;
+}
+
+/**
+ * @returns {string} Short hash of a profile group
+ */
+export function hashGroup(group) {
+  return cyrb53(JSON.stringify(group)).toString(16);
+}
+
+/**
+ * Reads the full WebGL profile from a context
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+ * @param {boolean} isWebGL2
+ * @returns {Object} Groups: webgl1, webgl2 (null on WebGL1), precision, extensions, extensionParameters, contextAttributes
+ */
+export function collectWebGLProfile(gl, isWebGL2) {
+  const extensions = gl.getSupportedExtensions() || [];
+
+  return {
+    webgl1: readParameters(gl, WEBGL1_PARAMETERS),
+    webgl2: isWebGL2 ? readParameters(gl, WEBGL2_PARAMETERS) : null,
+    precision: readShaderPrecision(gl),
+    extensions,
+    extensionParameters: readExtensionParameters(gl, extensions),
+    contextAttributes: gl.getContextAttributes() || {},
+  };
+}
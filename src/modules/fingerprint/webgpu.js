@@ -0,0 +1,168 @@
+/**
+ * WebGPU Adapter Fingerprinting Module
+ * Adapter info, features, limits, fallback status, and a deterministic WGSL compute output hash
+ */
+
+import { cyrb53 } from '../../utils/crypto';
+import { toSignals } from '../../core/signal';
+
+const webgpuUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/WebGPU_API';
+const adapterUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/GPUAdapter';
+
+const INVOCATIONS = 64;
+
+// Transcendental functions have implementation-defined precision in WGSL, so the output varies per GPU/driver
+const COMPUTE_SHADER = `
+  @group(0) @binding(0) var<storage, read_write> result: array<f32>;
+
+  @compute @workgroup_size(${INVOCATIONS})
+  fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+    let x = f32(id.x) * 0.1 + 0.05;
+    result[id.x] = sin(x * 12.9898) * 43758.5453
+      + exp(x * 0.37) - log(x + 1.0)
+      + pow(x, 1.7) + inverseSqrt(x) + tanh(x * 3.0) + atan2(x, 1.3);
+  }
+`;
+
+/**
+ * Reads adapter info (GPUAdapter.info; requestAdapterInfo() only on older Chromium)
+ */
+async function getAdapterInfo(adapter) {
+  if (adapter.info) return adapter.info;
+  if (typeof adapter.requestAdapterInfo === 'function') return adapter.requestAdapterInfo();
+  return {};
+}
+
+/**
+ * Copies every numeric limit (the attributes are getters on the prototype)
+ */
+function readLimits(limits) {
+  const out = {};
+  for (const key in limits) {
+    if (typeof limits[key] === 'number') out[key] = limits[key];
+  }
+  return Object.fromEntries(Object.entries(out).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Runs the compute shader and hashes the raw float bits
+ * @returns {Promise<string>} Hex hash
+ */
+async function getComputeHash(adapter, signal) {
+  const device = await adapter.requestDevice();
+  const onAbort = () => device.destroy();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const size = INVOCATIONS * 4;
+    const storage = device.createBuffer({ size, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC });
+    const readback = device.createBuffer({ size, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+
+    const pipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: device.createShaderModule({ code: COMPUTE_SHADER }), entryPoint: 'main' },
+    });
+    const bindGroup = device.createBindGroup({
+      layout: pipeline.getBindGroupLayout(0),
+      entries: [{ binding: 0, resource: { buffer: storage } }],
+    });
+
+    const encoder = device.createCommandEncoder();
+    const pass = encoder.beginComputePass();
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, bindGroup);
+    pass.dispatchWorkgroups(1);
+    pass.end();
+    encoder.copyBufferToBuffer(storage, 0, readback, 0, size);
+    device.queue.submit([encoder.finish()]);
+
+    await readback.mapAsync(GPUMapMode.READ);
+    const bits = Array.from(new Uint32Array(readback.getMappedRange().slice(0)));
+    readback.unmap();
+
+    return cyrb53(bits.join(',')).toString(16);
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    device.destroy();
+  }
+}
+
+/**
+ * Collects WebGPU adapter data
+ * @param {Object} context - Collector context ({ signal } aborts on timeout)
+ * @returns {Promise<Object<string, import('../../core/signal').Signal>>} WebGPU signals
+ */
+export async function collectWebGPUData({ signal } = {}) {
+  const data = {};
+
+  if (!('gpu' in navigator)) {
+    data['WebGPU Support'] = { value: 'Not Supported', url: webgpuUrl };
+    return toSignals('webgpu', data);
+  }
+
+  let adapter = null;
+  try {
+    adapter = await navigator.gpu.requestAdapter();
+  } catch (e) {
+    console.warn('WebGPU adapter request failed:', e);
+  }
+  if (!adapter) {
+    data['WebGPU Support'] = { value: 'Supported (No Adapter / Blocked)', warning: true, url: webgpuUrl };
+    return toSignals('webgpu', data);
+  }
+
+  const info = await getAdapterInfo(adapter).catch(() => ({}));
+  const features = [...adapter.features].sort();
+  const limits = readLimits(adapter.limits);
+  const isFallback = adapter.isFallbackAdapter ?? info.isFallbackAdapter ?? false;
+
+  let computeHash;
+  try {
+    computeHash = await getComputeHash(adapter, signal);
+  } catch (e) {
+    computeHash = null;
+    console.warn('WebGPU compute fingerprint failed:', e);
+  }
+
+  const infoUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/GPUAdapterInfo';
+  const exposed = (value) => value || 'Not Exposed';
+  const profile = {
+    info: { vendor: info.vendor || '', architecture: info.architecture || '', device: info.device || '', description: info.description || '' },
+    features,
+    limits,
+    isFallback,
+    computeHash,
+  };
+
+  data['WebGPU Support'] = { value: 'Supported', url: webgpuUrl };
+  data['Adapter Profile Hash'] = {
+    value: cyrb53(JSON.stringify(profile)).toString(16),
+    raw: profile,
+    warning: true, // Identifies GPU model and driver generation
+  };
+  data['Adapter Vendor'] = { value: exposed(info.vendor), raw: info.vendor || null, url: infoUrl + '/vendor' };
+  data['Adapter Architecture'] = { value: exposed(info.architecture), raw: info.architecture || null, url: infoUrl + '/architecture' };
+  data['Adapter Device'] = { value: exposed(info.device), raw: info.device || null, url: infoUrl + '/device' };
+  data['Adapter Description'] = { value: exposed(info.description), raw: info.description || null, url: infoUrl + '/description' };
+  data['Fallback Adapter'] = {
+    value: isFallback ? 'Yes (Software Rendering)' : 'No',
+    raw: isFallback,
+    warning: isFallback,
+    url: adapterUrl + '/isFallbackAdapter',
+  };
+  data['Adapter Features'] = {
+    value: `${cyrb53(features.join(',')).toString(16)} (${features.length}: ${features.join(', ') || 'none'})`,
+    raw: features,
+    url: adapterUrl + '/features',
+  };
+  data['Adapter Limits'] = {
+    value: `${cyrb53(JSON.stringify(limits)).toString(16)} (${Object.keys(limits).length} limits)`,
+    raw: limits,
+    url: adapterUrl + '/limits',
+  };
+  data['Compute Shader Hash'] = computeHash
+    ? { value: computeHash, url: 'https://developer.mozilla.org/en-US/docs/Web/API/GPUComputePassEncoder' }
+    : { value: 'Failed (Device Unavailable)', raw: null, warning: true };
+
+  return toSignals('webgpu', data);
+}
@@ -0,0 +1,222 @@
+/**
+ * Built-in Collectors
+ * Registers every bundled module with the collector registry (in display order)
+ */
+
+import { registerCollector } from '../core/registry';
+import { collectClipboardData } from './system/clipboard';
+import { collectHardwareData } from './system/hardware';
+import { collectScreenData } from './system/screen';
+import { collectPermissionsData } from './system/permissions';
+import { collectMediaDevices } from './system/media_devices';
+import { collectMediaCodecs } from './system/media_codecs';
+import { collectClientHints } from './system/client_hints';
+import { collectNavigatorData } from './system/navigator';
+import { collectIntlData } from './fingerprint/intl';
+import { detectBot } from './fingerprint/integrity';
+import { collectConsistencyData, getConsistencyDependencies } from './fingerprint/consistency';
+import { collectFontData } from './fingerprint/fonts';
+import { setLocalFontsEnabled } from './fingerprint/local_fonts';
+import { collectCSSData } from './fingerprint/css';
+import { collectJSEngineData } from './fingerprint/js_engine';
+import { collectWebGLData } from './fingerprint/webgl';
+import { collectWebGPUData } from './fingerprint/webgpu';
+import { collectCanvasProtection } from './fingerprint/canvas';
+import { collectFingerprintData } from './fingerprint/identity';
+import { setStabilityTracking } from './fingerprint/stability';
+import { collectUniquenessData, setUniquenessEnabled, UNIQUENESS_DEPENDENCIES } from './fingerprint/uniqueness';
+import { collectNetworkData } from './network/network';
+import { collectTorData } from './privacy/tor';
+
+// Privacy & Network
+registerCollector({
+  id: 'privacy',
+  title: 'PRIVACY_MODE',
+  category: 'privacy',
+  loadingText: 'Checking Tor network status...',
+  collect: collectTorData,
+});
+
+registerCollector({
+  id: 'network',
+  title: 'NETWORK_INFO',
+  category: 'network',
+  loadingText: 'Scanning network environment...',
+  // Network data streams in via onUpdate as lookups complete
+  collect: ({ onUpdate, signal }) => collectNetworkData(onUpdate, signal),
+});
+
+// Hardware & Display
+registerCollector({
+  id: 'hardware',
+  title: 'DEVICE_CORE',
+  category: 'system',
+  loadingText: 'Scanning hardware...',
+  collect: collectHardwareData,
+});
+
+registerCollector({
+  id: 'screen',
+  title: 'SCREEN_INFO',
+  category: 'system',
+  loadingText: 'Analyzing display...',
+  collect: collectScreenData,
+});
+
+// Browser & User Agent
+registerCollector({
+  id: 'client_hints',
+  title: 'CLIENT_HINTS',
+  category: 'browser',
+  loadingText: 'Analyzing User Agent Data...',
+  collect: collectClientHints,
+});
+
+registerCollector({
+  id: 'navigator',
+  title: 'NAVIGATOR_VARS',
+  category: 'browser',
+  loadingText: 'Reading headers...',
+  collect: collectNavigatorData,
+});
+
+// Fingerprinting
+registerCollector({
+  id: 'intl',
+  title: 'INTL_FINGERPRINT',
+  category: 'fingerprint',
+  loadingText: 'Calculating locale fingerprint...',
+  collect: collectIntlData,
+});
+
+registerCollector({
+  id: 'fonts',
+  title: 'FONTS_FINGERPRINT',
+  category: 'fingerprint',
+  loadingText: 'Scanning font library...',
+  collect: collectFontData,
+  actions: {
+    'local-fonts-enable': () => setLocalFontsEnabled(true),
+    'local-fonts-disable': () => setLocalFontsEnabled(false),
+  },
+});
+
+registerCollector({
+  id: 'css',
+  title: 'CSS_FINGERPRINT',
+  category: 'fingerprint',
+  loadingText: 'Probing CSS engine...',
+  collect: collectCSSData,
+});
+
+registerCollector({
+  id: 'js_engine',
+  title: 'JS_ENGINE',
+  category: 'fingerprint',
+  loadingText: 'Probing JavaScript engine...',
+  collect: collectJSEngineData,
+});
+
+// Graphics & Identity
+registerCollector({
+  id: 'webgl',
+  title: 'WEBGL_RENDERER',
+  category: 'fingerprint',
+  loadingText: 'Initializing WebGL context...',
+  collect: collectWebGLData,
+});
+
+registerCollector({
+  id: 'webgpu',
+  title: 'WEBGPU_ADAPTER',
+  category: 'fingerprint',
+  loadingText: 'Requesting GPU adapter...',
+  // requestAdapter()/requestDevice() can hang on broken drivers
+  timeout: 8000,
+  collect: collectWebGPUData,
+});
+
+registerCollector({
+  id: 'canvas',
+  title: 'CANVAS_PROTECTION',
+  category: 'fingerprint',
+  loadingText: 'Rendering reference scenes...',
+  collect: collectCanvasProtection,
+});
+
+registerCollector({
+  id: 'identity',
+  title: 'DIGITAL_IDENTITY',
+  category: 'fingerprint',
+  loadingText: 'Generating digital fingerprint...',
+  collect: collectFingerprintData,
+  actions: {
+    'stability-enable': () => setStabilityTracking(true),
+    'stability-disable': () => setStabilityTracking(false),
+  },
+});
+
+registerCollector({
+  id: 'uniqueness',
+  title: 'UNIQUENESS',
+  category: 'fingerprint',
+  dependencies: UNIQUENESS_DEPENDENCIES,
+  loadingText: 'Waiting for fingerprint modules...',
+  collect: collectUniquenessData,
+  actions: {
+    'uniqueness-enable': () => setUniquenessEnabled(true),
+    'uniqueness-disable': () => setUniquenessEnabled(false),
+  },
+});
+
+// Media
+registerCollector({
+  id: 'media_devices',
+  title: 'MEDIA_DEVICES',
+  category: 'media',
+  loadingText: 'Enumerating devices...',
+  collect: collectMediaDevices,
+});
+
+registerCollector({
+  id: 'media_codecs',
+  title: 'MEDIA_CODECS',
+  category: 'media',
+  loadingText: 'Checking codecs...',
+  collect: collectMediaCodecs,
+});
+
+// Access & Permissions
+registerCollector({
+  id: 'permissions',
+  title: 'PERMISSIONS_CHECK',
+  category: 'access',
+  loadingText: 'Querying permissions...',
+  collect: collectPermissionsData,
+});
+
+registerCollector({
+  id: 'clipboard',
+  title: 'CLIPBOARD_ACCESS',
+  category: 'access',
+  loadingText: 'Checking clipboard permissions...',
+  collect: collectClipboardData,
+});
+
+// Security
+registerCollector({
+  id: 'integrity',
+  title: 'INTEGRITY_CHECK',
+  category: 'security',
+  loadingText: 'Scanning environment...',
+  collect: async () => detectBot(), // Sync
+});
+
+registerCollector({
+  id: 'consistency',
+  title: 'CONSISTENCY_CHECK',
+  category: 'security',
+  dependencies: getConsistencyDependencies,
+  loadingText: 'Cross-checking modules...',
+  collect: collectConsistencyData,
+});
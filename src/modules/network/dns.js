@@ -0,0 +1,63 @@
+/**
+ * DNS Leak Test Module
+ * Resolves random names under a zone served by the DNS leak responder (server/dns.js), then asks
+ * the responder which resolvers queried them. Resolvers outside the network the public IP belongs
+ * to (the VPN provider, when one is used) mean DNS bypasses the tunnel.
+ */
+
+import { lookupIP, locateIP } from '../../core/geoip';
+
+const QUERY_COUNT = 6;
+const QUERY_TIMEOUT = 3000;
+// Resolvers may retry or fan out after the first answer
+const SETTLE_DELAY = 1000;
+
+function randomToken() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(12)), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Makes the browser resolve a host name; the request itself is expected to fail
+ */
+async function resolveHost(host, signal) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), QUERY_TIMEOUT);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  try {
+    await fetch(`https://${host}/`, { mode: 'no-cors', cache: 'no-store', signal: controller.signal });
+  } catch { /* resolution already happened */ } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.zone - Zone of the DNS leak responder
+ * @param {string} options.endpoint - Base URL of the server that reports the resolvers
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object>} { token, resolvers: [{ ip, queries, geo }], exit, compared, outside }
+ */
+export async function runDnsLeakTest({ zone, endpoint, signal }) {
+  const token = randomToken();
+  // Distinct names so no resolver can answer from cache
+  await Promise.all(Array.from({ length: QUERY_COUNT }, (_, i) => resolveHost(`${i}.${token}.${zone}`, signal)));
+  await new Promise((resolve) => setTimeout(resolve, SETTLE_DELAY));
+
+  const response = await fetch(`${endpoint.replace(/\/$/, '')}/api/v1/dns/${token}`, { cache: 'no-store', signal });
+  if (!response.ok) throw new Error('DNS leak server: ' + response.status);
+  const { resolvers: seen } = await response.json();
+
+  const [exit, ...geos] = await Promise.all([
+    lookupIP({ signal }).catch(() => null),
+    ...seen.map(({ ip }) => locateIP(ip).catch(() => null)),
+  ]);
+  const resolvers = seen.map((resolver, i) => ({ ...resolver, geo: geos[i] }));
+
+  // Without ASNs on both sides the resolvers cannot be attributed
+  const compared = Boolean(exit?.asn) && resolvers.some((r) => r.geo?.asn);
+  const outside = compared ? resolvers.filter((r) => r.geo?.asn && r.geo.asn !== exit.asn) : [];
+
+  return { token, resolvers, exit, compared, outside };
+}
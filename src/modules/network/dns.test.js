@@ -0,0 +1,44 @@
+import { describe, it, expect, vi } from 'vitest';
+import { runDnsLeakTest } from './dns';
+import { stubFetch, useNetworkConfig } from '../../test/network';
+
+const LOCATE_URL = /^https:\/\/ipapi\.co\/([^/]+)\/json\/$/;
+
+/**
+ * The leak server reports `resolvers`, ipapi.co answers from `geo` by address (`exit` = public IP)
+ * @returns {string[]} URLs requested so far
+ */
+function stubNetwork(resolvers, geo) {
+  return stubFetch((url) => {
+    if (url.startsWith('https://leak.test/api/v1/dns/')) return { resolvers };
+    if (url === 'https://ipapi.co/json/') return geo.exit;
+    const match = url.match(LOCATE_URL);
+    return match ? geo[decodeURIComponent(match[1])] : undefined;
+  });
+}
+
+useNetworkConfig({ geoipProvider: 'ipapi' });
+
+describe('runDnsLeakTest', () => {
+  it('attributes resolvers to networks and locates each address once', async () => {
+    const requested = stubNetwork(
+      [{ ip: '192.0.2.1', queries: 3 }, { ip: '198.51.100.53', queries: 2 }],
+      {
+        exit: { ip: '192.0.2.1', asn: 'AS64500' },
+        '198.51.100.53': { ip: '198.51.100.53', asn: 'AS64501' },
+      },
+    );
+
+    const result = await runDnsLeakTest({ zone: 'dns.leak.test', endpoint: 'https://leak.test/' });
+    expect(result.compared).toBe(true);
+    expect(result.outside.map((r) => r.ip)).toEqual(['198.51.100.53']);
+    expect(result.resolvers[0].geo).toMatchObject({ asn: 'AS64500' });
+    // The exit address reuses the public IP lookup
+    expect(requested.filter((url) => LOCATE_URL.test(url))).toEqual(['https://ipapi.co/198.51.100.53/json/']);
+  });
+
+  it('fails when the leak server does', async () => {
+    vi.stubGlobal('fetch', async () => ({ ok: false, status: 503 }));
+    await expect(runDnsLeakTest({ zone: 'dns.leak.test', endpoint: 'https://leak.test' })).rejects.toThrow(/503/);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Dual-Stack Analysis Module
+ * Resolves the public IPv4 and IPv6 addresses separately and compares the networks behind them;
+ * a VPN that tunnels only IPv4 leaves IPv6 (and the real ISP) exposed
+ */
+
+import { lookupDualStack, locateIP } from '../../core/geoip';
+import { getConfig } from '../../config';
+import { embeddedIPv4, ipPrefix, classifyIP } from '../../utils/ip';
+
+// Usual end-site IPv6 allocation
+const SITE_PREFIX = 48;
+
+function describeNetwork(geo) {
+  if (!geo) return null;
+  const name = [geo.asn, geo.org].filter(Boolean).join(' ') || 'Unknown network';
+  return geo.countryCode ? `${name} (${geo.countryCode})` : name;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {Array<Object>} [options.candidates] - Parsed host ICE candidates (see parseCandidate)
+ * @returns {Promise<Object>} { ipv4, ipv6, ipv6Scope, tested, networks, compared, leak, reasons }
+ */
+export async function analyzeDualStack({ signal, candidates = [] } = {}) {
+  const { ipv4Endpoint, ipv6Endpoint } = getConfig();
+  const tested = { ipv4: Boolean(ipv4Endpoint), ipv6: Boolean(ipv6Endpoint) };
+  const { ipv4, ipv6 } = await lookupDualStack({ signal });
+  const reasons = [];
+
+  // 6to4 / Teredo addresses carry the IPv4 they were built from
+  const tunnelled = ipv6 ? embeddedIPv4(ipv6) : null;
+  if (tunnelled && ipv4 && tunnelled !== ipv4) {
+    reasons.push(`IPv6 tunnel built on ${tunnelled}, not on the public IPv4`);
+  }
+
+  let networks = null;
+  let compared = false;
+  if (ipv4 && ipv6) {
+    const [geo4, geo6] = await Promise.all([
+      locateIP(ipv4).catch(() => null),
+      locateIP(ipv6).catch(() => null),
+    ]);
+    networks = { ipv4: describeNetwork(geo4), ipv6: describeNetwork(geo6) };
+    if (geo4 && geo6 && (geo4.asn || geo4.countryCode) && (geo6.asn || geo6.countryCode)) {
+      compared = true;
+      if (geo4.asn && geo6.asn && geo4.asn !== geo6.asn) reasons.push(`IPv6 exits via ${geo6.asn}, IPv4 via ${geo4.asn}`);
+      if (geo4.countryCode && geo6.countryCode && geo4.countryCode !== geo6.countryCode) {
+        reasons.push(`IPv6 located in ${geo6.countryCode}, IPv4 in ${geo4.countryCode}`);
+      }
+    }
+  }
+
+  // A global IPv6 on a local interface outside the site IPv6 traffic leaves from is the native address
+  // (only meaningful once IPv6 over HTTP was actually tested)
+  const site = ipv6 ? ipPrefix(ipv6, SITE_PREFIX) : null;
+  const native = tested.ipv6
+    ? candidates.filter((c) => c.version === 6 && classifyIP(c.address) === 'public' && ipPrefix(c.address, SITE_PREFIX) !== site)
+    : [];
+  if (native.length > 0) {
+    reasons.push(`Native IPv6 ${native[0].address} visible to WebRTC`);
+  }
+
+  return {
+    ipv4,
+    ipv6,
+    ipv6Scope: ipv6 ? classifyIP(ipv6) : null,
+    tested,
+    networks,
+    compared,
+    leak: reasons.length > 0,
+    reasons,
+  };
+}
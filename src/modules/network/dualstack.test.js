@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { configure } from '../../config';
+import { analyzeDualStack } from './dualstack';
+import { stubFetch, useNetworkConfig } from '../../test/network';
+
+const host = (address) => ({ address, version: address.includes(':') ? 6 : 4 });
+
+useNetworkConfig({ geoipProvider: 'ipapi', ipv4Endpoint: 'https://v4.test/', ipv6Endpoint: 'https://v6.test/' });
+
+describe('analyzeDualStack', () => {
+  it('reports IPv6 exiting through another network', async () => {
+    stubFetch({
+      'https://v4.test/': { ip: '192.0.2.1' },
+      'https://v6.test/': { ip: '2001:db8::1' },
+      'https://ipapi.co/json/': { ip: '192.0.2.1', asn: 'AS64500', country_code: 'NL' },
+      'https://ipapi.co/2001%3Adb8%3A%3A1/json/': { ip: '2001:db8::1', asn: 'AS64501', country_code: 'DE' },
+    });
+    const result = await analyzeDualStack();
+    expect(result).toMatchObject({ compared: true, leak: true, networks: { ipv4: 'AS64500 (NL)', ipv6: 'AS64501 (DE)' } });
+    expect(result.reasons).toHaveLength(2);
+  });
+
+  it('accepts both stacks on the same network', async () => {
+    stubFetch({
+      'https://v4.test/': { ip: '192.0.2.1' },
+      'https://v6.test/': { ip: '2001:db8::1' },
+      'https://ipapi.co/json/': { ip: '192.0.2.1', asn: 'AS64500' },
+      'https://ipapi.co/2001%3Adb8%3A%3A1/json/': { ip: '2001:db8::1', asn: 'AS64500' },
+    });
+    expect(await analyzeDualStack({ candidates: [host('2001:db8:0:1::5')] })).toMatchObject({ compared: true, leak: false });
+  });
+
+  it('flags a native IPv6 interface outside the tested site', async () => {
+    stubFetch({ 'https://v4.test/': { ip: '192.0.2.1' } });
+    const result = await analyzeDualStack({ candidates: [host('2a00:1450::1'), host('fd00::1')] });
+    expect(result).toMatchObject({ ipv6: null, leak: true, reasons: ['Native IPv6 2a00:1450::1 visible to WebRTC'] });
+  });
+
+  it('does not judge IPv6 interfaces when IPv6 is not tested', async () => {
+    configure({ ipv6Endpoint: '' });
+    stubFetch({ 'https://v4.test/': { ip: '192.0.2.1' } });
+    const result = await analyzeDualStack({ candidates: [host('2a00:1450::1')] });
+    expect(result).toMatchObject({ tested: { ipv4: true, ipv6: false }, leak: false });
+  });
+
+  it('reports the IPv4 a 6to4 address was built on', async () => {
+    stubFetch({ 'https://v4.test/': { ip: '192.0.2.1' }, 'https://v6.test/': { ip: '2002:c633:6401::1' } });
+    const result = await analyzeDualStack();
+    expect(result.reasons).toContain('IPv6 tunnel built on 198.51.100.1, not on the public IPv4');
+  });
+});
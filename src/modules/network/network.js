@@ -3,13 +3,20 @@
  * Combines Connection, Latency, GeoIP, and Threat Detection
  */
 
-export async function collectNetworkData(onUpdate) {
+import { toSignals } from '../../core/signal';
+import { lookupIP, getGeoIPProvider } from '../../core/geoip';
+import { gatherCandidates, compareReflexive } from '../../core/webrtc';
+import { analyzeDualStack } from './dualstack';
+import { runDnsLeakTest } from './dns';
+import { getConfig } from '../../config';
+
+export async function collectNetworkData(onUpdate, signal) {
   const data = {};
   
   // Helper to notify updates
   const notify = () => {
     if (onUpdate && typeof onUpdate === 'function') {
-      onUpdate({ ...data });
+      onUpdate(toSignals('network', data));
     }
   };
 
@@ -18,6 +25,7 @@ export async function collectNetworkData(onUpdate) {
     const conn = navigator.connection;
     data['RTT (Est.)'] = { 
         value: (conn.rtt || 0) + ' ms', 
+        raw: conn.rtt ?? null,
         url: 'https://developer.mozilla.org/en-US/docs/Web/API/NetworkInformation/rtt' 
     };
     data['Effective Type'] = {
@@ -26,6 +34,7 @@ export async function collectNetworkData(onUpdate) {
     };
     data['Downlink'] = {
         value: (conn.downlink || 0) + ' Mbps',
+        raw: conn.downlink ?? null,
         url: 'https://developer.mozilla.org/en-US/docs/Web/API/NetworkInformation/downlink'
     };
   } else {
@@ -40,69 +49,103 @@ export async function collectNetworkData(onUpdate) {
   data['Timezone Offset'] = { value: (now.getTimezoneOffset() / -60) + ' hrs', url: 'https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date/getTimezoneOffset' };
   notify();
 
-  // --- 3. WebRTC Local IP Detection ---
-  detectLocalIP(data, notify);
+  // Slow checks run concurrently and stream into the card via notify()
+  const localCandidates = detectLocalIP(data, notify, signal);
+  await Promise.allSettled([
+    // --- 3. WebRTC Local/Public IP Detection ---
+    localCandidates,
+
+    // --- 4. Latency & Jitter ---
+    measureLatency(data, notify, signal),
 
-  // --- 4. Latency & Jitter ---
-  measureLatency(data, notify);
+    // --- 5. GeoIP & Threat Intelligence ---
+    fetchGeoIPAndThreats(data, notify, signal),
 
-  // --- 5. GeoIP & Threat Intelligence ---
-  fetchGeoIPAndThreats(data, notify);
+    // --- 6. IPv4/IPv6 Dual-Stack Leak ---
+    checkDualStack(data, notify, signal, localCandidates.then(({ host, srflx }) => [...host, ...srflx])),
 
-  return data; // Return initial state (updates happen via callback)
+    // --- 7. DNS Leak Test ---
+    checkDnsLeak(data, notify, signal),
+  ]);
+
+  return toSignals('network', data);
 }
 
-async function detectLocalIP(data, notify) {
+/**
+ * ICE candidates against the configured STUN/TURN servers: host addresses, and the
+ * server-reflexive (srflx) address compared with the IP HTTP requests come from
+ * @returns {Promise<{ host: Object[], srflx: Object[] }>} Parsed candidates (see parseCandidate), empty on failure
+ */
+async function detectLocalIP(data, notify, signal) {
+  const webrtcUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/WebRTC_API';
   try {
-    const rtcCandidates = new Set();
-    const rtcPeer = new RTCPeerConnection({ iceServers: [] });
-    rtcPeer.createDataChannel('');
-    const offer = await rtcPeer.createOffer();
-    await rtcPeer.setLocalDescription(offer);
-    
-    data['Local IP Detection'] = { value: 'Scanning via WebRTC...', url: 'https://developer.mozilla.org/en-US/docs/Web/API/WebRTC_API' };
+    data['Local IP Detection'] = { value: 'Scanning via WebRTC...', url: webrtcUrl };
     notify();
 
-    await new Promise(resolve => {
-      rtcPeer.onicecandidate = (event) => {
-        if (event?.candidate?.candidate) {
-          const candidate = event.candidate.candidate;
-          // Extract IPv4/IPv6 or .local
-          const ipMatch = candidate.match(/([0-9]{1,3}(\.[0-9]{1,3}){3}|[a-f0-9]{1,4}(:[a-f0-9]{1,4}){7})/);
-          if (ipMatch) {
-             // Simple validity check
-             if (candidate.indexOf('.local') > 0 || candidate.match(/^[0-9]+\.[0-9]+\.[0-9]+\.[0-9]+$/) || candidate.indexOf(':') > -1) {
-                rtcCandidates.add(ipMatch[1]);
-             }
-          }
-        }
-      };
-      setTimeout(() => { rtcPeer.close(); resolve(); }, 1500);
-    });
+    const gathered = await gatherCandidates();
 
     delete data['Local IP Detection'];
 
-    if (rtcCandidates.size > 0) {
-      const detectedIps = Array.from(rtcCandidates).join(', ');
-      // Private IP ranges check
-      const isPrivate = detectedIps.startsWith('192.168.') || detectedIps.startsWith('10.') || detectedIps.startsWith('172.');
+    if (!gathered) {
+      data['Local IP (WebRTC)'] = { value: 'WebRTC Disabled', url: webrtcUrl };
+      notify();
+      return { host: [], srflx: [] };
+    }
+
+    const { host, srflx, relay, servers } = gathered;
+    if (host.length > 0) {
+      // Anything routable on the internet is a leak; private, link-local and mDNS names are not
+      const isPublic = (c) => c.scope === 'public' || c.scope === '6to4' || c.scope === 'teredo';
       
       data['Local IP (WebRTC)'] = { 
-          value: detectedIps, 
-          warning: !isPrivate && !detectedIps.includes('.local'), // Public IP leak via WebRTC is bad
+          value: host.map(c => (c.scope === 'mdns' ? c.address : `${c.address} (${c.scope})`)).join(', '), 
+          raw: host.map(c => c.address),
+          warning: host.some(isPublic), // Public IP leak via WebRTC is bad
           url: 'https://developer.mozilla.org/en-US/docs/Web/API/RTCIceCandidate' 
       };
     } else {
-      data['Local IP (WebRTC)'] = { value: 'Not Detected / Blocked', url: 'https://developer.mozilla.org/en-US/docs/Web/API/WebRTC_API' };
+      data['Local IP (WebRTC)'] = { value: 'Not Detected / Blocked', url: webrtcUrl };
+    }
+
+    const stunUrl = 'https://developer.mozilla.org/en-US/docs/Glossary/STUN';
+    const serverUrls = servers.flatMap(server => server.urls);
+    data['STUN/TURN Servers'] = { value: serverUrls.join(', ') || 'None Configured (stunServers)', raw: serverUrls, url: 'https://developer.mozilla.org/en-US/docs/Web/API/RTCPeerConnection/RTCPeerConnection#iceservers' };
+    if (serverUrls.length > 0) {
+      data['WebRTC Public IP (srflx)'] = {
+          value: srflx.map(c => c.address).join(', ') || 'None (STUN Blocked / UDP Disabled)',
+          raw: srflx.map(c => c.address),
+          url: stunUrl
+      };
+    }
+    if (relay.length > 0) {
+      data['WebRTC Relay (TURN)'] = { value: relay.map(c => c.address).join(', '), raw: relay.map(c => c.address), url: 'https://developer.mozilla.org/en-US/docs/Glossary/TURN' };
     }
     notify();
+
+    if (srflx.length > 0) {
+      const comparison = await compareReflexive(srflx, { signal });
+      const labels = {
+        bypass: `VPN Bypass via WebRTC (${comparison.bypassed.join(', ')} not seen over HTTP)`,
+        consistent: 'Consistent (srflx = HTTP IP)',
+        unknown: 'Not Compared (HTTP IP Unknown)',
+      };
+      data['WebRTC vs HTTP IP'] = {
+          value: labels[comparison.status],
+          raw: comparison,
+          warning: comparison.status === 'bypass',
+          url: stunUrl
+      };
+      notify();
+    }
+    return { host, srflx };
   } catch (e) {
     data['Local IP (WebRTC)'] = { value: 'Error: ' + e.message, warning: true };
     notify();
+    return { host: [], srflx: [] };
   }
 }
 
-async function measureLatency(data, notify) {
+async function measureLatency(data, notify, signal) {
   try {
     const pings = [];
     const samples = 5;
@@ -110,7 +153,7 @@ async function measureLatency(data, notify) {
 
     for (let i = 0; i < samples; i++) {
         const start = performance.now();
-        await fetch(target, { cache: 'no-store' });
+        await fetch(target, { cache: 'no-store', signal });
         const end = performance.now();
         pings.push(end - start);
     }
@@ -121,9 +164,9 @@ async function measureLatency(data, notify) {
         const max = Math.max(...pings);
         const jitter = pings.reduce((acc, p) => acc + Math.abs(p - avg), 0) / pings.length;
 
-        data['Latency (Avg)'] = { value: avg.toFixed(2) + ' ms', url: 'https://developer.mozilla.org/en-US/docs/Web/API/Performance' };
+        data['Latency (Avg)'] = { value: avg.toFixed(2) + ' ms', raw: avg, url: 'https://developer.mozilla.org/en-US/docs/Web/API/Performance' };
         data['Latency (Min/Max)'] = { value: `${min.toFixed(2)} / ${max.toFixed(2)} ms`, url: 'https://developer.mozilla.org/en-US/docs/Web/API/Performance' };
-        data['Jitter'] = { value: jitter.toFixed(2) + ' ms', url: 'https://developer.mozilla.org/en-US/docs/Glossary/Jitter' };
+        data['Jitter'] = { value: jitter.toFixed(2) + ' ms', raw: jitter, url: 'https://developer.mozilla.org/en-US/docs/Glossary/Jitter' };
     }
     notify();
   } catch (e) {
@@ -132,33 +175,41 @@ async function measureLatency(data, notify) {
   }
 }
 
-async function fetchGeoIPAndThreats(data, notify) {
+async function fetchGeoIPAndThreats(data, notify, signal) {
     try {
-        data['GeoIP Analysis'] = { value: 'Fetching...', url: 'https://ipapi.co' };
+        const provider = getGeoIPProvider();
+        if (!provider) {
+            data['GeoIP Analysis'] = { value: 'Disabled (geoipProvider: none)' };
+            notify();
+            return;
+        }
+        const source = provider.url;
+
+        data['GeoIP Analysis'] = { value: 'Fetching...', url: source };
         notify();
 
-        // Using ipapi.co for HTTPS support (ip-api.com free is HTTP only)
-        const response = await fetch('https://ipapi.co/json/');
-        if (!response.ok) throw new Error('API Error: ' + response.status);
-        
-        const geo = await response.json();
-        
-        if (geo.error) {
-            throw new Error(geo.reason || 'GeoIP Lookup Failed');
-        }
+        const geo = await lookupIP({ signal });
 
         delete data['GeoIP Analysis'];
 
-        // Basic Info - Mapped from ipapi.co
-        data['Public IP'] = { value: geo.ip, url: 'https://ipapi.co' };
-        data['ISP'] = { value: geo.org || 'Unknown', url: 'https://ipapi.co' };
-        data['AS Number'] = { value: geo.asn || 'Unknown', url: 'https://ipapi.co' };
+        data['Public IP'] = { value: geo.ip, url: source };
+        data['GeoIP Provider'] = { value: provider.title, raw: provider.id, url: source };
+        if (!provider.geo) {
+            notify();
+            return;
+        }
+
+        data['ISP'] = { value: geo.org || 'Unknown', url: source };
+        data['AS Number'] = { value: geo.asn || 'Unknown', url: source };
+        const place = [geo.city, geo.region, geo.country].filter(Boolean).join(', ');
         data['Location'] = { 
-            value: `${geo.city}, ${geo.region}, ${geo.country_name}`, 
-            url: 'https://www.openstreetmap.org/search?query=' + encodeURIComponent(geo.city + ', ' + geo.country_name)
+            value: place || 'Unknown', 
+            url: 'https://www.openstreetmap.org/search?query=' + encodeURIComponent(place)
         };
-        data['Coordinates'] = { value: `${geo.latitude}, ${geo.longitude}`, url: `https://www.openstreetmap.org/#map=13/${geo.latitude}/${geo.longitude}` };
-        data['Postal Code'] = { value: geo.postal || 'Unknown', url: 'https://ipapi.co' };
+        if (geo.latitude !== undefined && geo.longitude !== undefined) {
+            data['Coordinates'] = { value: `${geo.latitude}, ${geo.longitude}`, raw: [geo.latitude, geo.longitude], url: `https://www.openstreetmap.org/#map=13/${geo.latitude}/${geo.longitude}` };
+        }
+        data['Postal Code'] = { value: geo.postal || 'Unknown', url: source };
         
         // Threat Intelligence Logic
         let threatScore = 0;
@@ -192,12 +243,12 @@ async function fetchGeoIPAndThreats(data, notify) {
 
         // Result
         if (threatScore > 0) {
-            data['Threat Score'] = { value: `${threatScore}/100`, warning: threatScore >= 40, url: 'https://ipapi.co' };
-            data['Threats'] = { value: threats.join(', '), warning: true, url: 'https://ipapi.co' };
+            data['Threat Score'] = { value: `${threatScore}/100`, raw: threatScore, warning: threatScore >= 40, url: source };
+            data['Threats'] = { value: threats.join(', '), warning: true, url: source };
             data['Privacy Status'] = { value: 'Suspicious / VPN', warning: true };
         } else {
-            data['Threat Score'] = { value: '0/100 (Clean)', url: 'https://ipapi.co' };
-            data['Privacy Status'] = { value: 'Residential / Standard', url: 'https://ipapi.co' };
+            data['Threat Score'] = { value: '0/100 (Clean)', raw: 0, url: source };
+            data['Privacy Status'] = { value: 'Residential / Standard', url: source };
         }
         
         notify();
@@ -208,3 +259,92 @@ async function fetchGeoIPAndThreats(data, notify) {
     }
 }
 
+async function checkDualStack(data, notify, signal, localCandidates) {
+    const url = 'https://developer.mozilla.org/en-US/docs/Glossary/IPv6';
+    const { ipv4Endpoint, ipv6Endpoint } = getConfig();
+    if (!ipv4Endpoint && !ipv6Endpoint) {
+        data['Dual-Stack Check'] = { value: 'Not Configured (ipv4Endpoint / ipv6Endpoint)', url };
+        notify();
+        return;
+    }
+
+    try {
+        data['Dual-Stack Check'] = { value: 'Testing IPv4 and IPv6...', url };
+        notify();
+
+        const result = await analyzeDualStack({ signal, candidates: await localCandidates });
+
+        delete data['Dual-Stack Check'];
+
+        const missing = (stack, label) => (result.tested[stack] ? `No ${label} Connectivity` : `Not Tested (${stack}Endpoint)`);
+        data['Public IPv4'] = { value: result.ipv4 || missing('ipv4', 'IPv4'), raw: result.ipv4, url: 'https://developer.mozilla.org/en-US/docs/Glossary/IPv4' };
+        data['Public IPv6'] = {
+            value: result.ipv6 ? (result.ipv6Scope === 'public' ? result.ipv6 : `${result.ipv6} (${result.ipv6Scope})`) : missing('ipv6', 'IPv6'),
+            raw: result.ipv6,
+            url
+        };
+        if (result.networks) {
+            data['Dual-Stack Networks'] = { value: `IPv4: ${result.networks.ipv4 || 'Unknown'} | IPv6: ${result.networks.ipv6 || 'Unknown'}`, raw: result.networks, url };
+        }
+
+        let status;
+        if (result.leak) status = `DETECTED (${result.reasons.join('; ')})`;
+        else if (!result.tested.ipv4 || !result.tested.ipv6) status = 'Not Compared (One Stack Not Tested)';
+        else if (!result.ipv6) status = 'None (IPv4 Only)';
+        else if (!result.ipv4) status = 'None (IPv6 Only)';
+        else if (result.compared) status = 'None (Same Network on Both Stacks)';
+        else status = 'Not Compared (Provider Cannot Locate Addresses)';
+
+        data['IPv6 Leak'] = { value: status, raw: result.leak, warning: result.leak, url };
+        notify();
+    } catch (e) {
+        data['Dual-Stack Check'] = { value: 'Failed (' + e.message + ')', warning: true, url };
+        notify();
+    }
+}
+
+async function checkDnsLeak(data, notify, signal) {
+    const url = 'https://developer.mozilla.org/en-US/docs/Glossary/DNS';
+    const { dnsLeakZone, dnsLeakEndpoint } = getConfig();
+    if (!dnsLeakZone || !dnsLeakEndpoint) {
+        data['DNS Leak Test'] = { value: 'Not Configured (dnsLeakZone)', url };
+        notify();
+        return;
+    }
+
+    try {
+        data['DNS Leak Test'] = { value: 'Resolving test names...', url };
+        notify();
+
+        const result = await runDnsLeakTest({ zone: dnsLeakZone, endpoint: dnsLeakEndpoint, signal });
+
+        delete data['DNS Leak Test'];
+
+        const describe = (r) => {
+            const network = [r.geo?.asn, r.geo?.org].filter(Boolean).join(' ');
+            const details = [network, r.geo?.countryCode].filter(Boolean).join(', ');
+            return details ? `${r.ip} (${details})` : r.ip;
+        };
+        data['DNS Resolvers'] = {
+            value: result.resolvers.map(describe).join(' | ') || 'None Seen (Queries Blocked)',
+            raw: result.resolvers.map(r => ({ ip: r.ip, queries: r.queries, asn: r.geo?.asn ?? null, country: r.geo?.countryCode ?? null })),
+            url
+        };
+
+        let status;
+        if (result.outside.length > 0) {
+            status = `DETECTED (${result.outside.length}/${result.resolvers.length} resolvers outside ${result.exit.asn}: ${result.outside.map(r => r.geo.asn).join(', ')})`;
+        } else if (result.compared) {
+            status = `None (Resolvers in Exit Network ${result.exit.asn})`;
+        } else if (result.resolvers.length > 0) {
+            status = 'Not Compared (Resolver ASN Unknown)';
+        } else {
+            status = 'Unknown (No Resolver Reached the Test Zone)';
+        }
+        data['DNS Leak'] = { value: status, raw: result.outside.length > 0, warning: result.outside.length > 0, url };
+        notify();
+    } catch (e) {
+        data['DNS Leak Test'] = { value: 'Failed (' + e.message + ')', warning: true, url };
+        notify();
+    }
+}
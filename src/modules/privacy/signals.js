@@ -11,11 +11,17 @@
  * - WebRTC Leak: ICE candidate analysis (90%+ accurate)
  * - Storage Partitioning: Storage Access API (100% accurate)
  * 
+ * Canvas protection: see fingerprint/canvas.js (differential renders)
+ *
  * NOT Implemented (unreliable):
- * - Canvas/Audio protection detection (noise is session-consistent)
+ * - Audio protection detection (noise is session-consistent)
  * - Extension global variable checks (version-dependent)
  */
 
+import { toSignals } from '../../core/signal';
+import { lookupIP, getGeoIPProvider } from '../../core/geoip';
+import { gatherCandidates, compareReflexive } from '../../core/webrtc';
+
 /**
  * Collects privacy signal data using only robust detection methods
  */
@@ -104,8 +110,8 @@ export async function collectPrivacySignals() {
   
   const adBlockResult = await detectAdBlocker();
   data['Ad Blocker'] = adBlockResult.detected
-    ? { value: 'Active' }
-    : { value: 'Not Detected', warning: true };
+    ? { value: 'Active', raw: true }
+    : { value: 'Not Detected', raw: false, warning: true };
 
   // ============================================
   // 4. WEBRTC LEAK PROTECTION (90%+ Accurate)
@@ -139,7 +145,7 @@ export async function collectPrivacySignals() {
     };
   }
 
-  return data;
+  return toSignals('privacy', data);
 }
 
 /**
@@ -272,69 +278,45 @@ function detectAdBlockerScript() {
 
 /**
  * WebRTC IP leak detection
- * Checks if local IP address is exposed via ICE candidates
+ * Checks if the local IP (host candidates) or a public IP that differs from the HTTP one
+ * (srflx candidates from the configured STUN servers) is exposed
  */
 async function detectWebRTCLeak() {
-  const RTCPeerConnection = window.RTCPeerConnection || 
-                            window.webkitRTCPeerConnection || 
-                            window.mozRTCPeerConnection;
-  
-  if (!RTCPeerConnection) {
-    return { value: 'WebRTC Disabled' };
-  }
-  
-  return new Promise((resolve) => {
-    try {
-      const pc = new RTCPeerConnection({ iceServers: [] });
-      let localIPFound = false;
-      
-      pc.createDataChannel('');
-      pc.createOffer()
-        .then(offer => pc.setLocalDescription(offer))
-        .catch(() => {});
-      
-      pc.onicecandidate = (event) => {
-        if (event.candidate && event.candidate.candidate) {
-          const candidate = event.candidate.candidate;
-          // Check for real local IP (not mDNS .local address)
-          const ipMatch = candidate.match(/([0-9]{1,3}\.){3}[0-9]{1,3}/);
-          if (ipMatch && !candidate.includes('.local')) {
-            localIPFound = true;
-          }
-        }
-      };
-      
-      setTimeout(() => {
-        try { pc.close(); } catch (e) {}
-        
-        if (localIPFound) {
-          resolve({ value: 'Leaking Local IP', warning: true });
-        } else {
-          resolve({ value: 'Protected (mDNS/Blocked)' });
-        }
-      }, 1500);
-    } catch (e) {
-      resolve({ value: 'API Error' });
+  try {
+    const gathered = await gatherCandidates();
+    if (!gathered) {
+      return { value: 'WebRTC Disabled' };
     }
-  });
+
+    if (gathered.srflx.length > 0) {
+      const { status, bypassed } = await compareReflexive(gathered.srflx);
+      if (status === 'bypass') {
+        return { value: `Leaking Public IP (VPN Bypass: ${bypassed.join(', ')})`, warning: true };
+      }
+    }
+    // Real local IPv4/IPv6 (not mDNS .local address)
+    if (gathered.host.some(c => c.version !== null)) {
+      return { value: 'Leaking Local IP', warning: true };
+    }
+    return { value: 'Protected (mDNS/Blocked)' };
+  } catch (e) {
+    return { value: 'API Error' };
+  }
 }
 
 /**
- * VPN/Proxy detection using GeoIP API
- * Accuracy depends on API data quality
+ * VPN/Proxy detection using the shared GeoIP lookup
+ * Accuracy depends on provider data quality
  */
 export async function detectVPNProxy() {
   try {
-    // Switched to ipapi.co for HTTPS support
-    const response = await fetch('https://ipapi.co/json/');
-    if (!response.ok) throw new Error('API Error');
-    
-    const geo = await response.json();
-    
-    if (geo.error) {
+    const provider = getGeoIPProvider();
+    if (!provider || !provider.geo) {
       return { isVPN: false, error: true };
     }
 
+    const geo = await lookupIP();
+
     // Comprehensive VPN/Datacenter keywords
     const vpnKeywords = [
       'VPN', 'Proxy', 'Unblocker', 'Relay', 'Private', 'Tunnel',
@@ -345,12 +327,11 @@ export async function detectVPNProxy() {
       'Fly.io', 'Fastly'
     ];
     
-    // ipapi.co returns 'org' and 'asn'
     const ispStr = ((geo.org || '') + ' ' + (geo.asn || '')).toUpperCase();
     
     const isSuspiciousISP = vpnKeywords.some(k => ispStr.includes(k.toUpperCase()));
     
-    // Note: ipapi.co free plan doesn't provide explicit 'hosting' or 'proxy' fields
+    // Providers don't expose explicit 'hosting' or 'proxy' fields
     // We rely primarily on the ISP/ASN keyword matching here.
     
     return {
@@ -1,54 +1,93 @@
 /**
  * Tor Detection Module
- * Browser-compatible implementation with localStorage caching
+ * Exit-node list (IPv4 + IPv6, cached in IndexedDB) plus Tor Browser heuristics
  */
 
-const TOR_LIST_KEY = 'wyr_tor_exit_nodes';
-const TOR_TIMESTAMP_KEY = 'wyr_tor_timestamp';
+import { toSignals } from '../../core/signal';
+import { lookupIP } from '../../core/geoip';
+import { normalizeIP, parseIP, formatIP } from '../../utils/ip';
+import { openDatabase, withStore } from '../../utils/idb';
+import { detectTorBrowser } from './tor_browser';
+
+const DB_NAME = 'wyr_tor';
+const DB_VERSION = 1;
+const STORE = 'exit_nodes';
+const LIST_KEY = 'list';
+// Pre-IndexedDB cache (JSON array in localStorage), removed on first use
+const LEGACY_KEYS = ['wyr_tor_exit_nodes', 'wyr_tor_timestamp'];
 const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours in ms
 
 /**
- * LocalStorage-based persistence for Tor exit node list
+ * Packs addresses into raw bytes (4 per IPv4, 16 per IPv6)
+ * @returns {{ ipv4: Uint8Array, ipv6: Uint8Array }}
  */
-class LocalStoragePersistence {
-  getIpList() {
-    try {
-      const data = localStorage.getItem(TOR_LIST_KEY);
-      if (!data) return new Set();
-      return new Set(JSON.parse(data));
-    } catch (e) {
-      console.warn('Error reading Tor list from localStorage:', e);
-      return new Set();
+function packAddresses(ipList) {
+  const parsed = [...ipList].map(parseIP).filter(Boolean);
+  const pack = (version, size) => {
+    const list = parsed.filter((p) => p.version === version);
+    const bytes = new Uint8Array(list.length * size);
+    list.forEach((p, i) => bytes.set(p.bytes, i * size));
+    return bytes;
+  };
+  return { ipv4: pack(4, 4), ipv6: pack(6, 16) };
+}
+
+function unpackAddresses(bytes, size) {
+  const list = [];
+  for (let i = 0; i + size <= bytes.length; i += size) list.push(formatIP(bytes.subarray(i, i + size)));
+  return list;
+}
+
+/**
+ * IndexedDB persistence for the Tor exit node list, stored as packed address bytes
+ */
+class IndexedDBPersistence {
+  open() {
+    if (!this.db) {
+      this.db = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        db.createObjectStore(STORE);
+      });
+      this.db.catch(() => { this.db = null; });
     }
+    return this.db;
   }
 
-  saveIpList(ipList) {
+  /**
+   * @returns {Promise<{ ipList: Set<string>, timestamp: number }>}
+   */
+  async load() {
+    this.dropLegacyCache();
     try {
-      localStorage.setItem(TOR_LIST_KEY, JSON.stringify([...ipList]));
+      const db = await this.open();
+      const entry = await withStore(db, STORE, 'readonly', (store) => store.get(LIST_KEY));
+      if (!entry) return { ipList: new Set(), timestamp: 0 };
+      return {
+        ipList: new Set([...unpackAddresses(entry.ipv4, 4), ...unpackAddresses(entry.ipv6, 16)]),
+        timestamp: entry.timestamp,
+      };
     } catch (e) {
-      console.warn('Error saving Tor list to localStorage:', e);
+      console.warn('Error reading Tor list from IndexedDB:', e);
+      return { ipList: new Set(), timestamp: 0 };
     }
   }
 
-  getTimestamp() {
+  async save(ipList, timestamp) {
     try {
-      const ts = localStorage.getItem(TOR_TIMESTAMP_KEY);
-      return ts ? parseInt(ts, 10) : 0;
+      const db = await this.open();
+      await withStore(db, STORE, 'readwrite', (store) => store.put({ timestamp, ...packAddresses(ipList) }, LIST_KEY));
     } catch (e) {
-      return 0;
+      console.warn('Error saving Tor list to IndexedDB:', e);
     }
   }
 
-  saveTimestamp(timestamp) {
+  dropLegacyCache() {
     try {
-      localStorage.setItem(TOR_TIMESTAMP_KEY, timestamp.toString());
-    } catch (e) {
-      console.warn('Error saving Tor timestamp:', e);
-    }
+      LEGACY_KEYS.forEach((key) => localStorage.removeItem(key));
+    } catch { /* ignore */ }
   }
 }
 
-const persistence = new LocalStoragePersistence();
+const persistence = new IndexedDBPersistence();
 
 // In-memory cache for fast repeated lookups
 let cachedIpList = null;
@@ -56,14 +95,12 @@ let cacheTimestamp = 0;
 const MEMORY_CACHE_TTL = 60000; // 1 minute
 
 /**
- * Fetches the user's current IP address
+ * Gets the user's current IP address (shared GeoIP lookup)
  */
 async function getIpAddress() {
   try {
-    // Use ipify (CORS-friendly)
-    const response = await fetch('https://api.ipify.org?format=json');
-    const data = await response.json();
-    return data.ip;
+    const { ip } = await lookupIP();
+    return normalizeIP(ip) || 'unknown';
   } catch (e) {
     console.warn('Error fetching IP address:', e);
     return 'unknown';
@@ -71,66 +108,76 @@ async function getIpAddress() {
 }
 
 /**
- * Fetches Tor exit node list from the official source
+ * Fetches the bulk exit list (IPv4) from the official source
  * Uses CORS proxy if direct fetch fails
  */
-async function fetchTorExitNodes() {
+async function fetchBulkExitList(signal) {
   const TOR_LIST_URL = 'https://check.torproject.org/torbulkexitlist';
   const CORS_PROXY = 'https://api.allorigins.win/raw?url=';
 
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 10000);
-
+  // Try direct fetch first
+  let response;
   try {
-    // Try direct fetch first
-    let response;
-    try {
-      response = await fetch(TOR_LIST_URL, { signal: controller.signal });
-    } catch (corsError) {
-      // CORS blocked, try proxy
-      console.info('Direct fetch blocked, trying CORS proxy...');
-      response = await fetch(CORS_PROXY + encodeURIComponent(TOR_LIST_URL), {
-        signal: controller.signal,
-      });
-    }
+    response = await fetch(TOR_LIST_URL, { signal });
+  } catch (corsError) {
+    // CORS blocked, try proxy
+    console.info('Direct fetch blocked, trying CORS proxy...');
+    response = await fetch(CORS_PROXY + encodeURIComponent(TOR_LIST_URL), { signal });
+  }
 
-    clearTimeout(timeoutId);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Tor list: ${response.status}`);
+  }
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch Tor list: ${response.status}`);
-    }
+  const data = await response.text();
+  // Stored in canonical form so compressed/expanded notations match
+  return data.split('\n').map(normalizeIP).filter(Boolean);
+}
 
-    const data = await response.text();
-    const ipSet = new Set();
+/**
+ * Fetches running exit relays from Onionoo (CORS-enabled), which also lists IPv6 addresses
+ */
+async function fetchOnionooExits(signal) {
+  const ONIONOO_URL = 'https://onionoo.torproject.org/details?flag=Exit&running=true&fields=exit_addresses,or_addresses';
 
-    for (const line of data.split('\n')) {
-      const ip = line.trim();
-      if (!ip) continue;
+  const response = await fetch(ONIONOO_URL, { signal });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Onionoo relays: ${response.status}`);
+  }
 
-      // Basic IPv4 validation
-      const parts = ip.split('.');
-      if (parts.length !== 4) continue;
+  const { relays = [] } = await response.json();
+  const ips = [];
+  for (const relay of relays) {
+    ips.push(...(relay.exit_addresses || []));
+    // OR addresses are 'a.b.c.d:port' or '[v6]:port'; only IPv6 ones are missing from the bulk list
+    for (const address of relay.or_addresses || []) {
+      const v6 = address.match(/^\[([^\]]+)\]/);
+      if (v6) ips.push(v6[1]);
+    }
+  }
+  return ips.map(normalizeIP).filter(Boolean);
+}
 
-      let valid = true;
-      for (const part of parts) {
-        const num = parseInt(part, 10);
-        if (isNaN(num) || num < 0 || num > 255) {
-          valid = false;
-          break;
-        }
-      }
+/**
+ * Fetches the Tor exit node list (bulk list + Onionoo; either one is enough)
+ */
+async function fetchTorExitNodes() {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 10000);
 
-      if (valid) ipSet.add(ip);
-    }
+  try {
+    const results = await Promise.allSettled([
+      fetchBulkExitList(controller.signal),
+      fetchOnionooExits(controller.signal),
+    ]);
+    clearTimeout(timeoutId);
 
+    const ipSet = new Set(results.flatMap((r) => (r.status === 'fulfilled' ? r.value : [])));
     if (ipSet.size === 0) {
-      throw new Error('No valid IPs found in Tor list');
+      throw results.find((r) => r.status === 'rejected')?.reason || new Error('No valid IPs found in Tor list');
     }
 
-    // Save to localStorage
-    persistence.saveIpList(ipSet);
-    persistence.saveTimestamp(Date.now());
-
+    await persistence.save(ipSet, Date.now());
     return ipSet;
   } catch (e) {
     clearTimeout(timeoutId);
@@ -153,14 +200,16 @@ async function getTorExitNodes(forceUpdate = false) {
     return cachedIpList;
   }
 
-  // Check localStorage cache
-  const storedTimestamp = persistence.getTimestamp();
-  const isExpired = Date.now() - storedTimestamp > CACHE_TTL;
+  // Check IndexedDB cache
+  const stored = await persistence.load();
+  const isExpired = Date.now() - stored.timestamp > CACHE_TTL;
 
-  let ipList = persistence.getIpList();
+  let ipList = stored.ipList;
 
   if (ipList.size === 0 || isExpired || forceUpdate) {
-    ipList = await fetchTorExitNodes();
+    const fetched = await fetchTorExitNodes();
+    // Offline: an expired list beats none
+    if (fetched.size > 0) ipList = fetched;
   }
 
   // Update memory cache
@@ -187,6 +236,7 @@ export async function isUsingTor() {
     isTor: torNodes.has(userIp),
     ip: userIp,
     nodeCount: torNodes.size,
+    ipv6Count: [...torNodes].filter((ip) => ip.includes(':')).length,
   };
 }
 
@@ -198,8 +248,12 @@ export async function collectTorData() {
   const { detectIncognito } = await import('detectincognitojs');
   const { collectPrivacySignals, detectVPNProxy, calculatePrivacyScore } = await import('./signals.js');
   
-  const [torResult, incognitoResult, signalsData, vpnResult] = await Promise.all([
+  const [torResult, torBrowser, incognitoResult, signalsData, vpnResult] = await Promise.all([
     isUsingTor(),
+    detectTorBrowser().catch((e) => {
+      console.warn('Tor Browser detection failed:', e);
+      return null;
+    }),
     detectIncognito().catch(() => ({ isPrivate: false, browserName: 'Unknown' })),
     collectPrivacySignals().catch(() => ({})),
     detectVPNProxy().catch(() => ({ isVPN: false, error: true })),
@@ -215,7 +269,7 @@ export async function collectTorData() {
     gpcDisabled: navigator.globalPrivacyControl === false,
     storagePartitioned: signalsData['Storage Partitioning']?.value?.includes('Partitioned'),
     vpnDetected: vpnResult.isVPN === true,
-    torDetected: torResult.isTor === true,
+    torDetected: torResult.isTor === true || torBrowser?.verdict === 'likely',
     privateBrowsing: incognitoResult.isPrivate === true,
     dntEnabled: dnt === '1' || dnt === 'yes',
     dntDisabled: dnt === '0' || dnt === 'no',
@@ -230,6 +284,7 @@ export async function collectTorData() {
   // Privacy Score (FIRST in display)
   data['Privacy Score'] = { 
     value: `${scoreResult.score}/100`, 
+    raw: scoreResult.score,
     warning: scoreResult.score < 50,
     action: 'enhance',
     actionLabel: 'How to Enhance?'
@@ -246,6 +301,7 @@ export async function collectTorData() {
       .join(' | ');
     data['Score Breakdown'] = { 
       value: breakdownStr,
+      raw: scoreResult.breakdown,
       action: 'scoring',
       actionLabel: 'Info'
     };
@@ -277,9 +333,28 @@ export async function collectTorData() {
   if (torResult.error) {
     data['Tor Network'] = { value: 'Failed (IP Unknown)', warning: true };
   } else if (torResult.isTor) {
-    data['Tor Network'] = { value: 'DETECTED - Using Tor Exit Node', warning: true };
+    data['Tor Network'] = { value: 'DETECTED - Using Tor Exit Node', raw: true, warning: true };
+  } else if (!torResult.nodeCount) {
+    data['Tor Network'] = { value: 'Unknown (Exit List Unavailable)', raw: null };
   } else {
-    data['Tor Network'] = { value: 'Not Detected' };
+    data['Tor Network'] = { value: 'Not Detected', raw: false };
+  }
+
+  // Tor Browser heuristics (work offline and behind bridges)
+  if (torBrowser) {
+    const verdicts = {
+      likely: 'Likely (Tor / Mullvad Browser)',
+      possible: 'Possible (resistFingerprinting Signals)',
+      unlikely: 'Not Detected',
+    };
+    data['Tor Browser'] = {
+      value: `${verdicts[torBrowser.verdict]} - ${torBrowser.score}/${torBrowser.maxScore}`,
+      raw: torBrowser.verdict,
+      url: 'https://support.torproject.org/tbb/maximized-torbrowser-window/',
+    };
+    for (const evidence of torBrowser.evidence) {
+      data[evidence.name] = { value: `${evidence.matched ? 'Yes' : 'No'} (${evidence.detail})`, raw: evidence.matched };
+    }
   }
 
   // Merge privacy signals (without score-related data which is already at top)
@@ -287,9 +362,12 @@ export async function collectTorData() {
   delete filteredSignals['Detection Accuracy']; // Remove redundant disclaimer
   Object.assign(data, filteredSignals);
 
-  data['Exit Nodes Cached'] = { value: torResult.nodeCount || 0 };
+  data['Exit Nodes Cached'] = {
+    value: torResult.nodeCount ? `${torResult.nodeCount} (${torResult.ipv6Count} IPv6)` : 0,
+    raw: torResult.nodeCount || 0,
+  };
 
-  return data;
+  return toSignals('privacy', data);
 }
 
 export default isUsingTor;
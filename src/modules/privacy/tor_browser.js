@@ -0,0 +1,136 @@
+/**
+ * Tor Browser Detection Module
+ * Heuristics for Tor Browser itself (independent of the exit-node list, so they also work
+ * offline and behind bridges): letterboxing, the resistFingerprinting signature and the
+ * bundled font allowlist. Mullvad Browser shares most of them.
+ */
+
+import { detectFonts } from '../fingerprint/fonts';
+
+// Letterboxing rounds the content area down to these steps
+const LETTERBOX_STEP = { width: 200, height: 100 };
+// resistFingerprinting clamps timers (performance.now, Date, event timestamps) to 100 ms
+const RFP_TIMER_PRECISION = 100;
+const TIMER_SAMPLES = 5;
+// navigator.hardwareConcurrency under resistFingerprinting
+const RFP_CORES = 2;
+
+// Fonts Tor Browser bundles (Linux) or allows on every platform
+const TOR_FONTS = ['Arimo', 'Cousine', 'Tinos', 'Twemoji Mozilla', 'Noto Sans Symbols2', 'Noto Naskh Arabic'];
+// Stock fonts of each desktop OS that the allowlist hides
+const HIDDEN_FONTS = [
+  'Calibri', 'Cambria', 'Consolas', 'Candara', 'Segoe Print', // Windows
+  'Helvetica Neue', 'Menlo', 'Avenir', 'Apple Color Emoji', // macOS
+  'DejaVu Sans', 'Liberation Sans', 'Ubuntu', 'Cantarell', // Linux
+];
+
+// Weighted so that one coincidence (e.g. a UTC server, a US locale) is not enough
+const LIKELY_SCORE = 7;
+const POSSIBLE_SCORE = 4;
+
+async function sampleTimer() {
+  const samples = [];
+  for (let i = 0; i < TIMER_SAMPLES; i++) {
+    samples.push(performance.now());
+    await new Promise((resolve) => setTimeout(resolve, 7));
+  }
+  return samples;
+}
+
+function letterboxing() {
+  const { innerWidth: width, innerHeight: height } = window;
+  return {
+    name: 'Letterboxed Window',
+    weight: 2,
+    matched: width > 0 && width % LETTERBOX_STEP.width === 0 && height % LETTERBOX_STEP.height === 0,
+    detail: `${width}x${height}, steps of ${LETTERBOX_STEP.width}x${LETTERBOX_STEP.height}`,
+  };
+}
+
+function screenRounding() {
+  const { width, height, availWidth, availHeight } = window.screen;
+  // resistFingerprinting reports the content area as the screen, with no taskbar or scaling
+  const matched = width === window.innerWidth && height === window.innerHeight
+    && availWidth === width && availHeight === height && window.devicePixelRatio === 1;
+  return {
+    name: 'RFP Screen Rounding',
+    weight: 2,
+    matched,
+    detail: `screen ${width}x${height}, avail ${availWidth}x${availHeight}, DPR ${window.devicePixelRatio}`,
+  };
+}
+
+function utcTimezone() {
+  const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return {
+    name: 'RFP Timezone (UTC)',
+    weight: 1,
+    matched: (zone === 'UTC' || zone === 'Etc/UTC') && new Date().getTimezoneOffset() === 0,
+    detail: zone,
+  };
+}
+
+function englishLocale() {
+  const languages = navigator.languages || [navigator.language];
+  return {
+    name: 'RFP Locale (en-US)',
+    weight: 1,
+    matched: navigator.language === 'en-US' && languages.length === 1 && languages[0] === 'en-US'
+      && Intl.DateTimeFormat().resolvedOptions().locale === 'en-US',
+    detail: languages.join(', '),
+  };
+}
+
+function timerPrecision(samples) {
+  return {
+    name: 'RFP Timer Precision',
+    weight: 2,
+    matched: samples.every((t) => t % RFP_TIMER_PRECISION === 0),
+    detail: samples.map((t) => Math.round(t * 1000) / 1000).join(', ') + ' ms',
+  };
+}
+
+function cpuCores() {
+  return {
+    name: 'RFP CPU Cores',
+    weight: 1,
+    matched: navigator.hardwareConcurrency === RFP_CORES,
+    detail: String(navigator.hardwareConcurrency ?? 'Unknown'),
+  };
+}
+
+function fontAllowlist() {
+  const detected = detectFonts([...TOR_FONTS, ...HIDDEN_FONTS]);
+  const hidden = HIDDEN_FONTS.filter((font) => detected.includes(font));
+  const bundled = TOR_FONTS.filter((font) => detected.includes(font));
+  return {
+    name: 'Tor Font Allowlist',
+    weight: 2,
+    // Every OS ships some of HIDDEN_FONTS; finding none while font detection works means an allowlist
+    matched: hidden.length === 0 && bundled.length > 0,
+    detail: hidden.length > 0 ? `System fonts visible: ${hidden.join(', ')}` : `Bundled fonts: ${bundled.join(', ') || 'none'}`,
+  };
+}
+
+/**
+ * Collects the Tor Browser evidence
+ * @returns {Promise<{ verdict: 'likely'|'possible'|'unlikely', score: number, maxScore: number, evidence: Object[] }>}
+ *   evidence items are { name, weight, matched, detail }
+ */
+export async function detectTorBrowser() {
+  const evidence = [letterboxing(), screenRounding(), utcTimezone(), englishLocale(), cpuCores()];
+  try {
+    evidence.push(fontAllowlist());
+  } catch (e) {
+    console.warn('Tor font allowlist check failed:', e);
+  }
+  evidence.push(timerPrecision(await sampleTimer()));
+
+  const score = evidence.filter((e) => e.matched).reduce((sum, e) => sum + e.weight, 0);
+  const maxScore = evidence.reduce((sum, e) => sum + e.weight, 0);
+  let verdict = 'unlikely';
+  if (score >= LIKELY_SCORE) verdict = 'likely';
+  else if (score >= POSSIBLE_SCORE) verdict = 'possible';
+
+  return { verdict, score, maxScore, evidence };
+}
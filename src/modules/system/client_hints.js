@@ -1,36 +1,46 @@
 /**
  * Advanced Client Hints Module
- * Enhanced with entropy assessment, privacy detection, and comprehensive OS mapping
+ * Enhanced with entropy measurement (bits), privacy detection, and comprehensive OS mapping
  */
 
+import { toSignals } from '../../core/signal';
+import { measure, formatBits } from '../../core/entropy';
+
 export async function collectClientHints() {
   const clientHintsUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/User-Agent_Client_Hints_API';
   
   if (!navigator.userAgentData) {
     const legacyArch = navigator.platform || 'Unknown';
-    return {
+    return toSignals('client_hints', {
       'Client Hints API': { value: 'Not Supported (Firefox/Safari)', warning: true, url: clientHintsUrl },
       'User Agent': { value: navigator.userAgent, url: 'https://developer.mozilla.org/en-US/docs/Web/API/Navigator/userAgent' },
       'CPU Architecture': { value: legacyArch + ' (Legacy)', url: 'https://developer.mozilla.org/en-US/docs/Web/API/Navigator/platform' },
-      'Entropy Level': { value: 'Legacy Only', warning: true, url: clientHintsUrl },
-    };
+      'Client Hints Entropy': { value: 'N/A (Legacy User-Agent Only)', warning: true, url: clientHintsUrl },
+    });
   }
 
   const data = {};
-  let entropyScore = 0;
   const uaDataUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/NavigatorUAData';
 
   // Low entropy values (always available)
+  const lowEntropy = measure({
+    mobile: navigator.userAgentData.mobile,
+    browser_brand: primaryBrand(navigator.userAgentData.brands),
+  });
+
   data['Mobile Device'] = { 
       value: navigator.userAgentData.mobile ? 'Yes' : 'No', 
+      raw: navigator.userAgentData.mobile,
+      entropy: lowEntropy.bits.mobile,
       url: 'https://developer.mozilla.org/en-US/docs/Web/API/NavigatorUAData/mobile' 
   };
   
   data['Browser Brands'] = { 
       value: navigator.userAgentData.brands.map((b) => `${b.brand} v${b.version}`).join(', '), 
+      raw: navigator.userAgentData.brands,
+      entropy: lowEntropy.bits.browser_brand,
       url: 'https://developer.mozilla.org/en-US/docs/Web/API/NavigatorUAData/brands' 
   };
-  entropyScore += 2;
 
   try {
     // Request all available high entropy values
@@ -47,11 +57,17 @@ export async function collectClientHints() {
       'wow64',
     ]);
 
+    const highEntropy = measure({
+      platform: hints.platform || 'Unknown',
+      architecture: hints.architecture || '',
+      bitness: hints.bitness || '',
+      model: hints.model || '',
+      form_factors: hints.formFactors && hints.formFactors.length > 0 ? hints.formFactors[0] : '',
+    });
+
     // Platform info
-    data['Platform'] = { value: hints.platform || 'Unknown', url: 'https://developer.mozilla.org/en-US/docs/Web/API/NavigatorUAData/platform' };
-    data['Platform Version'] = { value: hints.platformVersion || 'Unknown', url: uaDataUrl };
-    entropyScore += hints.platform ? 10 : 0;
-    entropyScore += hints.platformVersion ? 15 : 0;
+    data['Platform'] = { value: hints.platform || 'Unknown', raw: hints.platform ?? null, entropy: highEntropy.bits.platform, url: 'https://developer.mozilla.org/en-US/docs/Web/API/NavigatorUAData/platform' };
+    data['Platform Version'] = { value: hints.platformVersion || 'Unknown', raw: hints.platformVersion ?? null, url: uaDataUrl };
 
     // Architecture info
     let arch = hints.architecture || (navigator.platform ? navigator.platform + ' (Legacy)' : 'Unknown');
@@ -65,53 +81,48 @@ export async function collectClientHints() {
       arch = 'amd64';
     }
 
-    data['CPU Architecture'] = { value: arch, url: uaDataUrl };
-    data['Bitness'] = { value: hints.bitness ? hints.bitness + '-bit' : 'Unknown', url: uaDataUrl };
+    data['CPU Architecture'] = { value: arch, raw: hints.architecture ?? null, entropy: highEntropy.bits.architecture, url: uaDataUrl };
+    data['Bitness'] = { value: hints.bitness ? hints.bitness + '-bit' : 'Unknown', entropy: highEntropy.bits.bitness, url: uaDataUrl };
     data['WoW64'] = { value: hints.wow64 ? 'Yes (32-bit on 64-bit)' : 'No', url: uaDataUrl };
-    entropyScore += hints.architecture ? 10 : 0;
-    entropyScore += hints.bitness ? 5 : 0;
-    entropyScore += hints.bitness ? 5 : 0;
 
     // Device info
-    data['Device Model'] = { value: hints.model || 'Not Reported (Desktop)', url: uaDataUrl };
-    entropyScore += hints.model ? 20 : 0;
+    data['Device Model'] = { value: hints.model || 'Not Reported (Desktop)', entropy: highEntropy.bits.model, url: uaDataUrl };
 
     // Form Factors (Chrome 110+)
     if (hints.formFactors && hints.formFactors.length > 0) {
-      data['Form Factors'] = { value: hints.formFactors.join(', '), url: uaDataUrl };
-      entropyScore += 10;
+      data['Form Factors'] = { value: hints.formFactors.join(', '), entropy: highEntropy.bits.form_factors, url: uaDataUrl };
     }
 
     // Full version info
     if (hints.fullVersionList) {
       data['Full Browser Key'] = { 
           value: hints.fullVersionList.map((v) => `${v.brand} v${v.version}`).join(', '),
+          raw: hints.fullVersionList,
           url: uaDataUrl
       };
-      entropyScore += 15;
     }
 
     // OS Version interpretation logic can be added here if needed, but raw values are often honest enough for "What You Reveal"
     
-    // Entropy Level Assessment
-    let entropyValue = 'Low (Limited Tracking)';
-    let warning = false;
-    
-    if (entropyScore >= 70) {
-      entropyValue = 'High (Highly Identifiable)';
-      warning = true;
-    } else if (entropyScore >= 40) {
-      entropyValue = 'Medium (Moderately Identifiable)';
-      warning = true;
-    }
-
-    data['Entropy Score'] = { value: `${entropyScore}/100`, warning: warning, url: clientHintsUrl };
-    data['Entropy Level'] = { value: entropyValue, warning: warning, url: clientHintsUrl };
+    // Total information content of the exposed hints
+    const total = lowEntropy.total + highEntropy.total;
+    data['Client Hints Entropy'] = { value: formatBits(total), raw: total, entropy: total, warning: total >= 5, url: clientHintsUrl };
 
   } catch (e) {
     data['High Entropy Access'] = { value: 'Denied by User/Policy', warning: true, url: clientHintsUrl };
-    data['Entropy Level'] = { value: 'Blocked (Privacy Protected)', url: clientHintsUrl };
+    data['Client Hints Entropy'] = { value: formatBits(lowEntropy.total) + ' (High Entropy Blocked)', raw: lowEntropy.total, entropy: lowEntropy.total, url: clientHintsUrl };
   }
 
-  return data;
+  return toSignals('client_hints', data);
+}
+
+/**
+ * Picks the real browser brand, skipping GREASE ("Not A;Brand") and Chromium entries
+ * @param {Array<{brand: string}>} brands
+ * @returns {string}
+ */
+function primaryBrand(brands) {
+  const real = (brands || []).filter((b) => !/not.?a.?brand/i.test(b.brand));
+  const named = real.find((b) => b.brand !== 'Chromium');
+  return named ? named.brand : (real[0] ? real[0].brand : 'Unknown');
 }
@@ -2,20 +2,22 @@
  * Clipboard access / permission module
  */
 
+import { toSignals } from '../../core/signal';
+
 function formatPermission(state) {
   if (state === 'granted') {
-    return { value: 'GRANTED', warning: true }; // Dangerous!
+    return { value: 'GRANTED', raw: state, warning: true }; // Dangerous!
   } else if (state === 'prompt') {
-    return 'Prompt (Safe)';
+    return { value: 'Prompt (Safe)', raw: state };
   } else if (state === 'denied') {
-    return 'Denied (Safe)';
+    return { value: 'Denied (Safe)', raw: state };
   }
-  return state;
+  return { value: state, raw: state };
 }
 
 /**
  * Checks if the browser allows clipboard access without interaction
- * @returns {Promise<Object>} Clipboard capabilities
+ * @returns {Promise<Object<string, import('../../core/signal').Signal>>} Clipboard capabilities
  */
 export async function collectClipboardData() {
   const clipData = {};
@@ -25,24 +27,14 @@ export async function collectClipboardData() {
       const readPerm = await navigator.permissions.query({ name: 'clipboard-read' });
       const writePerm = await navigator.permissions.query({ name: 'clipboard-write' });
 
-      clipData['Read Permission'] = { 
-        value: formatPermission(readPerm.state), 
+      clipData['Read Permission'] = {
+        ...formatPermission(readPerm.state),
         url: 'https://developer.mozilla.org/en-US/docs/Web/API/Clipboard/read'
       };
-      
-      // Handle the object returned by formatPermission if needed (it returns string or object)
-      // Actually formatPermission returns object for 'granted', string for others. 
-      // We need to normalize this.
-      const readVal = formatPermission(readPerm.state);
-      clipData['Read Permission'] = typeof readVal === 'object' 
-        ? { ...readVal, url: 'https://developer.mozilla.org/en-US/docs/Web/API/Clipboard/read' }
-        : { value: readVal, url: 'https://developer.mozilla.org/en-US/docs/Web/API/Clipboard/read' };
-
-      const writeVal = formatPermission(writePerm.state);
-      clipData['Write Permission'] = typeof writeVal === 'object'
-        ? { ...writeVal, url: 'https://developer.mozilla.org/en-US/docs/Web/API/Clipboard/write' }
-        : { value: writeVal, url: 'https://developer.mozilla.org/en-US/docs/Web/API/Clipboard/write' };
-        
+      clipData['Write Permission'] = {
+        ...formatPermission(writePerm.state),
+        url: 'https://developer.mozilla.org/en-US/docs/Web/API/Clipboard/write'
+      };
     } catch (e) {
       clipData['Permissions API'] = { 
         value: 'Not Supported / Error',
@@ -69,5 +61,5 @@ export async function collectClipboardData() {
     };
   }
 
-  return clipData;
+  return toSignals('clipboard', clipData);
 }
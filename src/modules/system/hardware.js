@@ -3,6 +3,8 @@
  * Enhanced with Gamepad API, GPU memory estimation, and more sensors
  */
 
+import { toSignals } from '../../core/signal';
+
 /**
  * Estimates GPU memory and capabilities using WebGL
  * @returns {Object} GPU data object
@@ -270,7 +272,7 @@ function inferDeviceClass() {
 
 /**
  * Collects hardware, battery, memory, and sensor information
- * @returns {Promise<Object>} Hardware data object
+ * @returns {Promise<Object<string, import('../../core/signal').Signal>>} Hardware signals
  */
 export async function collectHardwareData() {
   const hardwareData = {};
@@ -282,10 +284,12 @@ export async function collectHardwareData() {
   // Core hardware
   hardwareData['CPU Cores (Logical)'] = {
       value: navigator.hardwareConcurrency || 'Unknown',
+      raw: navigator.hardwareConcurrency ?? null,
       url: 'https://developer.mozilla.org/en-US/docs/Web/API/Navigator/hardwareConcurrency'
   };
   hardwareData['Device Memory'] = {
       value: 'deviceMemory' in navigator ? navigator.deviceMemory + ' GB (Bucketed)' : 'Not Exposed',
+      raw: navigator.deviceMemory ?? null,
       url: 'https://developer.mozilla.org/en-US/docs/Web/API/Navigator/deviceMemory'
   };
   hardwareData['Touch Points'] = {
@@ -482,5 +486,5 @@ export async function collectHardwareData() {
   hardwareData['Magnetometer API'] = { value: 'Magnetometer' in window ? 'Supported' : 'Not Supported', url: sensorUrl };
   hardwareData['Ambient Light Sensor'] = { value: 'AmbientLightSensor' in window ? 'Supported' : 'Not Supported', url: sensorUrl };
 
-  return hardwareData;
+  return toSignals('hardware', hardwareData);
 }
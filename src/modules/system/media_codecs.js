@@ -3,9 +3,11 @@
  * Checks support for various audio and video codecs
  */
 
+import { toSignals } from '../../core/signal';
+
 /**
  * Checks support for media types
- * @returns {Object} Media codec support data
+ * @returns {Promise<Object<string, import('../../core/signal').Signal>>} Media codec signals
  */
 export async function collectMediaCodecs() {
   const audio = document.createElement('audio');
@@ -39,6 +41,7 @@ export async function collectMediaCodecs() {
     if (canPlay !== '') {
       supported[name] = { 
           value: canPlay === 'probably' ? 'Supported (Probable)' : 'Supported (Maybe)',
+          raw: canPlay,
           url: canPlayTypeUrl
       };
     }
@@ -50,6 +53,7 @@ export async function collectMediaCodecs() {
     if (canPlay !== '') {
       supported[name] = { 
           value: canPlay === 'probably' ? 'Supported (Probable)' : 'Supported (Maybe)',
+          raw: canPlay,
           url: canPlayTypeUrl
       };
     }
@@ -113,5 +117,5 @@ export async function collectMediaCodecs() {
       url: 'https://developer.mozilla.org/en-US/docs/Web/API/AudioDecoder'
   };
   
-  return supported;
+  return toSignals('media_codecs', supported);
 }
@@ -3,11 +3,13 @@
  * Counts input/output devices without requesting access (unless granted)
  */
 
+import { toSignals } from '../../core/signal';
+
 export async function collectMediaDevices() {
   const mediaDevicesUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/MediaDevices/enumerateDevices';
 
   if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
-    return { 'Media Devices API': { value: 'Not Supported', url: 'https://developer.mozilla.org/en-US/docs/Web/API/MediaDevices' } };
+    return toSignals('media_devices', { 'Media Devices API': { value: 'Not Supported', url: 'https://developer.mozilla.org/en-US/docs/Web/API/MediaDevices' } });
   }
 
   try {
@@ -55,13 +57,13 @@ export async function collectMediaDevices() {
 
     // If we have labels (permission granted), show them
     if (labels.length > 0) {
-      data['Device Labels'] = { value: labels.join('\n'), warning: false, url: 'https://developer.mozilla.org/en-US/docs/Web/API/MediaDeviceInfo/label' };
+      data['Device Labels'] = { value: labels.join('\n'), raw: labels, warning: false, url: 'https://developer.mozilla.org/en-US/docs/Web/API/MediaDeviceInfo/label' };
     } else {
-      data['Device Labels'] = { value: 'Hidden (Permission required)', warning: true, url: 'https://developer.mozilla.org/en-US/docs/Web/API/MediaDeviceInfo/label' };
+      data['Device Labels'] = { value: 'Hidden (Permission required)', raw: [], warning: true, url: 'https://developer.mozilla.org/en-US/docs/Web/API/MediaDeviceInfo/label' };
     }
 
-    return data;
+    return toSignals('media_devices', data);
   } catch (e) {
-    return { Error: { value: 'Failed to enumerate devices', warning: true } };
+    return toSignals('media_devices', { Error: { value: 'Failed to enumerate devices', warning: true } });
   }
 }
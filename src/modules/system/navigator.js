@@ -3,6 +3,8 @@
  * Enhanced with MDN Resource Links
  */
 
+import { toSignals } from '../../core/signal';
+
 export async function collectNavigatorData() {
   const nav = navigator;
   const data = {};
@@ -12,12 +14,18 @@ export async function collectNavigatorData() {
       value: nav.userAgent, 
       url: 'https://developer.mozilla.org/en-US/docs/Web/API/Navigator/userAgent' 
   };
+  data['Platform (Legacy)'] = {
+      value: nav.platform || 'Empty',
+      raw: nav.platform ?? null,
+      url: 'https://developer.mozilla.org/en-US/docs/Web/API/Navigator/platform'
+  };
   data['Language'] = { 
     value: nav.language, 
     url: 'https://developer.mozilla.org/en-US/docs/Web/API/Navigator/language' 
   };
   data['Languages'] = { 
     value:  nav.languages ? nav.languages.join(', ') : 'N/A', 
+    raw: nav.languages ? [...nav.languages] : [],
     url: 'https://developer.mozilla.org/en-US/docs/Web/API/Navigator/languages' 
   };
   data['Cookies Enabled'] = { 
@@ -130,5 +138,5 @@ export async function collectNavigatorData() {
   };
 
 
-  return data;
+  return toSignals('navigator', data);
 }
@@ -3,15 +3,17 @@
  * Checks status of various browser permissions
  */
 
+import { toSignals } from '../../core/signal';
+
 /**
  * Collects permission states
- * @returns {Promise<Object>} Permissions data object
+ * @returns {Promise<Object<string, import('../../core/signal').Signal>>} Permission signals
  */
 export async function collectPermissionsData() {
   const permUrl = 'https://developer.mozilla.org/en-US/docs/Web/API/Permissions_API';
 
   if (!navigator.permissions || !navigator.permissions.query) {
-    return { 'Permissions API': { value: 'Not Supported / Blocked', url: permUrl } };
+    return toSignals('permissions', { 'Permissions API': { value: 'Not Supported / Blocked', url: permUrl } });
   }
 
   const permissionsList = [
@@ -66,6 +68,7 @@ export async function collectPermissionsData() {
       return { 
           name: perm.name, 
           state: state,
+          raw: result.state,
           url: perm.url
       };
     } catch (e) {
@@ -74,6 +77,7 @@ export async function collectPermissionsData() {
       return { 
           name: perm.name, 
           state: 'Unsupported/Protected',
+          raw: null,
           url: perm.url,
           warning: true 
       };
@@ -84,17 +88,18 @@ export async function collectPermissionsData() {
 
   results.forEach((result) => {
     if (result.status === 'fulfilled') {
-      const { name, state, url, warning } = result.value;
+      const { name, state, raw, url, warning } = result.value;
       // Format key name to be title case and readable
       const key = name.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
       
       permData[key] = {
           value: state,
+          raw,
           url: url,
           warning: warning || state === 'Denied' // Highlight denied permissions as warning if significant
       };
     }
   });
 
-  return permData;
+  return toSignals('permissions', permData);
 }
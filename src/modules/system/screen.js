@@ -3,9 +3,11 @@
  * Enhanced with multi-monitor detection, HDR support, and taskbar inference
  */
 
+import { toSignals } from '../../core/signal';
+
 /**
  * Collects screen and display information
- * @returns {Object} Screen data object
+ * @returns {Promise<Object<string, import('../../core/signal').Signal>>} Screen signals
  */
 export async function collectScreenData() {
   const dpr = window.devicePixelRatio || 1;
@@ -16,20 +18,24 @@ export async function collectScreenData() {
     // Screen Dimensions
     'Screen Width (CSS)': { 
         value: screen.width + 'px', 
+        raw: screen.width,
         url: 'https://developer.mozilla.org/en-US/docs/Web/API/Screen/width' 
     },
     'Screen Height (CSS)': { 
         value: screen.height + 'px', 
+        raw: screen.height,
         url: 'https://developer.mozilla.org/en-US/docs/Web/API/Screen/height' 
     },
-    'Physical Width (Est.)': Math.round(screen.width * dpr) + 'px',
-    'Physical Height (Est.)': Math.round(screen.height * dpr) + 'px',
+    'Physical Width (Est.)': { value: Math.round(screen.width * dpr) + 'px', raw: Math.round(screen.width * dpr) },
+    'Physical Height (Est.)': { value: Math.round(screen.height * dpr) + 'px', raw: Math.round(screen.height * dpr) },
     'Available Width': { 
         value: screen.availWidth + 'px', 
+        raw: screen.availWidth,
         url: 'https://developer.mozilla.org/en-US/docs/Web/API/Screen/availWidth' 
     },
     'Available Height': { 
         value: screen.availHeight + 'px', 
+        raw: screen.availHeight,
         url: 'https://developer.mozilla.org/en-US/docs/Web/API/Screen/availHeight' 
     },
     'Device Pixel Ratio': { 
@@ -40,20 +46,24 @@ export async function collectScreenData() {
     // Window Dimensions
     'Window Inner Size': { 
         value: window.innerWidth + ' x ' + window.innerHeight + 'px', 
+        raw: [window.innerWidth, window.innerHeight],
         url: 'https://developer.mozilla.org/en-US/docs/Web/API/Window/innerWidth' 
     },
     'Window Outer Size': { 
         value: window.outerWidth + ' x ' + window.outerHeight + 'px', 
+        raw: [window.outerWidth, window.outerHeight],
         url: 'https://developer.mozilla.org/en-US/docs/Web/API/Window/outerWidth' 
     },
 
     // Color Information
     'Color Depth': { 
         value: screen.colorDepth + ' bits', 
+        raw: screen.colorDepth,
         url: 'https://developer.mozilla.org/en-US/docs/Web/API/Screen/colorDepth' 
     },
     'Pixel Depth': { 
         value: screen.pixelDepth + ' bits', 
+        raw: screen.pixelDepth,
         url: 'https://developer.mozilla.org/en-US/docs/Web/API/Screen/pixelDepth' 
     },
   };
@@ -73,15 +83,11 @@ export async function collectScreenData() {
   // Multi-monitor detection
   if ('isExtended' in screen) {
     screenData['Multi-Monitor'] = {
-        value: screen.isExtended ? { value: 'Yes (Extended Display)', warning: true } : 'No',
+        value: screen.isExtended ? 'Yes (Extended Display)' : 'No',
+        raw: screen.isExtended,
+        warning: screen.isExtended,
         url: 'https://developer.mozilla.org/en-US/docs/Web/API/Screen/isExtended'
     };
-    // Normalize if it's an object with warning
-    if (typeof screenData['Multi-Monitor'].value === 'object') {
-        // screenData['Multi-Monitor'] needs to be { value: '...', warning: true, url: '...' }
-        const inner = screenData['Multi-Monitor'].value;
-        screenData['Multi-Monitor'] = { ...inner, url: 'https://developer.mozilla.org/en-US/docs/Web/API/Screen/isExtended' };
-    }
   }
 
   // Taskbar position inference
@@ -222,5 +228,5 @@ export async function collectScreenData() {
     };
   }
 
-  return screenData;
+  return toSignals('screen', screenData);
 }
@@ -0,0 +1,70 @@
+/**
+ * Report Store
+ * Central reactive store every collector writes into; cards and TheHeader's export read from it
+ */
+
+import { reactive } from 'vue';
+import { createReport, applyResult } from '../core/report';
+
+// `replay` is set while showing an imported report instead of live results
+export const reportStore = reactive({ ...createReport([]), replay: null });
+
+/**
+ * Starts a fresh report for the given collectors
+ * @param {Object[]} collectors
+ */
+export function resetReport(collectors) {
+  Object.assign(reportStore, createReport(collectors), { replay: null });
+}
+
+/**
+ * Replaces the live report with an imported one (see fromReportDocument)
+ * @param {Object} report - Report state
+ * @param {string} [fileName] - Source file, shown in the replay banner
+ */
+export function loadReplay(report, fileName = null) {
+  Object.assign(reportStore, report, {
+    replay: { generated: report.meta.generated, userAgent: report.meta.userAgent, fileName },
+  });
+}
+
+/**
+ * Marks a collector as running (cards show elapsed time from startedAt)
+ * Signals from a previous run stay visible until the new result arrives
+ * @param {string} id
+ */
+export function markRunning(id) {
+  const mod = reportStore.modules[id];
+  if (!mod) return;
+  mod.status = 'running';
+  mod.startedAt = new Date().toISOString();
+  mod.duration = null;
+  mod.error = null;
+}
+
+/**
+ * Stores intermediate (streaming) signals for a collector
+ * @param {string} id
+ * @param {Object} signals
+ */
+export function updateSignals(id, signals) {
+  const mod = reportStore.modules[id];
+  if (mod) mod.signals = signals;
+}
+
+/**
+ * Stores a settled collector result
+ * @param {Object} result - Result from runCollectors()
+ */
+export function recordResult(result) {
+  applyResult(reportStore, result);
+}
+
+/**
+ * Records total run time once every collector has settled
+ * @param {number} duration - Milliseconds
+ */
+export function finishReport(duration) {
+  reportStore.meta.duration = duration;
+}
+
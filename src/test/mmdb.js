@@ -0,0 +1,91 @@
+/**
+ * Minimal MMDB writer for test fixtures (https://maxmind.github.io/MaxMind-DB/)
+ */
+
+import { parseIP } from '../utils/ip';
+
+function control(type, size) {
+  // Sizes from 29 to 284 take one extra byte
+  const [field, extra] = size < 29 ? [size, []] : [29, [size - 29]];
+  return type <= 7 ? [(type << 5) | field, ...extra] : [field, type - 7, ...extra];
+}
+
+function unsigned(n, length) {
+  return Array.from({ length }, (_, i) => Math.floor(n / 256 ** (length - 1 - i)) % 256);
+}
+
+function encode(value) {
+  if (value && value.pointer !== undefined) return [(1 << 5) | (value.pointer >> 8), value.pointer & 0xff];
+  if (typeof value === 'string') {
+    const bytes = [...new TextEncoder().encode(value)];
+    return [...control(2, bytes.length), ...bytes];
+  }
+  if (typeof value === 'boolean') return control(14, value ? 1 : 0);
+  if (typeof value === 'number' && !Number.isInteger(value)) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value);
+    return [...control(3, 8), ...new Uint8Array(view.buffer)];
+  }
+  if (typeof value === 'number') {
+    const length = value === 0 ? 0 : Math.ceil(Math.log2(value + 1) / 8);
+    return [...control(value <= 0xffff ? 5 : 6, length), ...unsigned(value, length)];
+  }
+  if (Array.isArray(value)) return [...control(11, value.length), ...value.flatMap(encode)];
+  const entries = Object.entries(value);
+  return [...control(7, entries.length), ...entries.flatMap(([k, v]) => [...encode(k), ...encode(v)])];
+}
+
+function record(value, recordSize) {
+  return unsigned(value, recordSize / 8);
+}
+
+function node([left, right], recordSize) {
+  if (recordSize !== 28) return [...record(left, recordSize), ...record(right, recordSize)];
+  const l = unsigned(left % 2 ** 24, 3);
+  const r = unsigned(right % 2 ** 24, 3);
+  return [...l, ((Math.floor(left / 2 ** 24) & 0xf) << 4) | (Math.floor(right / 2 ** 24) & 0xf), ...r];
+}
+
+/**
+ * @param {Object} options
+ * @param {4|6} options.ipVersion
+ * @param {24|28|32} options.recordSize
+ * @param {Array<[string, *]>} options.networks - [cidr, value]; IPv4 networks go under ::/96 in IPv6 trees
+ * @param {Array<*>} [options.shared] - Values placed first in the data section (for pointers)
+ * @returns {ArrayBuffer} Whole .mmdb file
+ */
+export function buildMMDB({ ipVersion, recordSize, networks, shared = [] }) {
+  const nodes = [[null, null]];
+  const data = shared.flatMap(encode);
+  const leaves = [];
+
+  for (const [cidr, value] of networks) {
+    const [address, length] = cidr.split('/');
+    const parsed = parseIP(address);
+    let bits = Array.from({ length: Number(length) }, (_, i) => (parsed.bytes[i >> 3] >> (7 - (i & 7))) & 1);
+    if (ipVersion === 6 && parsed.version === 4) bits = [...Array(96).fill(0), ...bits];
+
+    let current = 0;
+    bits.forEach((bit, i) => {
+      if (i === bits.length - 1) {
+        leaves.push({ node: current, bit, offset: data.length });
+        data.push(...encode(value));
+        return;
+      }
+      if (nodes[current][bit] === null) {
+        nodes.push([null, null]);
+        nodes[current][bit] = nodes.length - 1;
+      }
+      current = nodes[current][bit];
+    });
+  }
+
+  const nodeCount = nodes.length;
+  const records = nodes.map((children) => children.map((child) => (child === null ? nodeCount : child)));
+  for (const leaf of leaves) records[leaf.node][leaf.bit] = nodeCount + 16 + leaf.offset;
+
+  const metadata = encode({ node_count: nodeCount, record_size: recordSize, ip_version: ipVersion, database_type: 'Test' });
+  const marker = [0xab, 0xcd, 0xef, ...new TextEncoder().encode('MaxMind.com')];
+  const bytes = [...records.flatMap((r) => node(r, recordSize)), ...Array(16).fill(0), ...data, ...marker, ...metadata];
+  return new Uint8Array(bytes).buffer;
+}
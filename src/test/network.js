@@ -0,0 +1,39 @@
+/**
+ * Test helpers for modules that reach the network through fetch() and the shared IP lookups
+ */
+
+import { vi, beforeEach, afterEach } from 'vitest';
+import { getConfig, configure } from '../config';
+import { resetIPLookup } from '../core/geoip';
+
+/**
+ * Stubs fetch with canned answers; anything unanswered fails like an unreachable host
+ * @param {Object<string, *>|Function} answers - Body by URL, or (url) => body (undefined = fail)
+ * @returns {string[]} URLs requested so far
+ */
+export function stubFetch(answers) {
+  const requested = [];
+  vi.stubGlobal('fetch', async (url) => {
+    requested.push(url);
+    const body = typeof answers === 'function' ? answers(url) : answers[url];
+    if (body === undefined) throw new TypeError('Failed to fetch');
+    return { ok: true, json: async () => body, arrayBuffer: async () => body };
+  });
+  return requested;
+}
+
+/**
+ * Gives every test in the file fresh IP lookups and the given config, restored afterwards
+ * @param {Object} overrides - Config values for the tests
+ */
+export function useNetworkConfig(overrides) {
+  const defaults = { ...getConfig() };
+  beforeEach(() => {
+    resetIPLookup();
+    configure({ ...defaults, ...overrides });
+  });
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    configure(defaults);
+  });
+}
@@ -0,0 +1,65 @@
+/**
+ * IndexedDB Utilities
+ * Minimal promise wrapper around the IndexedDB API
+ */
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} Request result
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens (and if needed creates/upgrades) a database
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - Called with (db, oldVersion) during upgrades
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase(name, version, upgrade) {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB not available'));
+  }
+  const request = indexedDB.open(name, version);
+  request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+  return promisifyRequest(request);
+}
+
+/**
+ * Runs fn inside a transaction and resolves once it commits
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - Called with the object store; may return a request or value
+ * @returns {Promise<*>} Result of fn (request results are unwrapped)
+ */
+export function withStore(db, storeName, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const store = tx.objectStore(storeName);
+    let result = fn(store);
+    if (result && typeof result === 'object' && 'onsuccess' in result) {
+      const request = result;
+      request.onsuccess = () => { result = request.result; };
+    }
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Deletes a database
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+export function deleteDatabase(name) {
+  if (typeof indexedDB === 'undefined') return Promise.resolve();
+  return promisifyRequest(indexedDB.deleteDatabase(name)).then(() => undefined);
+}
@@ -0,0 +1,175 @@
+/**
+ * IP Address Utilities
+ * Parsing, canonical formatting and classification of IPv4/IPv6 addresses and ICE candidates
+ */
+
+/**
+ * Parses an IPv4 or IPv6 address into bytes (compressed, bracketed, zone-scoped and
+ * IPv4-embedded IPv6 forms are accepted)
+ * @param {string} ip
+ * @returns {{ version: 4|6, bytes: number[] }|null} Null if the address is invalid
+ */
+export function parseIP(ip) {
+  const text = String(ip || '').trim().replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(text)) {
+    const bytes = text.split('.').map(Number);
+    return bytes.every((b) => b <= 255) ? { version: 4, bytes } : null;
+  }
+  if (!text.includes(':')) return null;
+
+  // Embedded IPv4 tail (e.g. ::ffff:1.2.3.4) becomes two hex groups
+  let normalized = text;
+  const v4 = text.match(/:(\d{1,3}(\.\d{1,3}){3})$/);
+  if (v4) {
+    const parsed = parseIP(v4[1]);
+    if (!parsed) return null;
+    const [a, b, c, d] = parsed.bytes;
+    normalized = text.slice(0, -v4[1].length) + ((a << 8) | b).toString(16) + ':' + ((c << 8) | d).toString(16);
+  }
+
+  const halves = normalized.split('::');
+  if (halves.length > 2) return null;
+  const parse = (part) => (part ? part.split(':') : []).map((group) => (/^[0-9a-f]{1,4}$/i.test(group) ? parseInt(group, 16) : NaN));
+  const left = parse(halves[0]);
+  const right = halves.length === 2 ? parse(halves[1]) : [];
+
+  const missing = 8 - left.length - right.length;
+  if (missing < 0 || (halves.length === 1 && missing !== 0)) return null;
+  const groups = [...left, ...Array(missing).fill(0), ...right];
+  if (groups.some(Number.isNaN)) return null;
+
+  return { version: 6, bytes: groups.flatMap((g) => [g >> 8, g & 0xff]) };
+}
+
+function isMappedIPv4(bytes) {
+  return bytes.slice(0, 10).every((b) => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff;
+}
+
+/**
+ * Canonical text form: dotted IPv4, RFC 5952 IPv6 (lowercase, longest zero run compressed);
+ * IPv4-mapped IPv6 (::ffff:a.b.c.d) is returned as plain IPv4
+ * @param {string} ip
+ * @returns {string|null} Null if the address is invalid
+ */
+export function normalizeIP(ip) {
+  const parsed = parseIP(ip);
+  if (!parsed) return null;
+  const { version, bytes } = parsed;
+  if (version === 4) return bytes.join('.');
+  if (isMappedIPv4(bytes)) return bytes.slice(12).join('.');
+
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) groups.push((bytes[i] << 8) | bytes[i + 1]);
+
+  // Longest run of at least two zero groups (first one wins a tie)
+  let best = { start: -1, length: 1 };
+  for (let i = 0; i < 8; i++) {
+    let j = i;
+    while (j < 8 && groups[j] === 0) j++;
+    if (j - i > best.length) best = { start: i, length: j - i };
+    i = j;
+  }
+
+  const hex = groups.map((g) => g.toString(16));
+  if (best.start < 0) return hex.join(':');
+  return `${hex.slice(0, best.start).join(':')}::${hex.slice(best.start + best.length).join(':')}`;
+}
+
+/**
+ * Canonical text form of raw address bytes (4 = IPv4, 16 = IPv6)
+ * @param {ArrayLike<number>} bytes
+ * @returns {string|null}
+ */
+export function formatIP(bytes) {
+  if (bytes.length === 4) return Array.from(bytes).join('.');
+  if (bytes.length !== 16) return null;
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+  return normalizeIP(groups.join(':'));
+}
+
+/**
+ * Network prefix of an address, for comparing addresses that share a network (e.g. /64 for IPv6
+ * privacy addresses)
+ * @param {string} ip
+ * @param {number} bits - Prefix length; a multiple of 8
+ * @returns {string|null} Null if the address is invalid
+ */
+export function ipPrefix(ip, bits) {
+  const parsed = parseIP(ip);
+  return parsed ? `${parsed.version}/${parsed.bytes.slice(0, bits / 8).join('.')}` : null;
+}
+
+/**
+ * IPv4 address carried inside a 6to4 (2002::/16) or Teredo (2001::/32) IPv6 address
+ * @param {string} ip
+ * @returns {string|null}
+ */
+export function embeddedIPv4(ip) {
+  const parsed = parseIP(ip);
+  if (!parsed || parsed.version !== 6) return null;
+  const b = parsed.bytes;
+  if (b[0] === 0x20 && b[1] === 0x02) return b.slice(2, 6).join('.');
+  // Teredo stores the client's public IPv4 with every bit inverted
+  if (b[0] === 0x20 && b[1] === 0x01 && b[2] === 0 && b[3] === 0) return b.slice(12).map((x) => x ^ 0xff).join('.');
+  return null;
+}
+
+/**
+ * Address scope
+ * @param {string} ip - Address or mDNS host name
+ * @returns {'mdns'|'loopback'|'private'|'cgnat'|'link-local'|'ula'|'teredo'|'6to4'|'unspecified'|'public'|'invalid'}
+ */
+export function classifyIP(ip) {
+  if (/\.local\.?$/i.test(String(ip || ''))) return 'mdns';
+  const parsed = parseIP(ip);
+  if (!parsed) return 'invalid';
+  const b = parsed.version === 6 && isMappedIPv4(parsed.bytes) ? parsed.bytes.slice(12) : parsed.bytes;
+
+  if (b.length === 4) {
+    if (b[0] === 127) return 'loopback';
+    if (b[0] === 10 || (b[0] === 172 && b[1] >= 16 && b[1] <= 31) || (b[0] === 192 && b[1] === 168)) return 'private';
+    if (b[0] === 100 && b[1] >= 64 && b[1] <= 127) return 'cgnat';
+    if (b[0] === 169 && b[1] === 254) return 'link-local';
+    if (b[0] === 0) return 'unspecified';
+    return 'public';
+  }
+
+  if (b.every((x) => x === 0)) return 'unspecified';
+  if (b.slice(0, 15).every((x) => x === 0) && b[15] === 1) return 'loopback';
+  if (b[0] === 0xfe && (b[1] & 0xc0) === 0x80) return 'link-local';
+  if ((b[0] & 0xfe) === 0xfc) return 'ula';
+  if (b[0] === 0x20 && b[1] === 0x02) return '6to4';
+  if (b[0] === 0x20 && b[1] === 0x01 && b[2] === 0 && b[3] === 0) return 'teredo';
+  return 'public';
+}
+
+/**
+ * Parses an ICE candidate line (RFC 8839: candidate:<foundation> <component> <transport>
+ * <priority> <address> <port> typ <type> [raddr <address> rport <port>] ...)
+ * @param {string} line - RTCIceCandidate.candidate
+ * @returns {{ address: string, version: 4|6|null, scope: string, type: string, protocol: string, port: number, relatedAddress: string|null }|null}
+ */
+export function parseCandidate(line) {
+  const fields = String(line || '').trim().replace(/^a=/, '').split(/\s+/);
+  if (fields.length < 8 || !/^candidate:/.test(fields[0]) || fields[6] !== 'typ') return null;
+
+  const attribute = (name) => {
+    const at = fields.indexOf(name, 8);
+    return at > 0 ? fields[at + 1] : null;
+  };
+  const address = normalizeIP(fields[4]) || fields[4].toLowerCase();
+  const parsed = parseIP(address);
+  const related = attribute('raddr');
+
+  return {
+    address,
+    version: parsed ? parsed.version : null,
+    scope: classifyIP(address),
+    type: fields[7],
+    protocol: fields[2].toLowerCase(),
+    port: Number(fields[5]),
+    relatedAddress: related ? normalizeIP(related) || related : null,
+  };
+}
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import { parseIP, normalizeIP, formatIP, ipPrefix, embeddedIPv4, classifyIP, parseCandidate } from './ip';
+
+describe('parseIP', () => {
+  it('parses IPv4', () => {
+    expect(parseIP('192.0.2.1')).toEqual({ version: 4, bytes: [192, 0, 2, 1] });
+    expect(parseIP('256.0.0.1')).toBeNull();
+    expect(parseIP('1.2.3')).toBeNull();
+  });
+
+  it('parses compressed, bracketed, zone-scoped and IPv4-embedded IPv6', () => {
+    const loopback = { version: 6, bytes: [...Array(15).fill(0), 1] };
+    expect(parseIP('::1')).toEqual(loopback);
+    expect(parseIP('[::1]')).toEqual(loopback);
+    expect(parseIP('0:0:0:0:0:0:0:1')).toEqual(loopback);
+    expect(parseIP('fe80::1%eth0').bytes.slice(0, 2)).toEqual([0xfe, 0x80]);
+    expect(parseIP('::ffff:192.0.2.1').bytes.slice(10)).toEqual([0xff, 0xff, 192, 0, 2, 1]);
+  });
+
+  it('rejects malformed IPv6', () => {
+    for (const ip of ['1::2::3', '1:2:3:4:5:6:7', '1:2:3:4:5:6:7:8:9', '12345::', 'g::1', '::ffff:300.0.0.1', '', null]) {
+      expect(parseIP(ip)).toBeNull();
+    }
+  });
+});
+
+describe('normalizeIP', () => {
+  it('follows RFC 5952', () => {
+    expect(normalizeIP('2001:0DB8:0000:0000:0000:0000:0000:0001')).toBe('2001:db8::1');
+    // Longest zero run wins, the first one on a tie; a single zero group is not compressed
+    expect(normalizeIP('2001:db8:0:0:1:0:0:0')).toBe('2001:db8:0:0:1::');
+    expect(normalizeIP('2001:0:0:1:0:0:0:1')).toBe('2001:0:0:1::1');
+    expect(normalizeIP('2001:db8:0:0:1:0:0:1')).toBe('2001:db8::1:0:0:1');
+    expect(normalizeIP('2001:db8:0:1:1:1:1:1')).toBe('2001:db8:0:1:1:1:1:1');
+    expect(normalizeIP('::')).toBe('::');
+  });
+
+  it('returns IPv4-mapped addresses as IPv4', () => {
+    expect(normalizeIP('::ffff:c000:0201')).toBe('192.0.2.1');
+    expect(normalizeIP('::FFFF:192.0.2.1')).toBe('192.0.2.1');
+  });
+
+  it('returns null for invalid addresses', () => {
+    expect(normalizeIP('example.com')).toBeNull();
+  });
+});
+
+describe('formatIP', () => {
+  it('formats 4- and 16-byte addresses', () => {
+    expect(formatIP([192, 0, 2, 1])).toBe('192.0.2.1');
+    expect(formatIP(new Uint8Array([0x20, 0x01, 0x0d, 0xb8, ...Array(11).fill(0), 1]))).toBe('2001:db8::1');
+    expect(formatIP([1, 2, 3])).toBeNull();
+  });
+});
+
+describe('ipPrefix', () => {
+  it('matches addresses in the same network', () => {
+    expect(ipPrefix('2001:db8:1:2:aaaa::1', 64)).toBe(ipPrefix('2001:db8:1:2:bbbb::2', 64));
+    expect(ipPrefix('2001:db8:1:2::1', 64)).not.toBe(ipPrefix('2001:db8:1:3::1', 64));
+    expect(ipPrefix('2001:db8:1:2::1', 48)).toBe(ipPrefix('2001:db8:1:3::1', 48));
+  });
+
+  it('keeps IPv4 and IPv6 apart', () => {
+    expect(ipPrefix('0.0.0.0', 32)).not.toBe(ipPrefix('::', 32));
+    expect(ipPrefix('nope', 64)).toBeNull();
+  });
+});
+
+describe('embeddedIPv4', () => {
+  it('extracts the IPv4 behind 6to4 and Teredo', () => {
+    expect(embeddedIPv4('2002:c000:0201::1')).toBe('192.0.2.1');
+    // RFC 4380 example: server 65.54.227.120, client 192.0.2.45 (obfuscated)
+    expect(embeddedIPv4('2001:0:4136:e378:8000:63bf:3fff:fdd2')).toBe('192.0.2.45');
+    expect(embeddedIPv4('2001:db8::1')).toBeNull();
+    expect(embeddedIPv4('192.0.2.1')).toBeNull();
+  });
+});
+
+describe('classifyIP', () => {
+  it('classifies IPv4 scopes', () => {
+    expect(classifyIP('127.0.0.1')).toBe('loopback');
+    expect(classifyIP('10.1.2.3')).toBe('private');
+    expect(classifyIP('172.16.0.1')).toBe('private');
+    expect(classifyIP('172.32.0.1')).toBe('public');
+    expect(classifyIP('192.168.1.1')).toBe('private');
+    expect(classifyIP('100.64.0.1')).toBe('cgnat');
+    expect(classifyIP('169.254.1.1')).toBe('link-local');
+    expect(classifyIP('8.8.8.8')).toBe('public');
+  });
+
+  it('classifies IPv6 scopes', () => {
+    expect(classifyIP('::')).toBe('unspecified');
+    expect(classifyIP('::1')).toBe('loopback');
+    expect(classifyIP('fe80::1')).toBe('link-local');
+    expect(classifyIP('fd12:3456::1')).toBe('ula');
+    expect(classifyIP('2002:c000:0201::1')).toBe('6to4');
+    expect(classifyIP('2001:0:4136:e378::1')).toBe('teredo');
+    expect(classifyIP('2a00:1450::1')).toBe('public');
+    expect(classifyIP('::ffff:10.0.0.1')).toBe('private');
+  });
+
+  it('recognises mDNS host names and invalid input', () => {
+    expect(classifyIP('1f0e2d3c-aaaa-bbbb-cccc-0123456789ab.local')).toBe('mdns');
+    expect(classifyIP('example.com')).toBe('invalid');
+  });
+});
+
+describe('parseCandidate', () => {
+  it('parses host and srflx candidates', () => {
+    expect(parseCandidate('candidate:842163049 1 udp 1677729535 2001:DB8::0001 56143 typ srflx raddr 0.0.0.0 rport 0 generation 0')).toEqual({
+      address: '2001:db8::1',
+      version: 6,
+      scope: 'public',
+      type: 'srflx',
+      protocol: 'udp',
+      port: 56143,
+      relatedAddress: '0.0.0.0',
+    });
+    expect(parseCandidate('a=candidate:1 1 UDP 2122260223 192.168.1.5 54321 typ host')).toMatchObject({
+      address: '192.168.1.5',
+      scope: 'private',
+      type: 'host',
+      protocol: 'udp',
+      relatedAddress: null,
+    });
+  });
+
+  it('keeps mDNS host names', () => {
+    expect(parseCandidate('candidate:1 1 udp 2122260223 ABC-123.local 54321 typ host')).toMatchObject({
+      address: 'abc-123.local',
+      version: null,
+      scope: 'mdns',
+    });
+  });
+
+  it('rejects lines that are not candidates', () => {
+    expect(parseCandidate('')).toBeNull();
+    expect(parseCandidate('candidate:1 1 udp 1 1.2.3.4 5 host')).toBeNull();
+  });
+});
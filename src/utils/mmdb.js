@@ -0,0 +1,176 @@
+/**
+ * MaxMind DB Reader
+ * Minimal, dependency-free reader for the MMDB format (GeoLite2/GeoIP2, DB-IP, IPinfo Lite, ...)
+ * Spec: https://maxmind.github.io/MaxMind-DB/
+ */
+
+import { parseIP } from './ip';
+
+const METADATA_MARKER = [0xab, 0xcd, 0xef, ...Array.from('MaxMind.com', (c) => c.charCodeAt(0))];
+const METADATA_MAX_SIZE = 128 * 1024;
+const DATA_SECTION_SEPARATOR = 16;
+
+/**
+ * Reader over an in-memory database
+ */
+export class MMDBReader {
+  /**
+   * @param {ArrayBuffer} buffer - Whole .mmdb file
+   */
+  constructor(buffer) {
+    this.bytes = new Uint8Array(buffer);
+    this.view = new DataView(buffer);
+
+    const markerAt = this.findMetadata();
+    if (markerAt < 0) throw new Error('Not a MaxMind DB file (metadata marker missing)');
+    this.metadata = this.decode(markerAt + METADATA_MARKER.length, markerAt + METADATA_MARKER.length).value;
+
+    const { node_count: nodeCount, record_size: recordSize } = this.metadata;
+    if (![24, 28, 32].includes(recordSize)) throw new Error(`Unsupported record size: ${recordSize}`);
+    this.nodeCount = nodeCount;
+    this.recordSize = recordSize;
+    this.nodeBytes = (recordSize * 2) / 8;
+    this.dataStart = nodeCount * this.nodeBytes + DATA_SECTION_SEPARATOR;
+    this.ipv4Start = null;
+  }
+
+  findMetadata() {
+    const stop = Math.max(0, this.bytes.length - METADATA_MAX_SIZE);
+    for (let i = this.bytes.length - METADATA_MARKER.length; i >= stop; i--) {
+      if (METADATA_MARKER.every((b, j) => this.bytes[i + j] === b)) return i;
+    }
+    return -1;
+  }
+
+  readNode(node, bit) {
+    const offset = node * this.nodeBytes;
+    const b = this.bytes;
+    if (this.recordSize === 24) {
+      const at = offset + bit * 3;
+      return (b[at] << 16) | (b[at + 1] << 8) | b[at + 2];
+    }
+    if (this.recordSize === 28) {
+      if (bit === 0) return (((b[offset + 3] & 0xf0) << 20) | (b[offset] << 16) | (b[offset + 1] << 8) | b[offset + 2]) >>> 0;
+      return (((b[offset + 3] & 0x0f) << 24) | (b[offset + 4] << 16) | (b[offset + 5] << 8) | b[offset + 6]) >>> 0;
+    }
+    return this.view.getUint32(offset + bit * 4);
+  }
+
+  /**
+   * Node where IPv4 addresses start in an IPv6 tree (after 96 zero bits)
+   */
+  findIPv4Start() {
+    if (this.ipv4Start === null) {
+      let node = 0;
+      for (let i = 0; i < 96 && node < this.nodeCount; i++) node = this.readNode(node, 0);
+      this.ipv4Start = node;
+    }
+    return this.ipv4Start;
+  }
+
+  /**
+   * Looks up an address
+   * @param {string} ip
+   * @returns {Object|null} Record, or null if the address is not in the database
+   */
+  get(ip) {
+    const parsed = parseIP(ip);
+    if (!parsed) throw new Error(`Invalid IP address: ${ip}`);
+    if (parsed.version === 6 && this.metadata.ip_version === 4) return null;
+
+    let node = parsed.version === 4 && this.metadata.ip_version === 6 ? this.findIPv4Start() : 0;
+    const bitCount = parsed.bytes.length * 8;
+    for (let i = 0; i < bitCount && node < this.nodeCount; i++) {
+      const bit = (parsed.bytes[i >> 3] >> (7 - (i & 7))) & 1;
+      node = this.readNode(node, bit);
+    }
+
+    if (node === this.nodeCount) return null;
+    if (node < this.nodeCount) throw new Error('Invalid search tree');
+    const offset = this.dataStart + (node - this.nodeCount - DATA_SECTION_SEPARATOR);
+    return this.decode(offset, this.dataStart).value;
+  }
+
+  /**
+   * Decodes one data-section field
+   * @param {number} offset - Absolute byte offset
+   * @param {number} base - Absolute offset pointers are relative to
+   * @returns {{ value: *, next: number }}
+   */
+  decode(offset, base) {
+    const b = this.bytes;
+    const ctrl = b[offset++];
+    let type = ctrl >> 5;
+
+    if (type === 1) {
+      const size = (ctrl >> 3) & 0x3;
+      const low = ctrl & 0x7;
+      let pointer;
+      if (size === 0) pointer = (low << 8) | b[offset];
+      else if (size === 1) pointer = ((low << 16) | (b[offset] << 8) | b[offset + 1]) + 2048;
+      else if (size === 2) pointer = ((low << 24) | (b[offset] << 16) | (b[offset + 1] << 8) | b[offset + 2]) + 526336;
+      else pointer = this.view.getUint32(offset);
+      return { value: this.decode(base + pointer, base).value, next: offset + size + 1 };
+    }
+
+    if (type === 0) type = 7 + b[offset++];
+
+    let size = ctrl & 0x1f;
+    if (size === 29) size = 29 + b[offset++];
+    else if (size === 30) { size = 285 + ((b[offset] << 8) | b[offset + 1]); offset += 2; }
+    else if (size === 31) { size = 65821 + ((b[offset] << 16) | (b[offset + 1] << 8) | b[offset + 2]); offset += 3; }
+
+    switch (type) {
+      case 2: // UTF-8 string
+        return { value: new TextDecoder().decode(b.subarray(offset, offset + size)), next: offset + size };
+      case 3: // double
+        return { value: this.view.getFloat64(offset), next: offset + 8 };
+      case 4: // bytes
+        return { value: b.slice(offset, offset + size), next: offset + size };
+      case 5: // uint16
+      case 6: // uint32
+        return { value: this.readUnsigned(offset, size), next: offset + size };
+      case 7: { // map
+        const map = {};
+        for (let i = 0; i < size; i++) {
+          const key = this.decode(offset, base);
+          const value = this.decode(key.next, base);
+          map[key.value] = value.value;
+          offset = value.next;
+        }
+        return { value: map, next: offset };
+      }
+      case 8: { // int32
+        const value = this.readUnsigned(offset, size);
+        return { value: size === 4 ? value | 0 : value, next: offset + size };
+      }
+      case 9: // uint64
+      case 10: { // uint128
+        let value = 0n;
+        for (let i = 0; i < size; i++) value = (value << 8n) | BigInt(b[offset + i]);
+        return { value: value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString(), next: offset + size };
+      }
+      case 11: { // array
+        const array = [];
+        for (let i = 0; i < size; i++) {
+          const item = this.decode(offset, base);
+          array.push(item.value);
+          offset = item.next;
+        }
+        return { value: array, next: offset };
+      }
+      case 14: // boolean (value stored in the size bits)
+        return { value: size !== 0, next: offset };
+      case 15: // float
+        return { value: this.view.getFloat32(offset), next: offset + 4 };
+      default:
+        throw new Error(`Unsupported MMDB data type: ${type}`);
+    }
+  }
+
+  readUnsigned(offset, size) {
+    let value = 0;
+    for (let i = 0; i < size; i++) value = value * 256 + this.bytes[offset + i];
+    return value;
+  }
+}
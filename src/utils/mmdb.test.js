@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { MMDBReader } from './mmdb';
+import { buildMMDB } from '../test/mmdb';
+
+const GERMANY = { country: { iso_code: 'DE', names: { en: 'Germany' } }, location: { latitude: 52.5167, longitude: 13.4 } };
+const ASN = { autonomous_system_number: 3320, autonomous_system_organization: 'Deutsche Telekom AG', anycast: false, ranges: [1, 70000] };
+
+describe('MMDBReader', () => {
+  it('rejects files without the metadata marker', () => {
+    expect(() => new MMDBReader(new Uint8Array(64).buffer)).toThrow(/metadata marker/);
+  });
+
+  it('reads the metadata', () => {
+    const reader = new MMDBReader(buildMMDB({ ipVersion: 4, recordSize: 24, networks: [['1.2.3.0/24', GERMANY]] }));
+    expect(reader.metadata).toMatchObject({ ip_version: 4, record_size: 24, database_type: 'Test' });
+  });
+
+  for (const recordSize of [24, 28, 32]) {
+    it(`looks up IPv4 networks with ${recordSize}-bit records`, () => {
+      const reader = new MMDBReader(buildMMDB({
+        ipVersion: 4,
+        recordSize,
+        networks: [['1.2.3.0/24', GERMANY], ['80.0.0.0/4', ASN]],
+      }));
+      expect(reader.get('1.2.3.4')).toEqual(GERMANY);
+      expect(reader.get('91.250.1.1')).toEqual(ASN);
+      expect(reader.get('1.2.4.1')).toBeNull();
+      expect(reader.get('2a02::1')).toBeNull();
+    });
+  }
+
+  it('finds IPv4 addresses under ::/96 in an IPv6 tree', () => {
+    const reader = new MMDBReader(buildMMDB({
+      ipVersion: 6,
+      recordSize: 28,
+      networks: [['81.2.69.0/24', GERMANY], ['2a02:1::/32', ASN]],
+    }));
+    expect(reader.get('81.2.69.160')).toEqual(GERMANY);
+    expect(reader.get('2a02:1:ffff::1')).toEqual(ASN);
+    expect(reader.get('2a02:2::1')).toBeNull();
+  });
+
+  it('follows pointers into the data section', () => {
+    const reader = new MMDBReader(buildMMDB({
+      ipVersion: 4,
+      recordSize: 24,
+      shared: ['Germany'],
+      networks: [['1.2.3.0/24', { country: { names: { en: { pointer: 0 } } } }]],
+    }));
+    expect(reader.get('1.2.3.4')).toEqual({ country: { names: { en: 'Germany' } } });
+  });
+
+  it('throws on invalid addresses', () => {
+    const reader = new MMDBReader(buildMMDB({ ipVersion: 4, recordSize: 24, networks: [['1.2.3.0/24', GERMANY]] }));
+    expect(() => reader.get('not an ip')).toThrow(/Invalid IP address/);
+  });
+});
@@ -2,6 +2,26 @@ import { defineConfig } from 'vite'
 import vue from '@vitejs/plugin-vue'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [vue()],
+export default defineConfig(({ mode }) => {
+  // `vite build --mode lib` bundles the framework-free analyze() entry point
+  if (mode === 'lib') {
+    return {
+      publicDir: false,
+      build: {
+        outDir: 'dist-lib',
+        lib: {
+          entry: 'src/analyze.js',
+          formats: ['es'],
+          fileName: 'what-you-reveal',
+        },
+        rollupOptions: {
+          external: ['detectincognitojs'],
+        },
+      },
+    }
+  }
+
+  return {
+    plugins: [vue()],
+  }
 })